@@ -8,6 +8,10 @@ const CFG = {};
     'win',  // (window on which there may be an `openDatabase` method (if any)
             //  for WebSQL; the browser throws if attempting to call
             //  `openDatabase` without the window)
+    'backend', // Storage backend used instead of `win.openDatabase` (see `src/backend.js`)
+    'memoryDatabase', // boolean (keep databases in SQLite `:memory:` databases; for Node)
+    'databaseBasePath', // string (directory of the database files; for Node)
+    'databasePath', // function (maps a database name and origin to a file path)
     // See optional dynamic `System.import()` loading API (shimIndexedDB.__setUnicodeIdentifiers)
     //    of these large regular expression strings:
     'UnicodeIDStart', // See `src/UnicodeIdentifiers.js`
@@ -42,9 +42,14 @@ function isErrorOrDOMErrorOrDOMException (obj) {
     return util.isObj(obj) && typeof obj.name === 'string';
 }
 
+function isSQLError (obj) {
+    return util.isObj(obj) && typeof obj.code === 'number' && !isErrorOrDOMErrorOrDOMException(obj);
+}
+
 /**
  * Finds the error argument.  This is useful because some WebSQL callbacks
  * pass the error as the first argument, and some pass it as the second argument.
+ * WebSQL `SQLError`s are converted into `DOMException`s.
  * @param {array} args
  * @returns {Error|DOMException|undefined}
  */
@@ -52,18 +57,19 @@ function findError (args) {
     let err;
     if (args) {
         if (args.length === 1) {
-            return args[0];
-        }
-        for (let i = 0; i < args.length; i++) {
-            const arg = args[i];
-            if (isErrorOrDOMErrorOrDOMException(arg)) {
-                return arg;
-            } else if (arg && typeof arg.message === 'string') {
-                err = arg;
+            err = args[0];
+        } else {
+            for (let i = 0; i < args.length; i++) {
+                const arg = args[i];
+                if (isErrorOrDOMErrorOrDOMException(arg)) {
+                    return arg;
+                } else if (arg && typeof arg.message === 'string') {
+                    err = arg;
+                }
             }
         }
     }
-    return err;
+    return isSQLError(err) ? createDOMExceptionFromSQLError(err) : err;
 };
 
 let test, useNativeDOMException = false;
@@ -92,4 +98,58 @@ if (useNativeDOMException) {
     };
 }
 
-export {logError, findError, shimDOMException as DOMException, createDOMException};
+const sqlErrorMessages = {
+    ConstraintError: 'A mutation operation in the transaction failed because a constraint was not satisfied.',
+    QuotaExceededError: 'The operation failed because there was not enough remaining storage space, or the storage quota was reached and the user declined to give more space to the database.',
+    TimeoutError: 'A lock for the transaction could not be obtained in a reasonable time.',
+    VersionError: 'The version of the underlying database did not match that expected.',
+    UnknownError: 'The operation failed for reasons unrelated to the database itself and not covered by any other errors.'
+};
+
+// By the `code` of WebSQL's `SQLError`
+const sqlErrorNames = [
+    'UnknownError', // UNKNOWN_ERR
+    'UnknownError', // DATABASE_ERR
+    'VersionError', // VERSION_ERR
+    'UnknownError', // TOO_LARGE_ERR
+    'QuotaExceededError', // QUOTA_ERR
+    'UnknownError', // SYNTAX_ERR (of our SQL, so not an IndexedDB `SyntaxError`)
+    'ConstraintError', // CONSTRAINT_ERR
+    'TimeoutError' // TIMEOUT_ERR
+];
+
+// SQLite errors which WebSQL implementations (e.g., `node-websql`) may only
+//   report as an `UNKNOWN_ERR` or `DATABASE_ERR`
+const sqliteErrors = [
+    [/SQLITE_CONSTRAINT|constrai?nt fail/i, 'ConstraintError'],
+    [/SQLITE_FULL|disk is full/i, 'QuotaExceededError'],
+    [/SQLITE_BUSY|SQLITE_LOCKED|is locked/i, 'TimeoutError'],
+    [/SQLITE_READONLY|readonly database/i, 'UnknownError', 'The database is read-only.'],
+    [/SQLITE_CORRUPT|SQLITE_NOTADB|malformed|not a database/i, 'UnknownError', 'The database is corrupt.']
+];
+
+/**
+ * Converts a WebSQL `SQLError` (or one of a storage backend) into the
+ *   corresponding `DOMException`, with the `SQLError` as its `sqlError`
+ *   property for diagnosis
+ * @param {{code: number, message: string}} sqlError
+ * @returns {DOMException}
+ */
+function createDOMExceptionFromSQLError (sqlError) {
+    let name = sqlErrorNames[sqlError.code] || 'UnknownError';
+    let message = sqlErrorMessages[name];
+    if (!(sqlError.code > 1)) { // UNKNOWN_ERR or DATABASE_ERR
+        sqliteErrors.some(([pattern, sqliteName, sqliteMessage]) => {
+            if (pattern.test(sqlError.message)) {
+                name = sqliteName;
+                message = sqliteMessage || sqlErrorMessages[name];
+                return true;
+            }
+        });
+    }
+    const err = createDOMException(name, message + ' (' + sqlError.message + ')--(' + sqlError.code + ')', sqlError);
+    err.sqlError = sqlError;
+    return err;
+}
+
+export {logError, findError, shimDOMException as DOMException, createDOMException, createDOMExceptionFromSQLError};
@@ -1,6 +1,6 @@
 
 import {IDBRequest} from './IDBRequest.js';
-import {createDOMException} from './DOMException.js';
+import {createDOMException, findError} from './DOMException.js';
 import {setSQLForRange, IDBKeyRange} from './IDBKeyRange.js';
 import {cmp} from './IDBFactory.js';
 import * as util from './util.js';
@@ -70,9 +70,20 @@ function IDBCursor (range, direction, store, source, keyColumnName, valueColumnN
     }
     this.__gotValue = true;
     this['continue']();
+
+    if (!count && typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+        // Allow `for await (const cursor of store.openCursor())`
+        const me = this;
+        Object.defineProperty(this.__req, Symbol.asyncIterator, {
+            configurable: true,
+            value: function () {
+                return me.__createAsyncIterator();
+            }
+        });
+    }
 }
 
-IDBCursor.prototype.__find = function (...args /* key, tx, success, error, recordsToLoad */) {
+IDBCursor.prototype.__find = function (...args /* key, primaryKey, tx, success, error, recordsToLoad */) {
     if (this.__multiEntryIndex) {
         this.__findMultiEntry(...args);
     } else {
@@ -80,7 +91,7 @@ IDBCursor.prototype.__find = function (...args /* key, tx, success, error, recor
     }
 };
 
-IDBCursor.prototype.__findBasic = function (key, tx, success, error, recordsToLoad) {
+IDBCursor.prototype.__findBasic = function (key, primaryKey, tx, success, error, recordsToLoad) {
     const continueCall = recordsToLoad !== undefined;
     recordsToLoad = recordsToLoad || 1;
 
@@ -95,7 +106,14 @@ IDBCursor.prototype.__findBasic = function (key, tx, success, error, recordsToLo
     const direction = me.__sqlDirection;
     const op = direction === 'ASC' ? '>' : '<';
 
-    if (key !== undefined) {
+    if (primaryKey !== undefined) {
+        // Seek to the first record at or beyond the (key, primaryKey) position
+        Key.convertValueToKey(key);
+        Key.convertValueToKey(primaryKey);
+        const encodedKey = Key.encode(key);
+        sql.push('AND (', quotedKeyColumnName, op, '? OR (', quotedKeyColumnName, '= ? AND', util.quote('key'), op + '= ? ) )');
+        sqlValues.push(encodedKey, encodedKey, Key.encode(primaryKey));
+    } else if (key !== undefined) {
         sql.push('AND', quotedKeyColumnName, op + '= ?');
         Key.convertValueToKey(key);
         sqlValues.push(Key.encode(key));
@@ -145,7 +163,7 @@ IDBCursor.prototype.__findBasic = function (key, tx, success, error, recordsToLo
     });
 };
 
-IDBCursor.prototype.__findMultiEntry = function (key, tx, success, error) {
+IDBCursor.prototype.__findMultiEntry = function (key, primaryKey, tx, success, error) {
     const me = this;
 
     if (me.__prefetchedData && me.__prefetchedData.length === me.__prefetchedIndex) {
@@ -169,7 +187,9 @@ IDBCursor.prototype.__findMultiEntry = function (key, tx, success, error) {
     const direction = me.__sqlDirection;
     const op = direction === 'ASC' ? '>' : '<';
 
-    if (key !== undefined) {
+    if (primaryKey !== undefined) {
+        // The (key, primaryKey) position is checked against each matching entry below
+    } else if (key !== undefined) {
         sql.push('AND', quotedKeyColumnName, op + '= ?');
         Key.convertValueToKey(key);
         sqlValues.push(Key.encode(key));
@@ -205,17 +225,17 @@ IDBCursor.prototype.__findMultiEntry = function (key, tx, success, error) {
                 for (let i = 0; i < data.rows.length; i++) {
                     const rowItem = data.rows.item(i);
                     const rowKey = Key.decode(rowItem[me.__keyColumnName], true);
-                    const matches = Key.findMultiEntryMatches(rowKey, me.__range);
+                    const matches = me.__findMultiEntryMatches(rowKey);
                     ct += matches.length;
                 }
                 success(undefined, ct, undefined);
                 return;
             }
-            const rows = [];
+            let rows = [];
             for (let i = 0; i < data.rows.length; i++) {
                 const rowItem = data.rows.item(i);
                 const rowKey = Key.decode(rowItem[me.__keyColumnName], true);
-                const matches = Key.findMultiEntryMatches(rowKey, me.__range);
+                const matches = me.__findMultiEntryMatches(rowKey);
 
                 for (let j = 0; j < matches.length; j++) {
                     const matchingKey = matches[j];
@@ -245,6 +265,17 @@ IDBCursor.prototype.__findMultiEntry = function (key, tx, success, error) {
                 return 0;
             });
 
+            if (primaryKey !== undefined) {
+                const encodedKey = Key.encode(key, true);
+                const encodedPrimaryKey = Key.encode(primaryKey);
+                rows = rows.filter(function (row) {
+                    if (row.matchingKey === encodedKey) {
+                        return reverse ? row.key <= encodedPrimaryKey : row.key >= encodedPrimaryKey;
+                    }
+                    return reverse ? row.matchingKey < encodedKey : row.matchingKey > encodedKey;
+                });
+            }
+
             if (rows.length > 1) {
                 me.__prefetchedIndex = 0;
                 me.__prefetchedData = {
@@ -273,6 +304,17 @@ IDBCursor.prototype.__findMultiEntry = function (key, tx, success, error) {
     });
 };
 
+/**
+ * Finds the entries of a multiEntry index key which fall within the cursor's range
+ * @private
+ */
+IDBCursor.prototype.__findMultiEntryMatches = function (rowKey) {
+    if (this.__range === undefined) {
+        return Array.isArray(rowKey) ? rowKey : [rowKey];
+    }
+    return Key.findMultiEntryMatches(rowKey, this.__range);
+};
+
 /**
  * Creates an "onsuccess" callback
  * @private
@@ -331,7 +373,6 @@ IDBCursor.prototype.__clearFromCache = function () {
 
 IDBCursor.prototype.__continue = function (key, advanceContinue) {
     const me = this;
-    const recordsToPreloadOnContinue = me.__advanceCount || CFG.cursorPreloadPackSize || 100;
     const advanceState = me.__advanceCount !== undefined;
     IDBTransaction.__assertActive(me.__store.transaction);
     me.__sourceOrEffectiveObjStoreDeleted();
@@ -350,10 +391,15 @@ IDBCursor.prototype.__continue = function (key, advanceContinue) {
         }
     }
 
+    this.__continueFinish(key, undefined, advanceState);
+};
+
+IDBCursor.prototype.__continueFinish = function (key, primaryKey, advanceState, iteration) {
+    const me = this;
+    const recordsToPreloadOnContinue = me.__advanceCount || CFG.cursorPreloadPackSize || 100;
     me.__gotValue = false;
-    me.__req.__readyState = 'pending'; // Unset done flag
 
-    me.__store.transaction.__pushToQueue(me.__req, function cursorContinue (tx, args, success, error, executeNextRequest) {
+    function cursorContinue (tx, args, success, error, executeNextRequest) {
         function triggerSuccess (k, val, primKey) {
             if (advanceState) {
                 if (me.__advanceCount >= 2 && k !== undefined) {
@@ -367,6 +413,10 @@ IDBCursor.prototype.__continue = function (key, advanceContinue) {
             }
             me.__onsuccess(success)(k, val, primKey);
         }
+        if (primaryKey !== undefined) {
+            // Seek directly rather than scanning through the pre-fetched records
+            me.__prefetchedData = null;
+        }
         if (me.__prefetchedData) {
             // We have pre-loaded data for the cursor
             me.__prefetchedIndex++;
@@ -398,21 +448,179 @@ IDBCursor.prototype.__continue = function (key, advanceContinue) {
         }
 
         // No (or not enough) pre-fetched data, do query
-        me.__find(key, tx, triggerSuccess, function (...args) {
+        me.__find(key, primaryKey, tx, triggerSuccess, function (...args) {
             me.__advanceCount = undefined;
             error(...args);
         }, recordsToPreloadOnContinue);
+    }
+
+    if (iteration) {
+        // Move to the next record without dispatching any event on the cursor's request
+        const transaction = me.__store.transaction;
+        if (transaction.__isQueueIdle() && !me.__unique && me.__prefetchedData &&
+            me.__prefetchedIndex + 1 < me.__prefetchedData.length
+        ) {
+            // The queue is held for the loop body, which has placed no
+            //   requests, so the pre-fetched record is read without queueing
+            //   (or running) any statement, the queue remaining held
+            cursorContinue(null, undefined, function (result) {
+                me.__req.__result = result;
+                iteration.resolve(result);
+            }, function (...args) {
+                iteration.reject(findError(args));
+            });
+            return;
+        }
+        transaction.__addNonRequestToTransactionQueue(function cursorIterate (tx, args, executeNextRequest, error) {
+            cursorContinue(tx, args, function (result) {
+                me.__req.__result = result;
+                // Let the loop body place further requests before the queue continues
+                transaction.__addKeepAliveToTransactionQueue();
+                iteration.resolve(result);
+                executeNextRequest();
+            }, function (...args) {
+                iteration.reject(findError(args));
+                error(...args);
+            });
+        });
+        return;
+    }
+
+    me.__req.__readyState = 'pending'; // Unset done flag
+    me.__store.transaction.__pushToQueue(me.__req, cursorContinue);
+};
+
+/**
+ * Resolves with the cursor at its next record (or `null` at the end), reusing
+ *   any records prefetched by the previous query
+ * @private
+ */
+IDBCursor.prototype.__iterate = function () {
+    const me = this;
+    return new Promise(function (resolve, reject) {
+        IDBTransaction.__assertActive(me.__store.transaction);
+        me.__sourceOrEffectiveObjStoreDeleted();
+        if (!me.__gotValue) {
+            throw createDOMException('InvalidStateError', 'The cursor is being iterated or has iterated past its end.');
+        }
+        me.__continueFinish(undefined, undefined, false, {resolve, reject});
     });
 };
 
+/**
+ * Resolves with the result of the next "success" event of the cursor's
+ *   request (i.e., for the initial record or one to which the cursor was
+ *   moved by `continue`, `continuePrimaryKey`, or `advance`)
+ * @private
+ */
+IDBCursor.prototype.__awaitRequest = function () {
+    const me = this;
+    const req = me.__req;
+    return new Promise(function (resolve, reject) {
+        function onsuccess () {
+            unlisten();
+            me.__store.transaction.__addKeepAliveToTransactionQueue();
+            resolve(req.result);
+        }
+        function onerror () {
+            unlisten();
+            reject(req.error);
+        }
+        function unlisten () {
+            req.removeEventListener('success', onsuccess);
+            req.removeEventListener('error', onerror);
+        }
+        req.addEventListener('success', onsuccess);
+        req.addEventListener('error', onerror);
+    });
+};
+
+/**
+ * Creates an async iterator over the cursor's records, beginning with its
+ *   current (or pending) record. The transaction's queue is held after each
+ *   record (without running any statement) so that the loop body may place
+ *   further requests against it.
+ * @private
+ */
+IDBCursor.prototype.__createAsyncIterator = function () {
+    const me = this;
+    let started = false, done = false;
+    return {
+        next: function () {
+            if (done) {
+                return Promise.resolve({value: undefined, done: true});
+            }
+            let cursor;
+            if (me.__req.__readyState === 'pending') {
+                cursor = me.__awaitRequest();
+            } else if (!started) {
+                // Begin with the current record
+                if (me.__store.transaction.__active) {
+                    me.__store.transaction.__addKeepAliveToTransactionQueue();
+                }
+                cursor = me.__req.__error ? Promise.reject(me.__req.__error) : me.__req.__result;
+            } else {
+                cursor = me.__iterate();
+            }
+            started = true;
+            return Promise.resolve(cursor).then(function (cursor) {
+                done = done || !cursor;
+                return done ? {value: undefined, done: true} : {value: cursor, done: false};
+            }, function (err) {
+                done = true;
+                throw err;
+            });
+        },
+        'return': function () {
+            // Stop iterating; the transaction continues with any requests placed
+            //   since the last record and otherwise completes as usual
+            done = true;
+            me.__prefetchedData = null;
+            return Promise.resolve({value: undefined, done: true});
+        }
+    };
+};
+
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    IDBCursor.prototype[Symbol.asyncIterator] = function () {
+        return this.__createAsyncIterator();
+    };
+}
+
 IDBCursor.prototype['continue'] = function (key) {
     this.__continue(key);
 };
 
-/*
-// Todo: Implement continuePrimaryKey
-IDBCursor.prototype.continuePrimaryKey = function (key, primaryKey) {};
-*/
+IDBCursor.prototype.continuePrimaryKey = function (key, primaryKey) {
+    const me = this;
+    if (arguments.length < 2) {
+        throw new TypeError('A key and primary key must be passed to `continuePrimaryKey()`');
+    }
+    IDBTransaction.__assertActive(me.__store.transaction);
+    me.__sourceOrEffectiveObjStoreDeleted();
+    if (!me.__indexSource) {
+        throw createDOMException('InvalidAccessError', '`continuePrimaryKey` may only be called on cursors whose source is an index');
+    }
+    if (!['next', 'prev'].includes(me.direction)) {
+        throw createDOMException('InvalidAccessError', '`continuePrimaryKey` may only be called on cursors with a direction of "next" or "prev"');
+    }
+    if (!me.__gotValue) {
+        throw createDOMException('InvalidStateError', 'The cursor is being iterated or has iterated past its end.');
+    }
+    Key.convertValueToKey(key);
+    Key.convertValueToKey(primaryKey);
+
+    const cmpResult = cmp(key, me.key);
+    const primaryCmpResult = cmp(primaryKey, me.primaryKey);
+    if (
+        (me.direction === 'next' && (cmpResult === -1 || (cmpResult === 0 && primaryCmpResult <= 0))) ||
+        (me.direction === 'prev' && (cmpResult === 1 || (cmpResult === 0 && primaryCmpResult >= 0)))
+    ) {
+        throw createDOMException('DataError', 'Cannot continue the cursor in an unexpected direction');
+    }
+
+    this.__continueFinish(key, primaryKey);
+};
 
 IDBCursor.prototype.advance = function (count) {
     const me = this;
@@ -452,12 +660,9 @@ IDBCursor.prototype.update = function (valueToUpdate) {
             const value = Sca.decode(encoded);
             Sca.encode(value, function (encoded) {
                 // First try to delete if the record exists
-                Key.convertValueToKey(primaryKey);
-                const sql = 'DELETE FROM ' + util.escapeStore(store.name) + ' WHERE key = ?';
-                const encodedPrimaryKey = Key.encode(primaryKey);
-                CFG.DEBUG && console.log(sql, encoded, key, primaryKey, encodedPrimaryKey);
+                CFG.DEBUG && console.log('Updating', store.name, encoded, key, primaryKey);
 
-                tx.executeSql(sql, [encodedPrimaryKey], function (tx, data) {
+                store.__deleteRecords(tx, IDBKeyRange.only(primaryKey), function (tx, data) {
                     CFG.DEBUG && console.log('Did the row with the', primaryKey, 'exist? ', data.rowsAffected);
 
                     store.__deriveKey(tx, value, key, function (primaryKey, useNewForAutoInc) {
@@ -489,11 +694,10 @@ IDBCursor.prototype['delete'] = function () {
         throw createDOMException('InvalidStateError', 'This cursor method cannot be called when the key only flag has been set.');
     }
     return this.__store.transaction.__addToTransactionQueue(function cursorDelete (tx, args, success, error) {
-        me.__find(undefined, tx, function (key, value, primaryKey) {
-            const sql = 'DELETE FROM  ' + util.escapeStore(me.__store.name) + ' WHERE key = ?';
-            CFG.DEBUG && console.log(sql, key, primaryKey);
+        me.__find(undefined, undefined, tx, function (key, value, primaryKey) {
+            CFG.DEBUG && console.log('Deleting', me.__store.name, key, primaryKey);
             Key.convertValueToKey(primaryKey);
-            tx.executeSql(sql, [Key.encode(primaryKey)], function (tx, data) {
+            me.__store.__deleteRecords(tx, IDBKeyRange.only(primaryKey), function (tx, data) {
                 if (data.rowsAffected === 1) {
                     me.__store.__cursors.forEach((cursor) => {
                         cursor.__deleteFromCache();
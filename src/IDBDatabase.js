@@ -1,3 +1,4 @@
+import {createEvent} from './Event.js';
 import {createDOMException} from './DOMException.js';
 import * as util from './util.js';
 import IDBObjectStore from './IDBObjectStore.js';
@@ -8,14 +9,23 @@ import EventTarget from 'eventtarget';
 /**
  * IDB Database Object
  * http://dvcs.w3.org/hg/IndexedDB/raw-file/tip/Overview.html#database-interface
+ * @param {object} db The backend's database
+ * @param {string} name
+ * @param {number} version
+ * @param {object} storeProperties The rows of `__sys__`
+ * @param {TransactionScheduler} scheduler Shared by the connections to the database
  * @constructor
  */
-function IDBDatabase (db, name, version, storeProperties) {
+function IDBDatabase (db, name, version, storeProperties, scheduler) {
     this.__db = db;
+    this.__scheduler = scheduler;
     this.__closed = false;
+    this.__fullyClosed = false;
+    this.__transactions = [];
     this.__version = version;
     this.__name = name;
-    this.onabort = this.onerror = this.onversionchange = null;
+    this.onabort = this.onclose = this.onerror = this.onversionchange = null;
+    this.__setOptions({extraProperties: ['oldVersion', 'newVersion']}); // Ensure EventTarget preserves our properties
 
     this.__objectStores = {};
     this.__objectStoreNames = new util.StringList();
@@ -100,17 +110,166 @@ IDBDatabase.prototype.deleteObjectStore = function (storeName) {
     IDBObjectStore.__deleteObjectStore(this, store);
 };
 
+/**
+ * Records the version and the object store and index metadata prior to an
+ *   upgrade so that they can be restored if the upgrade transaction aborts.
+ * @param {number} oldVersion The database's version (0 if newly created)
+ * @protected
+ */
+IDBDatabase.prototype.__saveUpgradeState = function (oldVersion) {
+    const stores = [];
+    this.objectStoreNames.forEach((storeName) => {
+        const store = this.__objectStores[storeName];
+        stores.push({
+            store,
+            name: store.name,
+            indexes: Object.assign({}, store.__indexes),
+            indexNames: store.indexNames.map((indexName) => indexName),
+            indexStates: Object.keys(store.__indexes).map((indexName) => {
+                const index = store.__indexes[indexName];
+                return {index, name: index.name, deleted: index.__deleted};
+            })
+        });
+    });
+    this.__upgradeState = {
+        version: oldVersion,
+        objectStoreNames: this.objectStoreNames.map((storeName) => storeName),
+        stores
+    };
+};
+
+/**
+ * Restores the state recorded by `__saveUpgradeState` (the "abort an upgrade
+ *   transaction" steps); object stores and indexes created during the upgrade
+ *   are left as deleted.
+ * @param {IDBObjectStore[]} storeHandles Object store instances obtained from the upgrade transaction
+ * @protected
+ */
+IDBDatabase.prototype.__restoreUpgradeState = function (storeHandles) {
+    const state = this.__upgradeState;
+    if (!state) {
+        return;
+    }
+    this.__upgradeState = null;
+    this.__version = state.version;
+
+    Object.keys(this.__objectStores).forEach((storeName) => {
+        const store = this.__objectStores[storeName];
+        if (store && !state.stores.some((storeState) => storeState.store === store)) {
+            store.__deleted = true;
+        }
+    });
+    this.__objectStores = {};
+    this.objectStoreNames.splice(0, this.objectStoreNames.length, ...state.objectStoreNames);
+
+    state.stores.forEach((storeState) => {
+        const store = storeState.store;
+        Object.keys(store.__indexes).forEach((indexName) => {
+            if (!storeState.indexes[indexName] || storeState.indexes[indexName] !== store.__indexes[indexName]) {
+                store.__indexes[indexName].__deleted = true;
+            }
+            delete store.__indexes[indexName];
+        });
+        Object.assign(store.__indexes, storeState.indexes);
+        store.indexNames.splice(0, store.indexNames.length, ...storeState.indexNames);
+        storeState.indexStates.forEach(({index, name, deleted}) => {
+            index.__name = name;
+            index.__deleted = deleted;
+        });
+        store.__name = storeState.name;
+        store.__deleted = false;
+        this.__objectStores[store.name] = store;
+    });
+
+    // Store handles for the transaction share their index metadata with the original stores
+    storeHandles.forEach((handle) => {
+        const storeState = state.stores.find((storeState) => storeState.store.__indexes === handle.__indexes);
+        if (storeState) {
+            handle.__name = storeState.name;
+            handle.__deleted = false;
+        } else {
+            handle.__deleted = true;
+        }
+    });
+};
+
+/**
+ * Sets the close pending flag; the connection is only fully closed (allowing
+ *   any blocked `open` or `deleteDatabase` requests to proceed) once all of
+ *   its transactions have finished.
+ */
 IDBDatabase.prototype.close = function () {
     this.__closed = true;
+    this.__checkFullyClosed();
+};
+
+/**
+ * Closes the connection with the "forced" flag (e.g., if the database becomes
+ *   unavailable), aborting its unfinished transactions and then firing `close`.
+ * @param {string} [msg] Message for the `AbortError` of the aborted transactions
+ * @protected
+ */
+IDBDatabase.prototype.__forceClose = function (msg) {
+    const me = this;
+    me.close();
+    me.__transactions.slice().forEach(function (tx) {
+        tx.__abortTransaction(createDOMException('AbortError', msg || 'The connection was force-closed'));
+    });
+    function dispatchClose () {
+        me.dispatchEvent(createEvent('close'));
+    }
+    if (me.__fullyClosed) {
+        setTimeout(dispatchClose, 0);
+    } else {
+        me.addEventListener('__closed', dispatchClose);
+    }
+};
+
+/**
+ * Adds a transaction to those which must finish before the connection can close.
+ * @param {IDBTransaction} tx
+ * @protected
+ */
+IDBDatabase.prototype.__addTransaction = function (tx) {
+    this.__transactions.push(tx);
+};
+
+/**
+ * Removes a finished (completed or aborted) transaction.
+ * @param {IDBTransaction} tx
+ * @protected
+ */
+IDBDatabase.prototype.__removeTransaction = function (tx) {
+    const idx = this.__transactions.indexOf(tx);
+    if (idx > -1) {
+        this.__transactions.splice(idx, 1);
+    }
+    this.__checkFullyClosed();
+};
+
+/**
+ * Fires the internal `__closed` event once the connection has both been
+ *   closed and had its transactions finish.
+ * @protected
+ */
+IDBDatabase.prototype.__checkFullyClosed = function () {
+    if (this.__fullyClosed || !this.__closed || this.__transactions.length) {
+        return;
+    }
+    this.__fullyClosed = true;
+    this.dispatchEvent(createEvent('__closed'));
 };
 
 /**
  * Starts a new transaction.
  * @param {string|string[]} storeNames
  * @param {string} mode
+ * @param {object} [options]
+ * @param {string} [options.durability] "default", "strict" (for the storage
+ *   backend to flush the transaction to disk before completing), or "relaxed"
  * @returns {IDBTransaction}
  */
-IDBDatabase.prototype.transaction = function (storeNames, mode) {
+IDBDatabase.prototype.transaction = function (storeNames, mode, options) {
     if (typeof mode === 'number') {
         mode = mode === 1 ? 'readwrite' : 'readonly';
         CFG.DEBUG && console.log('Mode should be a string, but was specified as ', mode); // Todo: Remove this option as no longer in spec
@@ -122,6 +281,19 @@ IDBDatabase.prototype.transaction = function (storeNames, mode) {
         throw new TypeError('Invalid transaction mode: ' + mode);
     }
 
+    let durability = 'default';
+    if (options !== undefined && options !== null) {
+        if (typeof options !== 'object' && typeof options !== 'function') {
+            throw new TypeError('The transaction options must be an object');
+        }
+        if (options.durability !== undefined) {
+            durability = String(options.durability);
+            if (['default', 'strict', 'relaxed'].indexOf(durability) === -1) {
+                throw new TypeError('Invalid transaction durability: ' + durability);
+            }
+        }
+    }
+
     IDBTransaction.__assertNotVersionChange(this.__versionTransaction);
     if (this.__closed) {
         throw createDOMException('InvalidStateError', 'An attempt was made to start a new transaction on a database connection that is not open');
@@ -137,7 +309,7 @@ IDBDatabase.prototype.transaction = function (storeNames, mode) {
         throw createDOMException('InvalidAccessError', 'No object store names were specified');
     }
     // Do not set __active flag to false yet: https://github.com/w3c/IndexedDB/issues/87
-    return new IDBTransaction(this, storeNames, mode);
+    return new IDBTransaction(this, storeNames, mode, durability);
 };
 IDBDatabase.prototype.toString = function () {
     return '[object IDBDatabase]';
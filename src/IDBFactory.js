@@ -3,38 +3,231 @@ import {findError, createDOMException, DOMException} from './DOMException.js';
 import {IDBOpenDBRequest, IDBRequest} from './IDBRequest.js';
 import * as util from './util.js';
 import Key from './Key.js';
+import Sca from './Sca.js';
 import IDBTransaction from './IDBTransaction.js';
 import IDBDatabase from './IDBDatabase.js';
+import IDBIndex from './IDBIndex.js';
+import TransactionScheduler from './TransactionScheduler.js';
 import CFG from './CFG.js';
+import {getBackend, getOrigin, getDatabasePath, openDatabase, closeDatabase, resetMemoryBackend} from './backend.js';
 
-let sysdb;
+// The state of each origin (whose databases are kept apart from those of other origins)
+const origins = new Map();
+
+/**
+ * Gets the state of an origin: its system database and the connection
+ *   queues, connections, transaction schedulers, pending creations and
+ *   deletions, and (for estimates) backend databases of its databases
+ * @param {string|null} origin
+ * @returns {object}
+ */
+function getOriginState (origin) {
+    let state = origins.get(origin);
+    if (!state) {
+        state = {
+            sysdb: null,
+            sysdbBackend: null,
+            sysdbPath: null,
+            connectionQueues: {},
+            connections: {},
+            schedulers: {},
+            pendingCreations: {},
+            pendingDeletions: {},
+            backendDatabases: {}
+        };
+        origins.set(origin, state);
+    }
+    return state;
+}
+
+/**
+ * Gets the origin to which the databases of a factory belong
+ * @param {IDBFactory} factory
+ * @returns {string|null}
+ */
+function getFactoryOrigin (factory) {
+    return factory.__origin === undefined ? getOrigin() : factory.__origin;
+}
 
 /**
  * Craetes the sysDB to keep track of version numbers for databases
+ * @param {string|null} origin
+ * @param {function} success Called with the sysDB
+ * @param {function} failure
  **/
-function createSysDB (success, failure) {
+function createSysDB (origin, success, failure) {
     function sysDbCreateError (...args /* tx, err */) {
         const err = findError(args);
         CFG.DEBUG && console.log('Error in sysdb transaction - when creating dbVersions', err);
         failure(err);
     }
 
-    if (sysdb) {
-        success();
+    const state = getOriginState(origin);
+    const backend = getBackend();
+    const path = getDatabasePath(null, origin);
+    if (state.sysdb && state.sysdbBackend === backend && state.sysdbPath === path) {
+        success(state.sysdb);
     } else {
-        sysdb = CFG.win.openDatabase('__sysdb__.sqlite', 1, 'System Database', CFG.DEFAULT_DB_SIZE);
+        // (Re)open if the storage backend or the path has changed
+        const sysdb = openDatabase(null, origin);
+        state.sysdb = sysdb;
+        state.sysdbBackend = backend;
+        state.sysdbPath = path;
         sysdb.transaction(function (tx) {
-            tx.executeSql('CREATE TABLE IF NOT EXISTS dbVersions (name VARCHAR(255), version INT);', [], success, sysDbCreateError);
+            tx.executeSql('CREATE TABLE IF NOT EXISTS dbVersions (name VARCHAR(255), version INT);', [], function () {
+                success(sysdb);
+            }, sysDbCreateError);
         }, sysDbCreateError);
     }
 }
 
+/**
+ * Gets a backend database for a database (e.g., for estimates), reusing that
+ *   previously opened unless the storage backend or the path has changed
+ * @param {string|null} origin
+ * @param {string} name The database name
+ * @returns {object} The backend's database
+ */
+function getBackendDatabase (origin, name) {
+    const {backendDatabases} = getOriginState(origin);
+    const backend = getBackend();
+    const path = getDatabasePath(name, origin);
+    const cached = backendDatabases[name];
+    if (cached && cached.backend === backend && cached.path === path) {
+        return cached.database;
+    }
+    const database = openDatabase(name, origin);
+    backendDatabases[name] = {database, backend, path};
+    return database;
+}
+
+/**
+ * Queues an `open` or `deleteDatabase` request so that requests against the same
+ *   database are processed one at a time and in order
+ * @param {string|null} origin
+ * @param {string} name The database name
+ * @param {function} cb Begins processing the request
+ */
+function addRequestToConnectionQueue (origin, name, cb) {
+    const {connectionQueues} = getOriginState(origin);
+    if (!connectionQueues[name]) {
+        connectionQueues[name] = [];
+    }
+    connectionQueues[name].push(cb);
+    if (connectionQueues[name].length === 1) {
+        cb();
+    }
+}
+
+/**
+ * Begins processing the next queued request (if any) once the current one has finished
+ * @param {string|null} origin
+ * @param {string} name The database name
+ */
+function processNextInConnectionQueue (origin, name) {
+    const {connectionQueues} = getOriginState(origin);
+    const queue = connectionQueues[name];
+    queue.shift();
+    if (queue.length) {
+        queue[0]();
+    } else {
+        delete connectionQueues[name];
+    }
+}
+
+/**
+ * Gets the connections to a database which have not yet fully closed
+ * @param {string|null} origin
+ * @param {string} name The database name
+ * @returns {IDBDatabase[]}
+ */
+function getOpenConnections (origin, name) {
+    const {connections} = getOriginState(origin);
+    const openConnections = (connections[name] || []).filter((connection) => !connection.__fullyClosed);
+    if (openConnections.length) {
+        connections[name] = openConnections;
+    } else {
+        delete connections[name];
+    }
+    return openConnections;
+}
+
+/**
+ * Drops the transaction scheduler of a database once the database has neither
+ *   connections which have not fully closed nor unfinished transactions
+ * @param {string|null} origin
+ * @param {string} name The database name
+ * @param {TransactionScheduler} scheduler
+ */
+function pruneScheduler (origin, name, scheduler) {
+    const {schedulers} = getOriginState(origin);
+    if (schedulers[name] === scheduler && !scheduler.__transactions.length &&
+        !getOpenConnections(origin, name).length
+    ) {
+        delete schedulers[name];
+    }
+}
+
+/**
+ * Fires `versionchange` at the open connections (which have not been closed
+ *   by the time their turn comes) and, if any remain open thereafter,
+ *   `blocked` at the request, waiting for them to fully close
+ * @param {IDBDatabase[]} openConnections
+ * @param {IDBOpenDBRequest} req
+ * @param {number} oldVersion
+ * @param {number|null} newVersion `null` if the database is being deleted
+ * @param {function} cb Invoked once all of the connections have fully closed
+ */
+function triggerAnyVersionChangeAndBlockedEvents (openConnections, req, oldVersion, newVersion, cb) {
+    const connectionsClosed = () => openConnections.every((connection) => connection.__fullyClosed);
+    openConnections.reduce(function (promises, connection) {
+        // We reduce to a chain of promises so that each connection (in the
+        //   order in which it was opened) has a chance to close before
+        //   the next receives `versionchange`
+        return promises.then(function () {
+            if (connection.__closed) {
+                return;
+            }
+            const e = new IDBVersionChangeEvent('versionchange', {oldVersion, newVersion});
+            return new Promise(function (resolve) {
+                setTimeout(() => {
+                    connection.dispatchEvent(e); // No need to catch errors
+                    resolve();
+                }, 0);
+            });
+        });
+    }, Promise.resolve()).then(function () {
+        if (connectionsClosed()) {
+            cb();
+            return;
+        }
+        let unblocked = false;
+        const checkUnblocked = function () {
+            if (!unblocked && connectionsClosed()) {
+                unblocked = true;
+                cb();
+            }
+        };
+        openConnections.forEach((connection) => {
+            connection.addEventListener('__closed', checkUnblocked);
+        });
+        const e = new IDBVersionChangeEvent('blocked', {oldVersion, newVersion});
+        req.dispatchEvent(e);
+        checkUnblocked(); // A `blocked` handler may have closed the connections
+    });
+}
+
 /**
  * IDBFactory Class
  * https://w3c.github.io/IndexedDB/#idl-def-IDBFactory
+ * @param {string} [origin] NON-STANDARD!! Origin (or other partition key) to
+ *   which the databases opened through the factory belong; the databases of
+ *   different origins are kept in separate files and do not see one another.
+ *   Defaults to the origin of the page (if any)
  * @constructor
  */
-function IDBFactory () {
+function IDBFactory (origin) {
+    this.__origin = origin === undefined ? undefined : String(origin);
     this.modules = {DOMException, Event: typeof Event !== 'undefined' ? Event : ShimEvent, ShimEvent, IDBFactory};
 }
 
@@ -45,7 +238,11 @@ function IDBFactory () {
  */
 IDBFactory.prototype.open = function (name, version) {
     const req = new IDBOpenDBRequest();
+    const origin = getFactoryOrigin(this);
+    const {connections, schedulers, pendingCreations} = getOriginState(origin);
+    let sysdb;
     let calledDbCreateError = false;
+    let finished = false;
 
     if (arguments.length === 0) {
         throw new TypeError('Database name is required');
@@ -59,6 +256,15 @@ IDBFactory.prototype.open = function (name, version) {
     }
     name = String(name); // cast to a string
 
+    function finish () {
+        if (!finished) {
+            finished = true;
+            // Opens are queued per database, so any creation pending was this one's
+            delete pendingCreations[name];
+            processNextInConnectionQueue(origin, name);
+        }
+    }
+
     function dbCreateError (...args /* tx, err */) {
         if (calledDbCreateError) {
             return;
@@ -69,10 +275,11 @@ IDBFactory.prototype.open = function (name, version) {
         req.__readyState = 'done';
         req.__error = err || DOMException;
         req.dispatchEvent(evt);
+        finish();
     }
 
     function openDB (oldVersion) {
-        const db = CFG.win.openDatabase(util.escapeDatabaseName(name), 1, name, CFG.DEFAULT_DB_SIZE);
+        const db = openDatabase(name, origin);
         req.__readyState = 'done';
         if (version === undefined) {
             version = oldVersion || 1;
@@ -86,59 +293,103 @@ IDBFactory.prototype.open = function (name, version) {
         db.transaction(function (tx) {
             tx.executeSql('CREATE TABLE IF NOT EXISTS __sys__ (name VARCHAR(255), keyPath VARCHAR(255), autoInc BOOLEAN, indexList BLOB, currNum INTEGER)', [], function () {
                 tx.executeSql('SELECT * FROM __sys__', [], function (tx, data) {
-                    req.__result = new IDBDatabase(db, name, version, data);
-                    if (oldVersion < version) {
-                        // DB Upgrade in progress
-                        sysdb.transaction(function (systx) {
-                            systx.executeSql('UPDATE dbVersions SET version = ? WHERE name = ?', [version, name], function () {
-                                const e = new IDBVersionChangeEvent('upgradeneeded', {oldVersion, newVersion: version});
-                                req.__transaction = req.result.__versionTransaction = new IDBTransaction(req.result, req.result.objectStoreNames, 'versionchange');
-                                req.transaction.__addNonRequestToTransactionQueue(function onupgradeneeded (tx, args, success, error) {
-                                    req.dispatchEvent(e);
-                                    success();
-                                });
-                                req.transaction.on__beforecomplete = function () {
-                                    req.result.__versionTransaction = null;
-                                };
-                                req.transaction.on__abort = function () {
-                                    const err = createDOMException('AbortError', 'The upgrade transaction was aborted.');
-                                    dbCreateError(err);
-                                };
-                                req.transaction.on__complete = function () {
-                                    req.__transaction = null;
-                                    if (req.__result.__closed) {
-                                        const err = createDOMException('AbortError', 'The connection has been closed.');
-                                        dbCreateError(err);
-                                        return;
-                                    }
-                                    const e = createEvent('success');
-                                    req.dispatchEvent(e);
-                                };
-                            }, dbCreateError);
-                        }, dbCreateError);
-                    } else {
-                        const e = createEvent('success');
-                        req.dispatchEvent(e);
+                    const scheduler = schedulers[name] || new TransactionScheduler();
+                    if (!schedulers[name]) {
+                        schedulers[name] = scheduler;
+                        scheduler.on__empty = function () {
+                            pruneScheduler(origin, name, scheduler);
+                        };
                     }
+                    const connection = new IDBDatabase(db, name, version, data, scheduler);
+                    // Databases of earlier versions lack the multiEntry index entries (only
+                    //   added once, as flagged in the index lists read for the connection)
+                    const stores = Object.keys(connection.__objectStores).map((storeName) => connection.__objectStores[storeName]);
+                    IDBIndex.__addMissingEntries(tx, stores, function () {
+                        const openConnections = getOpenConnections(origin, name);
+                        req.__result = connection;
+                        req.__result.addEventListener('__closed', function () {
+                            pruneScheduler(origin, name, scheduler);
+                        });
+                        connections[name] = openConnections.concat(req.__result);
+                        if (oldVersion < version) {
+                            // DB Upgrade in progress
+                            triggerAnyVersionChangeAndBlockedEvents(openConnections, req, oldVersion, version, function () {
+                                sysdb.transaction(function (systx) {
+                                    systx.executeSql('UPDATE dbVersions SET version = ? WHERE name = ?', [version, name], function () {
+                                        const e = new IDBVersionChangeEvent('upgradeneeded', {oldVersion, newVersion: version});
+                                        req.result.__saveUpgradeState(oldVersion);
+                                        req.__transaction = req.result.__versionTransaction = new IDBTransaction(req.result, req.result.objectStoreNames, 'versionchange');
+                                        req.transaction.__addNonRequestToTransactionQueue(function onupgradeneeded (tx, args, success, error) {
+                                            req.dispatchEvent(e);
+                                            success();
+                                        });
+                                        req.transaction.on__beforecomplete = function () {
+                                            req.result.__versionTransaction = null;
+                                        };
+                                        req.transaction.on__abort = function () {
+                                            const err = createDOMException('AbortError', 'The upgrade transaction was aborted.');
+                                            req.__result.__versionTransaction = null;
+                                            req.__result.__closed = true;
+                                            req.__result = undefined;
+                                            req.__transaction = null;
+                                            // Restore the version prior to the upgrade (or forget a newly created database)
+                                            sysdb.transaction(function (systx) {
+                                                if (oldVersion === 0) {
+                                                    systx.executeSql('DELETE FROM dbVersions WHERE name = ?', [name], function () {
+                                                        dbCreateError(err);
+                                                    }, dbCreateError);
+                                                } else {
+                                                    systx.executeSql('UPDATE dbVersions SET version = ? WHERE name = ?', [oldVersion, name], function () {
+                                                        dbCreateError(err);
+                                                    }, dbCreateError);
+                                                }
+                                            }, dbCreateError);
+                                        };
+                                        req.transaction.on__complete = function () {
+                                            req.__transaction = null;
+                                            delete pendingCreations[name];
+                                            if (req.__result.__closed) {
+                                                const err = createDOMException('AbortError', 'The connection has been closed.');
+                                                dbCreateError(err);
+                                                return;
+                                            }
+                                            const e = createEvent('success');
+                                            req.dispatchEvent(e);
+                                            finish();
+                                        };
+                                    }, dbCreateError);
+                                }, dbCreateError);
+                            });
+                        } else {
+                            const e = createEvent('success');
+                            req.dispatchEvent(e);
+                            finish();
+                        }
+                    }, dbCreateError);
                 }, dbCreateError);
             }, dbCreateError);
         }, dbCreateError);
     }
 
-    createSysDB(function () {
-        sysdb.transaction(function (tx) {
-            tx.executeSql('SELECT * FROM dbVersions WHERE name = ?', [name], function (tx, data) {
-                if (data.rows.length === 0) {
-                    // Database with this name does not exist
-                    tx.executeSql('INSERT INTO dbVersions VALUES (?,?)', [name, version || 1], function () {
-                        openDB(0);
-                    }, dbCreateError);
-                } else {
-                    openDB(data.rows.item(0).version);
-                }
+    addRequestToConnectionQueue(origin, name, function () {
+        createSysDB(origin, function (db) {
+            sysdb = db;
+            sysdb.transaction(function (tx) {
+                tx.executeSql('SELECT * FROM dbVersions WHERE name = ?', [name], function (tx, data) {
+                    if (data.rows.length === 0) {
+                        // Database with this name does not exist (it is only to be listed
+                        //   by `databases` once its first upgrade has succeeded)
+                        pendingCreations[name] = true;
+                        tx.executeSql('INSERT INTO dbVersions VALUES (?,?)', [name, version || 1], function () {
+                            openDB(0);
+                        }, dbCreateError);
+                    } else {
+                        openDB(data.rows.item(0).version);
+                    }
+                }, dbCreateError);
             }, dbCreateError);
         }, dbCreateError);
-    }, dbCreateError);
+    });
 
     return req;
 };
@@ -150,13 +401,28 @@ IDBFactory.prototype.open = function (name, version) {
  */
 IDBFactory.prototype.deleteDatabase = function (name) {
     const req = new IDBOpenDBRequest();
+    const origin = getFactoryOrigin(this);
+    const {pendingDeletions} = getOriginState(origin);
+    let sysdb;
     let calledDBError = false;
+    let finished = false;
     let version = null;
 
     if (arguments.length === 0) {
         throw new TypeError('Database name is required');
     }
     name = String(name); // cast to a string
+    pendingDeletions[name] = (pendingDeletions[name] || 0) + 1;
+
+    function finish () {
+        if (!finished) {
+            finished = true;
+            if (!--pendingDeletions[name]) {
+                delete pendingDeletions[name];
+            }
+            processNextInConnectionQueue(origin, name);
+        }
+    }
 
     function dbError (...args /* tx, err */) {
         if (calledDBError) {
@@ -168,57 +434,73 @@ IDBFactory.prototype.deleteDatabase = function (name) {
         const e = createEvent('error', args, {bubbles: true});
         req.dispatchEvent(e);
         calledDBError = true;
+        finish();
     }
 
     function deleteFromDbVersions () {
         sysdb.transaction(function (systx) {
             systx.executeSql('DELETE FROM dbVersions WHERE name = ? ', [name], function () {
+                delete getOriginState(origin).backendDatabases[name];
+                closeDatabase(name, origin, true);
                 req.__result = undefined;
                 req.__readyState = 'done';
                 const e = new IDBVersionChangeEvent('success', {oldVersion: version, newVersion: null});
                 req.dispatchEvent(e);
+                finish();
             }, dbError);
         }, dbError);
     }
 
-    createSysDB(function () {
-        sysdb.transaction(function (systx) {
-            systx.executeSql('SELECT * FROM dbVersions WHERE name = ?', [name], function (tx, data) {
-                if (data.rows.length === 0) {
-                    req.__result = undefined;
-                    const e = new IDBVersionChangeEvent('success', {oldVersion: version, newVersion: null});
-                    req.dispatchEvent(e);
-                    return;
-                }
-                version = data.rows.item(0).version;
-                const db = CFG.win.openDatabase(util.escapeDatabaseName(name), 1, name, CFG.DEFAULT_DB_SIZE);
-                db.transaction(function (tx) {
-                    tx.executeSql('SELECT * FROM __sys__', [], function (tx, data) {
-                        const tables = data.rows;
-                        (function deleteTables (i) {
-                            if (i >= tables.length) {
-                                // If all tables are deleted, delete the housekeeping tables
-                                tx.executeSql('DROP TABLE IF EXISTS __sys__', [], function () {
-                                    // Finally, delete the record for this DB from sysdb
-                                    deleteFromDbVersions();
-                                }, dbError);
-                            } else {
-                                // Delete all tables in this database, maintained in the sys table
-                                tx.executeSql('DROP TABLE ' + util.escapeStore(tables.item(i).name), [], function () {
-                                    deleteTables(i + 1);
-                                }, function () {
-                                    deleteTables(i + 1);
-                                });
-                            }
-                        }(0));
-                    }, function (e) {
-                        // __sysdb table does not exist, but that does not mean delete did not happen
-                        deleteFromDbVersions();
-                    });
-                });
+    function deleteDB () {
+        const db = openDatabase(name, origin);
+        db.transaction(function (tx) {
+            tx.executeSql('SELECT * FROM __sys__', [], function (tx, data) {
+                const tables = data.rows;
+                (function deleteTables (i) {
+                    if (i >= tables.length) {
+                        // If all tables are deleted, delete the housekeeping tables
+                        tx.executeSql('DROP TABLE IF EXISTS __sys__', [], function () {
+                            // Finally, delete the record for this DB from sysdb
+                            deleteFromDbVersions();
+                        }, dbError);
+                    } else {
+                        // Delete all tables in this database, maintained in the sys table
+                        //   (along with the tables of their multiEntry index entries)
+                        const deleteEntriesTable = function () {
+                            tx.executeSql('DROP TABLE IF EXISTS ' + util.escapeIndexEntries(tables.item(i).name), [], function () {
+                                deleteTables(i + 1);
+                            }, function () {
+                                deleteTables(i + 1);
+                            });
+                        };
+                        tx.executeSql('DROP TABLE ' + util.escapeStore(tables.item(i).name), [], deleteEntriesTable, deleteEntriesTable);
+                    }
+                }(0));
+            }, function (e) {
+                // __sysdb table does not exist, but that does not mean delete did not happen
+                deleteFromDbVersions();
+            });
+        });
+    }
+
+    addRequestToConnectionQueue(origin, name, function () {
+        createSysDB(origin, function (db) {
+            sysdb = db;
+            sysdb.transaction(function (systx) {
+                systx.executeSql('SELECT * FROM dbVersions WHERE name = ?', [name], function (tx, data) {
+                    if (data.rows.length === 0) {
+                        req.__result = undefined;
+                        const e = new IDBVersionChangeEvent('success', {oldVersion: version, newVersion: null});
+                        req.dispatchEvent(e);
+                        finish();
+                        return;
+                    }
+                    version = data.rows.item(0).version;
+                    triggerAnyVersionChangeAndBlockedEvents(getOpenConnections(origin, name), req, version, null, deleteDB);
+                }, dbError);
             }, dbError);
         }, dbError);
-    }, dbError);
+    });
 
     return req;
 };
@@ -268,7 +550,39 @@ function cmp (key1, key2) {
 IDBFactory.prototype.cmp = cmp;
 
 /**
-* NON-STANDARD!! (Also may return outdated information if a database has since been deleted)
+ * Obtains the names and versions of the existing databases; databases for
+ *   which a `deleteDatabase` request is pending, or which are still being
+ *   created (i.e., whose first upgrade is pending), are not included
+ * @returns {Promise} Resolves to an array of `{name, version}` objects
+ */
+IDBFactory.prototype.databases = function () {
+    const origin = getFactoryOrigin(this);
+    return new Promise(function (resolve, reject) {
+        function dbGetDatabasesError (...args /* tx, err */) {
+            reject(findError(args));
+        }
+        const {pendingCreations, pendingDeletions} = getOriginState(origin);
+        // Those pending as of the call (rather than once the query has run)
+        const pending = Object.assign({}, pendingCreations, pendingDeletions);
+        createSysDB(origin, function (sysdb) {
+            sysdb.transaction(function (tx) {
+                tx.executeSql('SELECT name, version FROM dbVersions', [], function (tx, data) {
+                    const dbs = [];
+                    for (let i = 0; i < data.rows.length; i++) {
+                        const {name, version} = data.rows.item(i);
+                        if (!pending[name]) {
+                            dbs.push({name, version});
+                        }
+                    }
+                    resolve(dbs);
+                }, dbGetDatabasesError);
+            }, dbGetDatabasesError);
+        }, dbGetDatabasesError);
+    });
+};
+
+/**
+* NON-STANDARD!! (Also may return outdated information if a database has since been deleted; use `databases` instead)
 * @link https://www.w3.org/Bugs/Public/show_bug.cgi?id=16137
 * @link http://lists.w3.org/Archives/Public/public-webapps/2011JulSep/1537.html
 */
@@ -286,7 +600,7 @@ IDBFactory.prototype.webkitGetDatabaseNames = function () {
         req.dispatchEvent(evt);
     }
     const req = new IDBRequest();
-    createSysDB(function () {
+    createSysDB(getFactoryOrigin(this), function (sysdb) {
         sysdb.transaction(function (tx) {
             tx.executeSql('SELECT name FROM dbVersions', [], function (tx, data) {
                 const dbNames = new util.StringList();
@@ -303,6 +617,305 @@ IDBFactory.prototype.webkitGetDatabaseNames = function () {
     return req;
 };
 
+/**
+* NON-STANDARD!! Estimates the storage used by the databases (of the
+*   factory's origin), in the manner of `navigator.storage.estimate()`, e.g.,
+*   to warn users before reaching the limits of WebSQL. The usage of each
+*   object store is the sum of the (encoded) lengths in bytes of its keys,
+*   values, and index keys (including the entries of its multiEntry
+*   indexes), so excludes the overhead of SQLite's pages
+* @returns {Promise} Resolves to `{usage, quota, databases}`, where
+*   `databases` maps the name of each database to `{usage, quota,
+*   objectStores}` (with `objectStores` mapping the name of each store to
+*   its usage and `quota` being the size requested for each database,
+*   `CFG.DEFAULT_DB_SIZE`); the overall `usage` is the sum of those of the
+*   databases, while the overall `quota` is also the configured
+*   `CFG.DEFAULT_DB_SIZE` (as no limit for the origin as a whole is known)
+*/
+IDBFactory.prototype.__estimate = function () {
+    const origin = getFactoryOrigin(this);
+    return this.databases().then(function (dbs) {
+        return Promise.all(dbs.map(({name}) => estimateDatabase(origin, name)));
+    }).then(function (estimates) {
+        const databases = {};
+        let usage = 0;
+        estimates.forEach(({name, estimate}) => {
+            databases[name] = estimate;
+            usage += estimate.usage;
+        });
+        return {usage, quota: CFG.DEFAULT_DB_SIZE, databases};
+    });
+};
+
+/**
+ * Sums the lengths of the encoded keys, values, and index keys of each
+ *   object store of a database
+ * @param {string|null} origin
+ * @param {string} name The database name
+ * @returns {Promise} Resolves to `{name, estimate}`
+ */
+function estimateDatabase (origin, name) {
+    return new Promise(function (resolve, reject) {
+        function estimateError (...args /* tx, err */) {
+            reject(findError(args));
+        }
+        const estimate = {usage: 0, quota: CFG.DEFAULT_DB_SIZE, objectStores: {}};
+        getBackendDatabase(origin, name).readTransaction(function (tx) {
+            tx.executeSql('SELECT name, indexList FROM __sys__', [], function (tx, data) {
+                // Cast as the `LENGTH` of text is counted in characters rather than bytes
+                function getUsageSQL (columns, table) {
+                    return 'SELECT SUM(' + columns.map((column) => {
+                        return 'IFNULL(LENGTH(CAST(' + column + ' AS BLOB)), 0)';
+                    }).join(' + ') + ') AS usage FROM ' + table;
+                }
+                function addUsage (storeName) {
+                    return function (tx, data) {
+                        const usage = data.rows.item(0).usage || 0;
+                        estimate.objectStores[storeName] = (estimate.objectStores[storeName] || 0) + usage;
+                        estimate.usage += usage;
+                    };
+                }
+                for (let i = 0; i < data.rows.length; i++) {
+                    const {name: storeName} = data.rows.item(i);
+                    const indexList = JSON.parse(data.rows.item(i).indexList);
+                    const columns = ['key', 'value'].map(util.quote).concat(
+                        Object.keys(indexList).map(util.escapeIndex)
+                    );
+                    tx.executeSql(getUsageSQL(columns, util.escapeStore(storeName)), [], addUsage(storeName), estimateError);
+                    // The entries of multiEntry indexes (if added to their table)
+                    if (Object.keys(indexList).some((indexName) => indexList[indexName].entries)) {
+                        const sql = getUsageSQL(['indexName', 'entry', 'key'], util.escapeIndexEntries(storeName));
+                        tx.executeSql(sql, [], addUsage(storeName), estimateError);
+                    }
+                }
+            }, estimateError);
+        }, estimateError, function () {
+            resolve({name, estimate});
+        });
+    });
+}
+
+/**
+* NON-STANDARD!! Closes connections to a database with the "forced" flag
+*   (as when a user agent clears storage), aborting their transactions and
+*   firing `close` at each
+* @param {string} dbName
+* @param {number} [connIdx] Index (among the connections not yet fully closed) of a single connection to close
+* @param {string} [msg] Message for the `AbortError` of aborted transactions
+*/
+IDBFactory.prototype.__forceClose = function (dbName, connIdx, msg) {
+    const origin = getFactoryOrigin(this);
+    const name = String(dbName);
+    const openConnections = getOpenConnections(origin, name);
+    if (connIdx === undefined) {
+        openConnections.forEach((connection) => connection.__forceClose(msg));
+        // Let the storage backend close the database (reopening it if needed)
+        delete getOriginState(origin).backendDatabases[name];
+        closeDatabase(name, origin, false);
+    } else if (openConnections[connIdx]) {
+        openConnections[connIdx].__forceClose(msg);
+    } else {
+        throw createDOMException('NotFoundError', 'No open connection found at index ' + connIdx);
+    }
+};
+
+/**
+* NON-STANDARD!! Discards all databases kept in memory (with the
+*   `memoryDatabase` config), first force-closing all connections (of
+*   every origin) and forgetting their transaction schedulers, pending
+*   deletions, and backend databases
+*/
+IDBFactory.prototype.__resetMemoryDatabases = function () {
+    origins.forEach(({connections, schedulers, pendingDeletions, backendDatabases}, origin) => {
+        Object.keys(connections).forEach((dbName) => {
+            getOpenConnections(origin, dbName).forEach((connection) => {
+                connection.__forceClose('The in-memory databases were reset');
+            });
+        });
+        [schedulers, pendingDeletions, backendDatabases].forEach((map) => {
+            Object.keys(map).forEach((dbName) => {
+                delete map[dbName];
+            });
+        });
+    });
+    resetMemoryBackend();
+};
+
+/**
+* NON-STANDARD!! Serializes a whole database into a dump (e.g., for backups
+*   or for migrating it to another device); see `__importDatabase`
+* @param {string} name
+* @returns {Promise} Resolves to an array of JSON-serializable entries: one
+*   for the database (`{type: 'database', name, version}`), one for each
+*   object store (`{type: 'objectStore', name, keyPath, autoIncrement,
+*   currNum, indexes}`, with `indexes` holding `{name, keyPath, unique,
+*   multiEntry}` objects), and one for each record (`{type: 'record',
+*   objectStore, key, value}`, with the key and value structured-clone
+*   encoded so as to preserve Dates, Blobs, binary data, etc.). Rejects with
+*   a `NotFoundError` if the database does not exist
+*/
+IDBFactory.prototype.__exportDatabase = function (name) {
+    if (arguments.length === 0) {
+        throw new TypeError('Database name is required');
+    }
+    name = String(name); // cast to a string
+    const origin = getFactoryOrigin(this);
+    return new Promise(function (resolve, reject) {
+        // Wait for any `open` or `deleteDatabase` requests (e.g., upgrades) to finish
+        addRequestToConnectionQueue(origin, name, function () {
+            let failed = false;
+            function exportError (...args /* tx, err */) {
+                if (!failed) {
+                    failed = true;
+                    processNextInConnectionQueue(origin, name);
+                    reject(findError(args));
+                }
+            }
+            createSysDB(origin, function (sysdb) {
+                sysdb.readTransaction(function (systx) {
+                    systx.executeSql('SELECT version FROM dbVersions WHERE name = ?', [name], function (systx, data) {
+                        if (data.rows.length === 0) {
+                            exportError(createDOMException('NotFoundError', 'The database "' + name + '" does not exist'));
+                            return;
+                        }
+                        const entries = [{type: 'database', name, version: data.rows.item(0).version}];
+                        const db = openDatabase(name, origin);
+                        db.readTransaction(function (tx) {
+                            tx.executeSql('SELECT * FROM __sys__', [], function (tx, data) {
+                                for (let i = 0; i < data.rows.length; i++) {
+                                    const item = data.rows.item(i);
+                                    const indexList = JSON.parse(item.indexList);
+                                    entries.push({
+                                        type: 'objectStore',
+                                        name: item.name,
+                                        keyPath: JSON.parse(item.keyPath),
+                                        autoIncrement: Boolean(JSON.parse(item.autoInc)),
+                                        currNum: item.currNum,
+                                        indexes: Object.keys(indexList).filter((indexName) => {
+                                            return !indexList[indexName].deleted;
+                                        }).map((indexName) => {
+                                            const {keyPath, optionalParams} = indexList[indexName];
+                                            return {
+                                                name: indexName,
+                                                keyPath,
+                                                unique: optionalParams.unique,
+                                                multiEntry: optionalParams.multiEntry
+                                            };
+                                        })
+                                    });
+                                    exportRecords(tx, item.name);
+                                }
+                            }, exportError);
+                        }, exportError, function () {
+                            if (!failed) {
+                                processNextInConnectionQueue(origin, name);
+                                resolve(entries);
+                            }
+                        });
+
+                        function exportRecords (tx, storeName) {
+                            tx.executeSql('SELECT key, value FROM ' + util.escapeStore(storeName) + ' ORDER BY key', [], function (tx, data) {
+                                for (let i = 0; i < data.rows.length; i++) {
+                                    const item = data.rows.item(i);
+                                    // Keys (unlike values) contain no Blobs, so are encoded synchronously
+                                    Sca.encode(Key.decode(item.key), function (key) {
+                                        entries.push({
+                                            type: 'record',
+                                            objectStore: storeName,
+                                            key: JSON.parse(key),
+                                            value: JSON.parse(item.value)
+                                        });
+                                    });
+                                }
+                            }, exportError);
+                        }
+                    }, exportError);
+                }, exportError);
+            }, exportError);
+        });
+    });
+};
+
+/**
+* NON-STANDARD!! Recreates a database from a dump of `__exportDatabase`,
+*   creating its object stores and indexes and adding its records within the
+*   `versionchange` transaction opening the database
+* @param {object[]|string} dump The entries or their serialization as a JSON
+*   array or as newline-delimited JSON (one entry per line)
+* @returns {Promise} Resolves once the database has been created (and its
+*   connection closed). Rejects with a `ConstraintError` if a database of
+*   the same name already exists
+*/
+IDBFactory.prototype.__importDatabase = function (dump) {
+    if (typeof dump === 'string') {
+        dump = (/^\s*\[/).test(dump)
+            ? JSON.parse(dump)
+            : dump.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+    }
+    const [database] = dump;
+    if (!database || database.type !== 'database') {
+        throw new TypeError('The dump must begin with a database entry');
+    }
+    const req = this.open(database.name, database.version);
+    return new Promise(function (resolve, reject) {
+        const existsError = createDOMException('ConstraintError', 'The database "' + database.name + '" already exists');
+        let created = false;
+        req.onupgradeneeded = function (e) {
+            const db = req.result;
+            const tx = req.transaction;
+            if (e.oldVersion !== 0) {
+                reject(existsError);
+                tx.abort();
+                return;
+            }
+            created = true;
+            try {
+                dump.slice(1).forEach(function (entry) {
+                    if (entry.type === 'objectStore') {
+                        const store = db.createObjectStore(entry.name, {keyPath: entry.keyPath, autoIncrement: entry.autoIncrement});
+                        entry.indexes.forEach(({name, keyPath, unique, multiEntry}) => {
+                            store.createIndex(name, keyPath, {unique, multiEntry});
+                        });
+                    } else if (entry.type === 'record') {
+                        const store = tx.objectStore(entry.objectStore);
+                        const value = Sca.decode(JSON.stringify(entry.value));
+                        if (store.keyPath === null) {
+                            store.put(value, Sca.decode(JSON.stringify(entry.key)));
+                        } else {
+                            store.put(value);
+                        }
+                    }
+                });
+            } catch (err) {
+                reject(err);
+                tx.abort();
+                return;
+            }
+            // Restore the key generators (which may be ahead of the keys of the records)
+            dump.forEach(function (entry) {
+                if (entry.type === 'objectStore' && entry.autoIncrement) {
+                    const store = tx.objectStore(entry.name);
+                    tx.__addNonRequestToTransactionQueue(function restoreCurrNum (sqlTx, args, success, error) {
+                        store.__setCurrentNumber(entry.currNum);
+                        success();
+                    });
+                }
+            });
+        };
+        req.onsuccess = function () {
+            req.result.close();
+            if (created) {
+                resolve();
+            } else {
+                reject(existsError);
+            }
+        };
+        req.onerror = function () {
+            reject(req.error.name === 'VersionError' ? existsError : req.error);
+        };
+    });
+};
+
 IDBFactory.prototype.toString = function () {
     return '[object IDBFactory]';
 };
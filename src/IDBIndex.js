@@ -3,6 +3,7 @@ import {IDBCursor, IDBCursorWithValue} from './IDBCursor.js';
 import * as util from './util.js';
 import Key from './Key.js';
 import {setSQLForRange, IDBKeyRange} from './IDBKeyRange.js';
+import IDBTransaction from './IDBTransaction.js';
 import Sca from './Sca.js';
 import CFG from './CFG.js';
 
@@ -21,6 +22,8 @@ function IDBIndex (store, indexProperties) {
     this.__multiEntry = !!(optionalParams && optionalParams.multiEntry);
     this.__unique = !!(optionalParams && optionalParams.unique);
     this.__deleted = !!indexProperties.__deleted;
+    // Whether the entries of a multiEntry index are in the entries table (see `__addMissingEntries`)
+    this.__hasEntries = !!indexProperties.entries;
     this.__objectStore.__cursors = indexProperties.cursors || [];
 }
 
@@ -56,19 +59,23 @@ IDBIndex.__createIndex = function (store, index) {
     store.__indexes[index.name] = index;
     store.indexNames.push(index.name);
 
+    // The names with which to create the index in WebSQL (either may yet be renamed)
+    const storeName = store.name;
+    const indexName = index.name;
+
     // Create the index in WebSQL
     const transaction = store.transaction;
     transaction.__addNonRequestToTransactionQueue(function createIndex (tx, args, success, failure) {
         function error (tx, err) {
-            failure(createDOMException(0, 'Could not create index "' + index.name + '"', err));
+            failure(createDOMException(0, 'Could not create index "' + indexName + '"', err));
         }
 
         function applyIndex (tx) {
             // Update the object store's index list
             IDBIndex.__updateIndexList(store, tx, function () {
                 // Add index entries for all existing records
-                tx.executeSql('SELECT * FROM ' + util.escapeStore(store.name), [], function (tx, data) {
-                    CFG.DEBUG && console.log('Adding existing ' + store.name + ' records to the ' + index.name + ' index');
+                tx.executeSql('SELECT * FROM ' + util.escapeStore(storeName), [], function (tx, data) {
+                    CFG.DEBUG && console.log('Adding existing ' + storeName + ' records to the ' + indexName + ' index');
                     addIndexEntry(0);
 
                     function addIndexEntry (i) {
@@ -78,8 +85,15 @@ IDBIndex.__createIndex = function (store, index) {
                                 let indexKey = Key.evaluateKeyPathOnValue(value, index.keyPath, index.multiEntry);
                                 indexKey = Key.encode(indexKey, index.multiEntry);
 
-                                tx.executeSql('UPDATE ' + util.escapeStore(store.name) + ' SET ' + util.escapeIndex(index.name) + ' = ? WHERE key = ?', [indexKey, data.rows.item(i).key], function (tx, data) {
-                                    addIndexEntry(i + 1);
+                                const primaryKey = data.rows.item(i).key;
+                                tx.executeSql('UPDATE ' + util.escapeStore(storeName) + ' SET ' + util.escapeIndex(indexName) + ' = ? WHERE key = ?', [indexKey, primaryKey], function (tx) {
+                                    if (!index.multiEntry || indexKey === null) {
+                                        addIndexEntry(i + 1);
+                                        return;
+                                    }
+                                    IDBIndex.__addEntries(storeName, indexName, indexKey, primaryKey, tx, function () {
+                                        addIndexEntry(i + 1);
+                                    }, error);
                                 }, error);
                             } catch (e) {
                                 // Not a valid value to insert into index, so just continue
@@ -94,14 +108,23 @@ IDBIndex.__createIndex = function (store, index) {
             }, error);
         }
 
-        if (columnExists) {
-            // For a previously existing index, just update the index entries in the existing column
-            applyIndex(tx);
+        function addColumn (tx) {
+            if (columnExists) {
+                // For a previously existing index, just update the index entries in the existing column
+                applyIndex(tx);
+            } else {
+                // For a new index, add a new column to the object store, then apply the index
+                const sql = ['ALTER TABLE', util.escapeStore(storeName), 'ADD', util.escapeIndex(indexName), 'BLOB'].join(' ');
+                CFG.DEBUG && console.log(sql);
+                tx.executeSql(sql, [], applyIndex, error);
+            }
+        }
+
+        if (index.multiEntry) {
+            // The entries table is only created along with a first multiEntry index
+            IDBIndex.__createEntriesTable(storeName, tx, addColumn, error);
         } else {
-            // For a new index, add a new column to the object store, then apply the index
-            const sql = ['ALTER TABLE', util.escapeStore(store.name), 'ADD', util.escapeIndex(index.name), 'BLOB'].join(' ');
-            CFG.DEBUG && console.log(sql);
-            tx.executeSql(sql, [], applyIndex, error);
+            addColumn(tx);
         }
     }, undefined, store);
 };
@@ -117,6 +140,11 @@ IDBIndex.__deleteIndex = function (store, index) {
     store.__indexes[index.name].__deleted = true;
     store.indexNames.splice(store.indexNames.indexOf(index.name), 1);
 
+    // Determined now, as other indexes may yet be created or deleted (or the
+    //   store renamed) before this is carried out
+    const dropEntriesTable = index.multiEntry && !store.__hasMultiEntryIndex(true);
+    const storeName = store.name;
+
     // Remove the index in WebSQL
     const transaction = store.transaction;
     transaction.__addNonRequestToTransactionQueue(function deleteIndex (tx, args, success, failure) {
@@ -124,11 +152,126 @@ IDBIndex.__deleteIndex = function (store, index) {
             failure(createDOMException(0, 'Could not delete index "' + index.name + '"', err));
         }
 
-        // Update the object store's index list
-        IDBIndex.__updateIndexList(store, tx, success, error);
+        if (!index.multiEntry) {
+            // Update the object store's index list
+            IDBIndex.__updateIndexList(store, tx, success, error);
+            return;
+        }
+        // Remove the entries of the index (or their table along with the
+        //   last multiEntry index), then update the object store's index list
+        const sql = dropEntriesTable
+            ? 'DROP TABLE IF EXISTS ' + util.escapeIndexEntries(storeName)
+            : 'DELETE FROM ' + util.escapeIndexEntries(storeName) + ' WHERE indexName = ?';
+        tx.executeSql(sql, dropEntriesTable ? [] : [index.name], function (tx) {
+            IDBIndex.__updateIndexList(store, tx, success, error);
+        }, error);
     }, undefined, store);
 };
 
+/**
+ * Creates the table for the entries of an object store's multiEntry indexes
+ *   (if it does not yet exist), holding a row for each entry of a record's
+ *   index key so that the entries may be counted by SQLite.
+ * @param {string} storeName
+ * @param {object} tx
+ * @param {function} success
+ * @param {function} failure
+ * @protected
+ */
+IDBIndex.__createEntriesTable = function (storeName, tx, success, failure) {
+    const sql = [
+        'CREATE TABLE IF NOT EXISTS', util.escapeIndexEntries(storeName),
+        '(indexName BLOB, entry BLOB, key BLOB, PRIMARY KEY (indexName, entry, key), UNIQUE (key, indexName, entry))'
+    ].join(' ');
+    CFG.DEBUG && console.log(sql);
+    tx.executeSql(sql, [], success, failure);
+};
+
+/**
+ * Adds the entries of a record's multiEntry index key.
+ * @param {string} storeName
+ * @param {string} indexName
+ * @param {string} encodedIndexKey
+ * @param {string} encodedPrimaryKey
+ * @param {object} tx
+ * @param {function} success
+ * @param {function} failure
+ * @protected
+ */
+IDBIndex.__addEntries = function (storeName, indexName, encodedIndexKey, encodedPrimaryKey, tx, success, failure) {
+    const sql = 'INSERT INTO ' + util.escapeIndexEntries(storeName) + ' (indexName, entry, key) VALUES (?, ?, ?)';
+    const entries = Key.getMultiEntries(encodedIndexKey);
+    (function addEntry (i) {
+        if (i === entries.length) {
+            success(tx);
+            return;
+        }
+        tx.executeSql(sql, [indexName, entries[i], encodedPrimaryKey], function (tx) {
+            addEntry(i + 1);
+        }, failure);
+    }(0));
+};
+
+/**
+ * Adds the entries of the multiEntry indexes of databases of earlier
+ *   versions, whose index lists do not yet flag the indexes as having their
+ *   entries in the entries table; as the flag is then set, this is only done
+ *   once for each database (and no statements are run otherwise).
+ * @param {object} tx
+ * @param {IDBObjectStore[]} stores The object stores of the opened database
+ * @param {function} success
+ * @param {function} failure
+ * @protected
+ */
+IDBIndex.__addMissingEntries = function (tx, stores, success, failure) {
+    (function addStoreEntries (i) {
+        if (i === stores.length) {
+            success(tx);
+            return;
+        }
+        const store = stores[i];
+        const storeName = store.name;
+        const indexNames = store.indexNames.map((indexName) => store.__indexes[indexName]).filter((index) => {
+            return index.multiEntry && !index.__hasEntries;
+        }).map((index) => index.name);
+        if (!indexNames.length) {
+            addStoreEntries(i + 1);
+            return;
+        }
+        CFG.DEBUG && console.log('Adding the multiEntry index entries of ' + storeName, indexNames);
+        IDBIndex.__createEntriesTable(storeName, tx, function (tx) {
+            addIndexEntries(0);
+        }, failure);
+
+        function addIndexEntries (j) {
+            if (j === indexNames.length) {
+                indexNames.forEach((indexName) => {
+                    store.__indexes[indexName].__hasEntries = true;
+                });
+                // Flags the indexes (along with any other multiEntry indexes)
+                IDBIndex.__updateIndexList(store, tx, function () {
+                    addStoreEntries(i + 1);
+                }, failure);
+                return;
+            }
+            const indexName = indexNames[j];
+            const sql = 'SELECT key, ' + util.escapeIndex(indexName) + ' FROM ' + util.escapeStore(storeName) + ' WHERE ' + util.escapeIndex(indexName) + ' NOT NULL';
+            tx.executeSql(sql, [], function (tx, data) {
+                (function addRecordEntries (k) {
+                    if (k === data.rows.length) {
+                        addIndexEntries(j + 1);
+                        return;
+                    }
+                    const row = data.rows.item(k);
+                    IDBIndex.__addEntries(storeName, indexName, row[util.escapeIndexName(indexName)], row.key, tx, function () {
+                        addRecordEntries(k + 1);
+                    }, failure);
+                }(0));
+            }, failure);
+        }
+    }(0));
+};
+
 /**
  * Updates index list for the given object store.
  * @param {IDBObjectStore} store
@@ -150,6 +293,10 @@ IDBIndex.__updateIndexList = function (store, tx, success, failure) {
             },
             deleted: !!idx.deleted
         };
+        if (idx.multiEntry) {
+            // The entries of the index are kept in the entries table (see `__addMissingEntries`)
+            indexList[idx.name].entries = true;
+        }
     }
 
     CFG.DEBUG && console.log('Updating the index list for ' + store.name, indexList);
@@ -162,11 +309,17 @@ IDBIndex.__updateIndexList = function (store, tx, success, failure) {
  * Retrieves index data for the given key
  * @param {*|IDBKeyRange} key
  * @param {string} opType
+ * @param {boolean} nullDisallowed
+ * @param {boolean} unboundedAllowed
+ * @param {number} [count] Maximum number of records for the `getAll` and `getAllKeys` operation types
  * @returns {IDBRequest}
  * @private
  */
-IDBIndex.prototype.__fetchIndexData = function (range, opType, nullDisallowed, unboundedAllowed) {
+IDBIndex.prototype.__fetchIndexData = function (range, opType, nullDisallowed, unboundedAllowed, count) {
     const me = this;
+    if (count !== undefined) {
+        count = util.enforceRange(count, 'unsigned long');
+    }
     const hasUnboundedRange = unboundedAllowed && range == null;
 
     if (this.__deleted) {
@@ -181,7 +334,7 @@ IDBIndex.prototype.__fetchIndexData = function (range, opType, nullDisallowed, u
         throw createDOMException('DataError', 'No key or range was specified');
     }
 
-    const fetchArgs = fetchIndexData(me, !hasUnboundedRange, range, opType, false);
+    const fetchArgs = fetchIndexData(me, !hasUnboundedRange, range, opType, false, count);
     return me.objectStore.transaction.__addToTransactionQueue(function (...args) {
         executeFetchIndexData(...fetchArgs, ...args);
     }, undefined, me);
@@ -225,64 +378,119 @@ IDBIndex.prototype.getKey = function (query) {
     return this.__fetchIndexData(query, 'key', true);
 };
 
-/*
-// Todo: Implement getAll
 IDBIndex.prototype.getAll = function (query, count) {
+    return this.__fetchIndexData(query, 'getAll', false, true, count);
 };
-*/
 
-/*
-// Todo: Implement getAllKeys
 IDBIndex.prototype.getAllKeys = function (query, count) {
+    return this.__fetchIndexData(query, 'getAllKeys', false, true, count);
 };
-*/
 
 IDBIndex.prototype.count = function (query) {
+    const me = this;
+    if (me.__deleted) {
+        throw createDOMException('InvalidStateError', 'This index has been deleted');
+    }
+    if (me.objectStore.__deleted) {
+        throw createDOMException('InvalidStateError', "This index's object store has been deleted");
+    }
+    IDBTransaction.__assertActive(me.objectStore.transaction);
+
     // key is optional
-    if (util.instanceOf(query, IDBKeyRange)) {
-        if (!query.toString() !== '[object IDBKeyRange]') {
-            query = new IDBKeyRange(query.lower, query.upper, query.lowerOpen, query.upperOpen);
+    let range = query;
+    if (range == null) {
+        range = undefined;
+    } else if (util.instanceOf(range, IDBKeyRange)) {
+        // We still need to validate IDBKeyRange-like objects (the above check is based on duck-typing)
+        if (!range.toString() !== '[object IDBKeyRange]') {
+            range = new IDBKeyRange(range.lower, range.upper, range.lowerOpen, range.upperOpen);
         }
-        // We don't need to add to cursors array since has the count parameter which won't cache
-        return new IDBCursorWithValue(query, 'next', this.objectStore, this, util.escapeIndexName(this.name), 'value', true).__req;
+    } else {
+        range = IDBKeyRange.only(range);
     }
-    return this.__fetchIndexData(query, 'count', false, true);
+
+    // Let SQLite do the counting, for multiEntry indexes of the index key entries
+    let sql;
+    const sqlValues = [];
+    if (me.multiEntry) {
+        sql = ['SELECT COUNT(*) AS count FROM', util.escapeIndexEntries(me.objectStore.name), 'WHERE indexName = ?'];
+        sqlValues.push(me.name);
+        if (range !== undefined) {
+            // The entries are encoded as array items
+            range.__lowerCached = range.lower !== undefined && Key.encode(range.lower, true);
+            range.__upperCached = range.upper !== undefined && Key.encode(range.upper, true);
+            setSQLForRange(range, 'entry', sql, sqlValues, true, true);
+        }
+    } else {
+        sql = ['SELECT COUNT(*) AS count FROM', util.escapeStore(me.objectStore.name), 'WHERE', util.escapeIndex(me.name), 'NOT NULL'];
+        setSQLForRange(range, util.escapeIndex(me.name), sql, sqlValues, true, false);
+    }
+    sql = sql.join(' ');
+    return me.objectStore.transaction.__addToTransactionQueue(function indexCount (tx, args, success, error) {
+        CFG.DEBUG && console.log('Counting', me.name, sql, sqlValues);
+        tx.executeSql(sql, sqlValues, function (tx, data) {
+            success(data.rows.item(0).count);
+        }, function (tx, err) {
+            error(err);
+        });
+    }, undefined, me);
 };
 
+/**
+ * Renames the index's column of the object store's table (rebuilding the
+ *   table) along with the index's rows in the table of the entries of
+ *   multiEntry indexes, then updates the object store's index list.
+ * @param {string} storeName
+ * @param {string} oldName
+ * @param {string} newName
+ * @param {Array[]} colInfoToPreserveArr The names and types of the other columns of the table
+ * @private
+ */
 IDBIndex.prototype.__renameIndex = function (storeName, oldName, newName, colInfoToPreserveArr = []) {
     const newNameType = 'BLOB';
     const colNamesToPreserve = colInfoToPreserveArr.map((colInfo) => colInfo[0]);
     const colInfoToPreserve = colInfoToPreserveArr.map((colInfo) => colInfo.join(' '));
     const listColInfoToPreserve = (colInfoToPreserve.length ? (colInfoToPreserve.join(', ') + ', ') : '');
     const listColsToPreserve = (colNamesToPreserve.length ? (colNamesToPreserve.join(', ') + ', ') : '');
+    // Neither a store (`s_`) nor an entries (`e_`) table
+    const tmpTable = util.quote('tmp__');
 
     const me = this;
+    const store = me.objectStore;
     // We could adapt the approach at http://stackoverflow.com/a/8430746/271577
     //    to make the approach reusable without passing column names, but it is a bit fragile
-    me.transaction.__addNonRequestToTransactionQueue(function renameIndex (tx, args, success, error) {
-        const sql = 'ALTER TABLE ' + util.escapeStore(storeName) + ' RENAME TO tmp_' + util.escapeStore(storeName);
-        tx.executeSql(sql, [], function (tx, data) {
-            const sql = 'CREATE TABLE ' + util.escapeStore(storeName) + '(' + listColInfoToPreserve + util.escapeIndex(newName) + ' ' + newNameType + ')';
-            tx.executeSql(sql, [], function (tx, data) {
-                const sql = 'INSERT INTO ' + util.escapeStore(storeName) + '(' +
-                    listColsToPreserve +
-                    util.escapeIndex(newName) +
-                    ') SELECT ' + listColsToPreserve + util.escapeIndex(oldName) + ' FROM tmp_' + util.escapeStore(storeName);
-                tx.executeSql(sql, [], function (tx, data) {
-                    const sql = 'DROP TABLE tmp_' + util.escapeStore(storeName);
-                    tx.executeSql(sql, [], function (tx, data) {
-                        success();
-                    }, function (tx, err) {
-                        error(err);
-                    });
-                }, function (tx, err) {
-                    error(err);
-                });
-            });
-        }, function (tx, err) {
-            error(err);
-        });
-    });
+    store.transaction.__addNonRequestToTransactionQueue(function renameIndex (tx, args, success, failure) {
+        function error (tx, err) {
+            failure(createDOMException(0, 'Could not rename index "' + oldName + '"', err));
+        }
+
+        function updateIndexList (tx) {
+            IDBIndex.__updateIndexList(store, tx, function () {
+                success();
+            }, error);
+        }
+
+        const sql = 'CREATE TABLE ' + tmpTable + ' (' + listColInfoToPreserve + util.escapeIndex(newName) + ' ' + newNameType + ')';
+        CFG.DEBUG && console.log(sql);
+        tx.executeSql(sql, [], function (tx) {
+            const sql = 'INSERT INTO ' + tmpTable + ' (' +
+                listColsToPreserve +
+                util.escapeIndex(newName) +
+                ') SELECT ' + listColsToPreserve + util.escapeIndex(oldName) + ' FROM ' + util.escapeStore(storeName);
+            tx.executeSql(sql, [], function (tx) {
+                tx.executeSql('DROP TABLE ' + util.escapeStore(storeName), [], function (tx) {
+                    tx.executeSql('ALTER TABLE ' + tmpTable + ' RENAME TO ' + util.escapeStore(storeName), [], function (tx) {
+                        if (!me.multiEntry) {
+                            updateIndexList(tx);
+                            return;
+                        }
+                        const sql = 'UPDATE ' + util.escapeIndexEntries(storeName) + ' SET indexName = ? WHERE indexName = ?';
+                        tx.executeSql(sql, [newName, oldName], updateIndexList, error);
+                    }, error);
+                }, error);
+            }, error);
+        }, error);
+    }, undefined, store);
 };
 
 IDBIndex.prototype.toString = function () {
@@ -319,18 +527,44 @@ Object.defineProperty(IDBIndex.prototype, 'name', {
             throw createDOMException('ConstraintError', 'Index "' + newName + '" already exists on ' + me.objectStore.name);
         }
 
+        // Rename the store's instance of the index too (the handle being a clone)
+        const store = me.objectStore;
+        const index = store.__indexes[oldName];
         me.__name = newName;
+        index.__name = newName;
+        delete store.__indexes[oldName];
+        store.__indexes[newName] = index;
+        store.indexNames.splice(store.indexNames.indexOf(oldName), 1);
+        store.indexNames.push(newName);
+
         // Todo: Add pending flag to delay queries against this index until renamed in SQLite
         const colInfoToPreserveArr = [
-            ['key', 'BLOB ' + (me.objectStore.autoIncrement ? 'UNIQUE, inc INTEGER PRIMARY KEY AUTOINCREMENT' : 'PRIMARY KEY')],
+            ['key', 'BLOB ' + (store.autoIncrement ? 'UNIQUE' : 'PRIMARY KEY')]
+        ].concat(store.autoIncrement ? [['inc', 'INTEGER PRIMARY KEY AUTOINCREMENT']] : [], [
             ['value', 'BLOB']
-        ];
-        this.__renameIndex(me.objectStore.name, oldName, newName, colInfoToPreserveArr);
+        ], Object.keys(store.__indexes).filter((indexName) => {
+            // Including the columns of indexes deleted in this transaction, as they may yet be recreated
+            return indexName !== newName;
+        }).map((indexName) => {
+            return [util.escapeIndex(indexName), 'BLOB'];
+        }));
+        this.__renameIndex(store.name, oldName, newName, colInfoToPreserveArr);
     }
 });
 
-function executeFetchIndexData (index, hasKey, encodedKey, opType, multiChecks, sql, sqlValues, tx, args, success, error) {
+function executeFetchIndexData (index, hasKey, encodedKey, opType, multiChecks, count, sql, sqlValues, tx, args, success, error) {
     tx.executeSql(sql.join(' '), sqlValues, function (tx, data) {
+        if (opType === 'getAll' || opType === 'getAllKeys') {
+            // The records of multiEntry indexes are already those of the index key entries
+            const records = [];
+            for (let i = 0; i < data.rows.length; i++) {
+                records.push(data.rows.item(i));
+            }
+            success(records.map((record) => {
+                return opType === 'getAllKeys' ? Key.decode(record.key) : Sca.decode(record.value);
+            }));
+            return;
+        }
         let recordCount = 0, record = null;
         if (index.multiEntry) {
             for (let i = 0; i < data.rows.length; i++) {
@@ -364,7 +598,56 @@ function executeFetchIndexData (index, hasKey, encodedKey, opType, multiChecks,
     }, error);
 }
 
-function fetchIndexData (index, hasRange, range, opType, multiChecks) {
+/**
+ * Builds the SQL for retrieving the records of a multiEntry index by the
+ *   entries of their index keys (so that SQLite may sort and limit them).
+ * @param {IDBIndex} index
+ * @param {boolean} hasRange
+ * @param {*|IDBKeyRange} range
+ * @param {string} opType `getAll` or `getAllKeys`
+ * @param {number} [count]
+ * @returns {Array} The arguments for `executeFetchIndexData` which precede the transaction
+ */
+function fetchIndexEntriesData (index, hasRange, range, opType, count) {
+    const sql = [
+        'SELECT s.key AS key, s.value AS value FROM', util.escapeIndexEntries(index.objectStore.name), 'AS e',
+        'INNER JOIN', util.escapeStore(index.objectStore.name), 'AS s ON s.key = e.key',
+        'WHERE e.indexName = ?'
+    ];
+    const sqlValues = [index.name];
+    if (hasRange) {
+        let keyRange = range;
+        if (util.instanceOf(keyRange, IDBKeyRange)) {
+            // We still need to validate IDBKeyRange-like objects (the above check is based on duck-typing)
+            if (!keyRange.toString() !== '[object IDBKeyRange]') {
+                keyRange = new IDBKeyRange(keyRange.lower, keyRange.upper, keyRange.lowerOpen, keyRange.upperOpen);
+            }
+        } else {
+            keyRange = IDBKeyRange.only(keyRange);
+        }
+        // The entries are encoded as array items
+        setSQLForRange({
+            lower: keyRange.lower,
+            upper: keyRange.upper,
+            lowerOpen: keyRange.lowerOpen,
+            upperOpen: keyRange.upperOpen,
+            __lowerCached: keyRange.lower !== undefined && Key.encode(keyRange.lower, true),
+            __upperCached: keyRange.upper !== undefined && Key.encode(keyRange.upper, true)
+        }, 'e.entry', sql, sqlValues, true, true);
+    }
+    sql.push('ORDER BY e.entry, e.key');
+    if (count) {
+        sql.push('LIMIT', count);
+    }
+    CFG.DEBUG && console.log('Trying to fetch data for Index', sql.join(' '), sqlValues);
+    return [index, hasRange, range, opType, false, count, sql, sqlValues];
+}
+
+function fetchIndexData (index, hasRange, range, opType, multiChecks, count) {
+    const isGetAll = opType === 'getAll' || opType === 'getAllKeys';
+    if (index.multiEntry && isGetAll && !multiChecks) {
+        return fetchIndexEntriesData(index, hasRange, range, opType, count);
+    }
     const sql = ['SELECT * FROM', util.escapeStore(index.objectStore.name), 'WHERE', util.escapeIndex(index.name), 'NOT NULL'];
     const sqlValues = [];
     if (hasRange) {
@@ -392,8 +675,14 @@ function fetchIndexData (index, hasRange, range, opType, multiChecks) {
             setSQLForRange(range, util.escapeIndex(index.name), sql, sqlValues, true, false);
         }
     }
+    if (opType !== 'count') {
+        sql.push('ORDER BY', util.escapeIndex(index.name), ',', util.quote('key'));
+    }
+    if (isGetAll && count) {
+        sql.push('LIMIT', count);
+    }
     CFG.DEBUG && console.log('Trying to fetch data for Index', sql.join(' '), sqlValues);
-    return [index, hasRange, range, opType, multiChecks, sql, sqlValues];
+    return [index, hasRange, range, opType, multiChecks, count, sql, sqlValues];
 }
 
 export {fetchIndexData, executeFetchIndexData, IDBIndex, IDBIndex as default};
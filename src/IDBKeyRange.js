@@ -15,10 +15,10 @@ function IDBKeyRange (lower, upper, lowerOpen, upperOpen) {
         throw new TypeError('Both arguments to the key range method cannot be undefined');
     }
     if (lower !== undefined) {
-        Key.convertValueToKey(lower);
+        lower = Key.convertValueToKey(lower);
     }
     if (upper !== undefined) {
-        Key.convertValueToKey(upper);
+        upper = Key.convertValueToKey(upper);
     }
     if (lower !== undefined && upper !== undefined && lower !== upper) {
         if (Key.encode(lower) > Key.encode(upper)) {
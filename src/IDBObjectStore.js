@@ -1,4 +1,4 @@
-import {createDOMException} from './DOMException.js';
+import {createDOMException, createDOMExceptionFromSQLError} from './DOMException.js';
 import {IDBCursor, IDBCursorWithValue} from './IDBCursor.js';
 import {setSQLForRange, IDBKeyRange} from './IDBKeyRange.js';
 import * as util from './util.js';
@@ -71,20 +71,21 @@ IDBObjectStore.__createObjectStore = function (db, store) {
     db.__objectStores[store.name] = store;
     db.objectStoreNames.push(store.name);
 
-    // Add the object store to WebSQL
+    // Add the object store to WebSQL (with its current name, as it may yet be renamed)
+    const storeName = store.name;
     const transaction = db.__versionTransaction;
     IDBTransaction.__assertVersionChange(transaction);
     transaction.__addNonRequestToTransactionQueue(function createObjectStore (tx, args, success, failure) {
         function error (tx, err) {
             CFG.DEBUG && console.log(err);
-            throw createDOMException(0, 'Could not create object store "' + store.name + '"', err);
+            throw createDOMException(0, 'Could not create object store "' + storeName + '"', err);
         }
 
         // key INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL UNIQUE
-        const sql = ['CREATE TABLE', util.escapeStore(store.name), '(key BLOB', store.autoIncrement ? 'UNIQUE, inc INTEGER PRIMARY KEY AUTOINCREMENT' : 'PRIMARY KEY', ', value BLOB)'].join(' ');
+        const sql = ['CREATE TABLE', util.escapeStore(storeName), '(key BLOB', store.autoIncrement ? 'UNIQUE, inc INTEGER PRIMARY KEY AUTOINCREMENT' : 'PRIMARY KEY', ', value BLOB)'].join(' ');
         CFG.DEBUG && console.log(sql);
         tx.executeSql(sql, [], function (tx, data) {
-            tx.executeSql('INSERT INTO __sys__ VALUES (?,?,?,?,?)', [store.name, JSON.stringify(store.keyPath), store.autoIncrement, '{}', 1], function () {
+            tx.executeSql('INSERT INTO __sys__ VALUES (?,?,?,?,?)', [storeName, JSON.stringify(store.keyPath), store.autoIncrement, '{}', 1], function () {
                 success(store);
             }, error);
         }, error);
@@ -107,6 +108,9 @@ IDBObjectStore.__deleteObjectStore = function (db, store) {
     const transaction = db.__versionTransaction;
     IDBTransaction.__assertVersionChange(transaction);
     transaction.__addNonRequestToTransactionQueue(function deleteObjectStore (tx, args, success, failure) {
+        // A store of the same name may yet be created with a new key generator
+        delete transaction.__keyGenerators[store.name];
+
         function error (tx, err) {
             CFG.DEBUG && console.log(err);
             failure(createDOMException(0, 'Could not delete ObjectStore', err));
@@ -115,8 +119,10 @@ IDBObjectStore.__deleteObjectStore = function (db, store) {
         tx.executeSql('SELECT * FROM __sys__ WHERE name = ?', [store.name], function (tx, data) {
             if (data.rows.length > 0) {
                 tx.executeSql('DROP TABLE ' + util.escapeStore(store.name), [], function () {
-                    tx.executeSql('DELETE FROM __sys__ WHERE name = ?', [store.name], function () {
-                        success();
+                    tx.executeSql('DROP TABLE IF EXISTS ' + util.escapeIndexEntries(store.name), [], function () {
+                        tx.executeSql('DELETE FROM __sys__ WHERE name = ?', [store.name], function () {
+                            success();
+                        }, error);
                     }, error);
                 }, error);
             }
@@ -164,6 +170,46 @@ IDBObjectStore.prototype.__validateKeyAndValue = function (value, key) {
     return key;
 };
 
+/**
+ * Retrieves the current number of the object store's key generator, which is
+ *   only read from the database once per transaction (being kept by the
+ *   transaction until written back once its requests have finished)
+ * @param {Object} tx
+ * @param {function} callback
+ * @param {function} failure
+ * @private
+ */
+IDBObjectStore.prototype.__getCurrentNumber = function (tx, callback, failure) {
+    const keyGenerators = this.transaction.__keyGenerators;
+    const name = this.name;
+    if (keyGenerators.hasOwnProperty(name)) {
+        callback(keyGenerators[name].currNum);
+        return;
+    }
+    tx.executeSql('SELECT currNum FROM __sys__ WHERE name = ?', [name], function (tx, data) {
+        const currNum = data.rows.length !== 1 ? 1 : data.rows.item(0).currNum;
+        keyGenerators[name] = {currNum, storedCurrNum: currNum};
+        callback(currNum);
+    }, function (tx, error) {
+        failure(createDOMException('DataError', 'Could not get the auto increment value for key', error));
+    });
+};
+
+/**
+ * Sets the current number of the object store's key generator (to be written
+ *   back once the transaction's requests have finished)
+ * @param {number} currNum
+ * @private
+ */
+IDBObjectStore.prototype.__setCurrentNumber = function (currNum) {
+    const keyGenerators = this.transaction.__keyGenerators;
+    if (!keyGenerators.hasOwnProperty(this.name)) {
+        keyGenerators[this.name] = {currNum, storedCurrNum: undefined};
+        return;
+    }
+    keyGenerators[this.name].currNum = currNum;
+};
+
 /**
  * From the store properties and object, extracts the value for the key in the object store
  * If the table has auto increment, get the current number (unless it has a keyPath leading to a
@@ -178,15 +224,7 @@ IDBObjectStore.prototype.__deriveKey = function (tx, value, key, success, failur
     const me = this;
 
     function getCurrentNumber (callback) {
-        tx.executeSql('SELECT currNum FROM __sys__ WHERE name = ?', [me.name], function (tx, data) {
-            if (data.rows.length !== 1) {
-                callback(1);
-            } else {
-                callback(data.rows.item(0).currNum);
-            }
-        }, function (tx, error) {
-            failure(createDOMException('DataError', 'Could not get the auto increment value for key', error));
-        });
+        me.__getCurrentNumber(tx, callback, failure);
     }
 
     // This variable determines against which key comparisons should be made
@@ -271,11 +309,13 @@ IDBObjectStore.prototype.__insertData = function (tx, encoded, value, primaryKey
         const sqlStart = ['INSERT INTO ', util.escapeStore(this.name), '('];
         const sqlEnd = [' VALUES ('];
         const insertSqlValues = [];
+        let encodedPrimaryKey;
         if (primaryKey !== undefined) {
-            Key.convertValueToKey(primaryKey);
+            primaryKey = Key.convertValueToKey(primaryKey);
+            encodedPrimaryKey = Key.encode(primaryKey);
             sqlStart.push(util.quote('key'), ',');
             sqlEnd.push('?,');
-            insertSqlValues.push(Key.encode(primaryKey));
+            insertSqlValues.push(encodedPrimaryKey);
         }
         for (const key in paramMap) {
             sqlStart.push(util.escapeIndex(key) + ',');
@@ -297,11 +337,15 @@ IDBObjectStore.prototype.__insertData = function (tx, encoded, value, primaryKey
                 result = undefined;
             }
             tx.executeSql(insertSql, insertSqlValues, function (tx, data) {
-                if (cb) {
-                    cb();
-                } else success(result);
+                me.__addIndexEntries(tx, encodedPrimaryKey, paramMap, function () {
+                    if (cb) {
+                        cb();
+                    } else success(result);
+                }, function (tx, err) {
+                    error(err);
+                });
             }, function (tx, err) {
-                error(createDOMException('ConstraintError', err.message, err));
+                error(createDOMExceptionFromSQLError(err));
             });
         };
 
@@ -313,48 +357,100 @@ IDBObjectStore.prototype.__insertData = function (tx, encoded, value, primaryKey
                 return;
             }
 
-            // Bump up the auto-inc counter if the key path-resolved value is valid (greater than old value and >=1) OR
-            //  if a manually passed in key is valid (numeric and >= 1) and >= any primaryKey
-            // Todo: If primaryKey is not a number, we should be checking the value of any previous "current number" and compare with that
-            if (useNewForAutoInc) {
-                insert(function () {
-                    const sql = 'UPDATE __sys__ SET currNum = ? WHERE name = ?';
-                    const sqlValues = [
-                        Math.floor(primaryKey) + 1, me.name
-                    ];
-                    CFG.DEBUG && console.log(sql, sqlValues);
-                    tx.executeSql(sql, sqlValues, function (tx, data) {
-                        success(primaryKey);
-                    }, function (tx, err) {
-                        error(createDOMException('UnknownError', 'Could not set the auto increment value for key', err));
-                    });
-                });
             // If the key path-resolved value is invalid (not numeric or < 1) or
-            //    if a manually passed in key is invalid (non-numeric or < 1),
-            //    then we don't need to modify the current number
-            } else if (useNewForAutoInc === false || !Number.isFinite(primaryKey) || primaryKey < 1) {
+            //    if a manually passed in key is invalid (non-numeric or < 1)
+            //    or less than the current number, then we don't need to modify
+            //    the current number
+            // Todo: If primaryKey is not a number, we should be checking the value of any previous "current number" and compare with that
+            if (useNewForAutoInc === false || !Number.isFinite(primaryKey) || primaryKey < 1) {
                 insert(primaryKey);
-            // Increment current number by 1 (we cannot leverage SQLite's
-            //  autoincrement (and decrement when not needed), as decrementing
-            //  will be overwritten/ignored upon the next insert)
-            } else {
-                insert(function () {
-                    const sql = 'UPDATE __sys__ SET currNum = currNum + 1 WHERE name = ?';
-                    const sqlValues = [me.name];
-                    CFG.DEBUG && console.log(sql, sqlValues);
-                    tx.executeSql(sql, sqlValues, function (tx, data) {
-                        success(primaryKey);
-                    }, function (tx, err) {
-                        error(createDOMException('UnknownError', 'Could not set the auto increment value for key', err));
-                    });
-                });
+                return;
             }
+            // Bump up the current number past the generated key, or past a
+            //  valid key path-resolved value or manually passed in key which is
+            //  not less than it (we cannot leverage SQLite's autoincrement (and
+            //  decrement when not needed), as decrementing will be
+            //  overwritten/ignored upon the next insert)
+            insert(function () {
+                me.__setCurrentNumber(Math.floor(primaryKey) + 1);
+                success(primaryKey);
+            });
         });
     }).catch(function (err) {
         error(err);
     });
 };
 
+/**
+ * Whether any of the object store's indexes is a multiEntry index (whose
+ *   entries are kept in a table of their own).
+ * @param {boolean} [includePending] Whether to count indexes whose creation
+ *   has been queued but not yet carried out (as when queueing changes to the
+ *   table of the entries rather than running statements against it)
+ * @returns {boolean}
+ * @private
+ */
+IDBObjectStore.prototype.__hasMultiEntryIndex = function (includePending) {
+    const me = this;
+    return me.indexNames.map((indexName) => me.__indexes[indexName]).some((index) => {
+        return index.multiEntry && (includePending || !index.__pending);
+    });
+};
+
+/**
+ * Adds the entries of a newly stored record to the multiEntry indexes.
+ * @param {object} tx
+ * @param {string} encodedPrimaryKey
+ * @param {object} paramMap The record's encoded index keys by index name
+ * @param {function} success
+ * @param {function} error
+ * @private
+ */
+IDBObjectStore.prototype.__addIndexEntries = function (tx, encodedPrimaryKey, paramMap, success, error) {
+    const me = this;
+    const indexNames = Object.keys(paramMap).filter((indexName) => me.__indexes[indexName].multiEntry);
+    (function addEntries (i) {
+        if (i === indexNames.length) {
+            success();
+            return;
+        }
+        IDBIndex.__addEntries(me.name, indexNames[i], paramMap[indexNames[i]], encodedPrimaryKey, tx, function () {
+            addEntries(i + 1);
+        }, error);
+    }(0));
+};
+
+/**
+ * Deletes the records within the key range (or all records) along with their
+ *   multiEntry index entries.
+ * @param {object} tx
+ * @param {IDBKeyRange} [range]
+ * @param {function} success Passed the transaction and the result of deleting the records
+ * @param {function} error Passed the transaction and the SQL error
+ * @private
+ */
+IDBObjectStore.prototype.__deleteRecords = function (tx, range, success, error) {
+    const me = this;
+    const where = [];
+    const sqlValues = [];
+    if (range !== undefined) {
+        where.push('WHERE');
+        setSQLForRange(range, util.quote('key'), where, sqlValues);
+    }
+
+    function deleteRecords () {
+        const sql = ['DELETE FROM', util.escapeStore(me.name)].concat(where).join(' ');
+        CFG.DEBUG && console.log(sql, sqlValues);
+        tx.executeSql(sql, sqlValues, success, error);
+    }
+    if (!me.__hasMultiEntryIndex()) {
+        deleteRecords();
+        return;
+    }
+    const sql = ['DELETE FROM', util.escapeIndexEntries(me.name)].concat(where).join(' ');
+    tx.executeSql(sql, sqlValues, deleteRecords, error);
+};
+
 IDBObjectStore.prototype.add = function (value, key) {
     const me = this;
     if (arguments.length === 0) {
@@ -405,14 +501,11 @@ IDBObjectStore.prototype.put = function (value, key) {
             me.__deriveKey(tx, value, key, function (primaryKey, useNewForAutoInc) {
                 Sca.encode(value, function (encoded) {
                     // First try to delete if the record exists
-                    Key.convertValueToKey(primaryKey);
-                    const sql = 'DELETE FROM ' + util.escapeStore(me.name) + ' WHERE key = ?';
-                    const encodedPrimaryKey = Key.encode(primaryKey);
-                    tx.executeSql(sql, [encodedPrimaryKey], function (tx, data) {
+                    me.__deleteRecords(tx, IDBKeyRange.only(primaryKey), function (tx, data) {
                         CFG.DEBUG && console.log('Did the row with the', primaryKey, 'exist? ', data.rowsAffected);
                         me.__insertData(tx, encoded, value, primaryKey, key, useNewForAutoInc, function (...args) {
                             me.__cursors.forEach((cursor) => {
-                                cursor.__addToCache(/* encodedPrimaryKey, encoded, !!data.rowsAffected */);
+                                cursor.__addToCache(/* Key.encode(primaryKey), encoded, !!data.rowsAffected */);
                             });
                             success(...args);
                         }, error);
@@ -426,21 +519,409 @@ IDBObjectStore.prototype.put = function (value, key) {
     return request;
 };
 
-IDBObjectStore.prototype.get = function (range) {
+/**
+ * Shared implementation of `addAll` and `putAll`: the records are written by
+ *   a single queued operation, cloning each value once and checking all of
+ *   the records' keys and unique index keys (with a batched query for each)
+ *   before inserting them with statements built once for the batch
+ *   (existing records being replaced by the insertion itself); the entries of
+ *   the multiEntry indexes are then replaced for all of the stored records.
+ * @param {Array} values
+ * @param {Array} [keys] Out-of-line keys (in the order of `values`)
+ * @param {boolean} overwrite Whether existing records are to be replaced
+ * @returns {IDBRequest} Whose result is the array of the records' keys
+ * @private
+ */
+IDBObjectStore.prototype.__storeAll = function (values, keys, overwrite) {
     const me = this;
-    if (!arguments.length) {
-        throw new TypeError('A parameter was missing for `IDBObjectStore.get`.');
+    if (!Array.isArray(values)) {
+        throw new TypeError('The values must be an array');
+    }
+    if (keys !== undefined && (!Array.isArray(keys) || keys.length !== values.length)) {
+        throw new TypeError('The keys must be an array of the same length as the values');
     }
-
     if (me.__deleted) {
         throw createDOMException('InvalidStateError', 'This store has been deleted');
     }
     IDBTransaction.__assertActive(me.transaction);
-    if (range == null) {
-        throw createDOMException('DataError', 'No key or range was specified');
+    me.transaction.__assertWritable();
+    values.forEach((value, i) => {
+        me.__validateKeyAndValue(value, keys && keys[i]);
+    });
+    values = values.slice();
+    keys = keys && keys.slice();
+
+    const hasKeyPath = me.keyPath !== null;
+    const request = me.transaction.__createRequest(me);
+    me.transaction.__pushToQueue(request, function objectStoreStoreAll (tx, args, success, error) {
+        // The records to be stored (in order), with their encoded primary
+        //   keys, index keys and values
+        const records = [];
+        // The records whose values are yet to be encoded, with the values
+        const unencoded = [];
+        let currNum;
+
+        const indexes = me.indexNames.map((indexName) => me.__indexes[indexName]).filter((index) => !index.__pending);
+        const multiEntryIndexes = indexes.filter((index) => index.multiEntry);
+        const uniqueIndexes = indexes.filter((index) => index.unique);
+        const columns = [util.quote('key')].concat(indexes.map((index) => util.escapeIndex(index.name)), util.quote('value'));
+        const insertSql = ['INSERT', overwrite ? 'OR REPLACE' : '', 'INTO', util.escapeStore(me.name),
+            '(', columns.join(', '), ') VALUES (', columns.map(() => '?').join(', '), ')'].join(' ');
+        CFG.DEBUG && console.log('SQL for storing all', insertSql);
+        // SQLite's limit on bound parameters is 999 by default
+        const maxParams = 500;
+
+        function sqlError (tx, err) {
+            error(createDOMExceptionFromSQLError(err));
+        }
+
+        function constraintError (multiEntry) {
+            error(createDOMException(
+                'ConstraintError',
+                'Index already contains a record equal to ' +
+                    (multiEntry ? 'one of the subkeys of' : '') +
+                    '`indexKey`'
+            ));
+        }
+
+        /**
+         * Calls back with the rows of a query for each batch of the values
+         * @param {function} getSql Passed the placeholders of a batch
+         * @param {Array} params Bound before those of each batch
+         * @param {Array} batchValues
+         * @param {function} callback Passed the rows of all of the batches
+         */
+        function selectIn (getSql, params, batchValues, callback) {
+            const rows = [];
+            (function selectBatch (start) {
+                if (start >= batchValues.length) {
+                    callback(rows);
+                    return;
+                }
+                const batch = batchValues.slice(start, start + maxParams);
+                tx.executeSql(getSql(batch.map(() => '?').join(', ')), params.concat(batch), function (tx, data) {
+                    for (let i = 0; i < data.rows.length; i++) {
+                        rows.push(data.rows.item(i));
+                    }
+                    selectBatch(start + maxParams);
+                }, sqlError);
+            }(0));
+        }
+
+        /**
+         * Fails (before anything is written) if a record is to be added for
+         *   the key of an existing record or of an earlier record
+         */
+        function checkKeys (callback) {
+            if (overwrite) {
+                callback();
+                return;
+            }
+            const encodedKeys = records.map((record) => record.encodedPrimaryKey);
+            if (new Set(encodedKeys).size !== encodedKeys.length) {
+                error(createDOMException('ConstraintError', 'The batch contains more than one record for a key'));
+                return;
+            }
+            selectIn((placeholders) => {
+                return 'SELECT key FROM ' + util.escapeStore(me.name) + ' WHERE key IN (' + placeholders + ')';
+            }, [], encodedKeys, function (rows) {
+                if (rows.length) {
+                    error(createDOMException('ConstraintError', 'A record already exists for one of the keys'));
+                    return;
+                }
+                callback();
+            });
+        }
+
+        /**
+         * Fails (before anything is written) if storing the records in turn
+         *   would violate a unique index, checked against the existing index
+         *   keys (or entries, for multiEntry indexes) equal to those of the
+         *   records
+         */
+        function checkUniqueIndexes (callback) {
+            (function checkIndex (i) {
+                if (i === uniqueIndexes.length) {
+                    callback();
+                    return;
+                }
+                const index = uniqueIndexes[i];
+                const recordEntries = records.map(({indexKeys}) => {
+                    if (!indexKeys.hasOwnProperty(index.name)) {
+                        return [];
+                    }
+                    return index.multiEntry ? Key.getMultiEntries(indexKeys[index.name]) : [indexKeys[index.name]];
+                });
+                const entries = Array.from(new Set([].concat(...recordEntries)));
+                const getSql = index.multiEntry
+                    ? (placeholders) => 'SELECT key, entry FROM ' + util.escapeIndexEntries(me.name) + ' WHERE indexName = ? AND entry IN (' + placeholders + ')'
+                    : (placeholders) => 'SELECT key, ' + util.escapeIndex(index.name) + ' AS entry FROM ' + util.escapeStore(me.name) +
+                        ' WHERE ' + util.escapeIndex(index.name) + ' IN (' + placeholders + ')';
+                selectIn(getSql, index.multiEntry ? [index.name] : [], entries, function (rows) {
+                    // The keys of the records holding the entries, and the
+                    //   entries held by the keys
+                    const entryKeys = {};
+                    const keyEntries = {};
+                    rows.forEach(({key, entry}) => {
+                        entryKeys[entry] = key;
+                        keyEntries[key] = (keyEntries[key] || []).concat(entry);
+                    });
+                    const conflicting = records.some(({encodedPrimaryKey}, j) => {
+                        if (recordEntries[j].some((entry) => {
+                            return entryKeys.hasOwnProperty(entry) && entryKeys[entry] !== encodedPrimaryKey;
+                        })) {
+                            return true;
+                        }
+                        // The record replaces any with the same key
+                        (keyEntries[encodedPrimaryKey] || []).forEach((entry) => {
+                            delete entryKeys[entry];
+                        });
+                        keyEntries[encodedPrimaryKey] = recordEntries[j];
+                        recordEntries[j].forEach((entry) => {
+                            entryKeys[entry] = encodedPrimaryKey;
+                        });
+                        return false;
+                    });
+                    if (conflicting) {
+                        constraintError(index.multiEntry);
+                        return;
+                    }
+                    checkIndex(i + 1);
+                });
+            }(0));
+        }
+
+        /**
+         * Once records have been written, a failure aborts the transaction
+         *   (rather than failing the request, which could be canceled
+         *   leaving the batch partly stored)
+         */
+        function abort (err) {
+            me.transaction.__abortTransaction(err);
+        }
+
+        function abortForSQLError (tx, err) {
+            abort(createDOMExceptionFromSQLError(err));
+        }
+
+        /**
+         * Replaces the multiEntry index entries of the stored records (with
+         *   as few statements to remove those of replaced records as SQLite's
+         *   limit on bound parameters allows)
+         */
+        function replaceEntries (callback) {
+            // A later record for the same key replaces an earlier one
+            const storedIndexKeys = {};
+            records.forEach(({encodedPrimaryKey, indexKeys}) => {
+                delete storedIndexKeys[encodedPrimaryKey];
+                storedIndexKeys[encodedPrimaryKey] = indexKeys;
+            });
+            const encodedKeys = Object.keys(storedIndexKeys);
+            if (!multiEntryIndexes.length || !encodedKeys.length) {
+                callback();
+                return;
+            }
+            (function removeEntries (start) {
+                if (!overwrite || start >= encodedKeys.length) {
+                    addEntries(0);
+                    return;
+                }
+                const batch = encodedKeys.slice(start, start + maxParams);
+                const sql = 'DELETE FROM ' + util.escapeIndexEntries(me.name) + ' WHERE key IN (' + batch.map(() => '?').join(', ') + ')';
+                tx.executeSql(sql, batch, function () {
+                    removeEntries(start + maxParams);
+                }, abortForSQLError);
+            }(0));
+            function addEntries (i) {
+                if (i === encodedKeys.length) {
+                    callback();
+                    return;
+                }
+                me.__addIndexEntries(tx, encodedKeys[i], storedIndexKeys[encodedKeys[i]], function () {
+                    addEntries(i + 1);
+                }, abortForSQLError);
+            }
+        }
+
+        function insert (i) {
+            if (i === records.length) {
+                replaceEntries(function () {
+                    me.__cursors.forEach((cursor) => {
+                        cursor.__addToCache();
+                    });
+                    if (me.autoIncrement) {
+                        me.__setCurrentNumber(currNum);
+                    }
+                    success(records.map(({encodedPrimaryKey}) => Key.decode(encodedPrimaryKey)));
+                });
+                return;
+            }
+            const {encodedPrimaryKey, indexKeys, encoded} = records[i];
+            const sqlValues = [encodedPrimaryKey].concat(indexes.map((index) => {
+                return indexKeys.hasOwnProperty(index.name) ? indexKeys[index.name] : null;
+            }), encoded);
+            tx.executeSql(insertSql, sqlValues, function () {
+                insert(i + 1);
+            }, abortForSQLError);
+        }
+
+        /**
+         * Encodes the values (in parallel, Blobs being read asynchronously)
+         */
+        function encodeAll (values, callback) {
+            const encodedValues = [];
+            let remaining = values.length;
+            if (!remaining) {
+                callback(encodedValues);
+                return;
+            }
+            values.forEach((value, i) => {
+                Sca.encode(value, function (encoded) {
+                    encodedValues[i] = encoded;
+                    if (--remaining === 0) {
+                        callback(encodedValues);
+                    }
+                });
+            });
+        }
+
+        function addRecord (value, encoded, primaryKey) {
+            const indexKeys = {};
+            indexes.forEach((index) => {
+                let indexKey;
+                try {
+                    indexKey = Key.extractKeyFromValueUsingKeyPath(value, index.keyPath, index.multiEntry);
+                } catch (err) {
+                    return; // Not indexed
+                }
+                if (indexKey !== undefined) {
+                    indexKeys[index.name] = Key.encode(indexKey, index.multiEntry);
+                }
+            });
+            const record = {encodedPrimaryKey: Key.encode(Key.convertValueToKey(primaryKey)), indexKeys, encoded};
+            records.push(record);
+            if (encoded === undefined) {
+                unencoded.push({record, value});
+            }
+        }
+
+        /**
+         * Derives the keys (generating them as needed) and index keys of the
+         *   cloned values, then checks and stores the records
+         * @param {string[]} encodedValues
+         */
+        function storeAll (encodedValues) {
+            for (let i = 0; i < encodedValues.length; i++) {
+                let encoded = encodedValues[i];
+                const value = Sca.decode(encoded);
+                let primaryKey = hasKeyPath ? Key.evaluateKeyPathOnValue(value, me.keyPath) : keys && keys[i];
+                if (me.autoIncrement && primaryKey === undefined) {
+                    primaryKey = currNum++;
+                    if (hasKeyPath) {
+                        try {
+                            Key.setValue(value, me.keyPath, primaryKey);
+                        } catch (e) {
+                            error(createDOMException('DataError', 'Could not assign a generated value to the keyPath', e));
+                            return;
+                        }
+                        // Unless it must be encoded anew (as the key path
+                        //   does not run through plain objects)
+                        encoded = Sca.injectNumber(encoded, me.keyPath, primaryKey);
+                    }
+                } else if (me.autoIncrement && Number.isFinite(primaryKey) && primaryKey >= currNum) {
+                    currNum = Math.floor(primaryKey) + 1;
+                }
+                addRecord(value, encoded, primaryKey);
+            }
+            encodeAll(unencoded.map(({value}) => value), function (encodedValues) {
+                unencoded.forEach(({record}, i) => {
+                    record.encoded = encodedValues[i];
+                });
+                checkKeys(function () {
+                    checkUniqueIndexes(function () {
+                        insert(0);
+                    });
+                });
+            });
+        }
+
+        function start () {
+            encodeAll(values, storeAll);
+        }
+        if (!me.autoIncrement) {
+            start();
+            return;
+        }
+        me.__getCurrentNumber(tx, function (cn) {
+            currNum = cn;
+            start();
+        }, error);
+    });
+    return request;
+};
+
+/**
+ * Non-standard method adding all of the values (with the corresponding
+ *   out-of-line keys, if any) in a single request whose result is the array
+ *   of their keys. As with `add`, the request fails if a record exists for
+ *   one of the keys (or one of the records violates a unique index), in which
+ *   case none of the records are added; should writing them fail otherwise,
+ *   the transaction is aborted.
+ * @param {Array} values
+ * @param {Array} [keys]
+ * @returns {IDBRequest}
+ */
+IDBObjectStore.prototype.addAll = function (values, keys) {
+    if (arguments.length === 0) {
+        throw new TypeError('No values were specified');
     }
+    return this.__storeAll(values, keys, false);
+};
 
-    if (util.instanceOf(range, IDBKeyRange)) {
+/**
+ * Non-standard method adding or replacing all of the values (with the
+ *   corresponding out-of-line keys, if any) in a single request whose result
+ *   is the array of their keys. If one of the records violates a unique
+ *   index, the request fails with none of the records stored; should writing
+ *   them fail otherwise, the transaction is aborted.
+ * @param {Array} values
+ * @param {Array} [keys]
+ * @returns {IDBRequest}
+ */
+IDBObjectStore.prototype.putAll = function (values, keys) {
+    if (arguments.length === 0) {
+        throw new TypeError('No values were specified');
+    }
+    return this.__storeAll(values, keys, true);
+};
+
+/**
+ * Shared implementation of `get`, `getKey`, `getAll` and `getAllKeys`
+ * @param {*|IDBKeyRange} range
+ * @param {boolean} getKey Whether to retrieve keys rather than values
+ * @param {boolean} getAll Whether to retrieve all matching records rather than the first
+ * @param {number} [count] Maximum number of records to retrieve for `getAll`/`getAllKeys` (0 for no limit)
+ * @returns {IDBRequest}
+ * @private
+ */
+IDBObjectStore.prototype.__get = function (range, getKey, getAll, count) {
+    const me = this;
+    if (count !== undefined) {
+        count = util.enforceRange(count, 'unsigned long');
+    }
+
+    if (me.__deleted) {
+        throw createDOMException('InvalidStateError', 'This store has been deleted');
+    }
+    IDBTransaction.__assertActive(me.transaction);
+
+    const nullDisallowed = !getAll;
+    if (range == null) {
+        if (nullDisallowed) {
+            throw createDOMException('DataError', 'No key or range was specified');
+        }
+        range = undefined;
+    } else if (util.instanceOf(range, IDBKeyRange)) {
         // We still need to validate IDBKeyRange-like objects (the above check is based on duck-typing)
         if (!range.toString() !== '[object IDBKeyRange]') {
             range = new IDBKeyRange(range.lower, range.upper, range.lowerOpen, range.upperOpen);
@@ -449,50 +930,72 @@ IDBObjectStore.prototype.get = function (range) {
         range = IDBKeyRange.only(range);
     }
 
-    let sql = ['SELECT * FROM ', util.escapeStore(me.name), ' WHERE '];
+    const col = getKey ? 'key' : 'value';
+    let sql = ['SELECT ', util.quote(col), ' FROM ', util.escapeStore(me.name)];
     const sqlValues = [];
-    setSQLForRange(range, util.quote('key'), sql, sqlValues);
+    if (range !== undefined) {
+        sql.push('WHERE');
+        setSQLForRange(range, util.quote('key'), sql, sqlValues);
+    }
+    sql.push('ORDER BY', util.quote('key'));
+    if (!getAll) {
+        sql.push('LIMIT 1');
+    } else if (count) {
+        sql.push('LIMIT', count);
+    }
     sql = sql.join(' ');
     return me.transaction.__addToTransactionQueue(function objectStoreGet (tx, args, success, error) {
         CFG.DEBUG && console.log('Fetching', me.name, sqlValues);
         tx.executeSql(sql, sqlValues, function (tx, data) {
             CFG.DEBUG && console.log('Fetched data', data);
-            let value;
+            let ret;
             try {
                 // Opera can't deal with the try-catch here.
-                if (data.rows.length === 0) {
-                    return success();
+                if (getAll) {
+                    ret = [];
+                    for (let i = 0; i < data.rows.length; i++) {
+                        const item = data.rows.item(i)[col];
+                        ret.push(getKey ? Key.decode(item) : Sca.decode(item));
+                    }
+                } else {
+                    if (data.rows.length === 0) {
+                        return success();
+                    }
+                    const item = data.rows.item(0)[col];
+                    ret = getKey ? Key.decode(item) : Sca.decode(item);
                 }
-
-                value = Sca.decode(data.rows.item(0).value);
             } catch (e) {
                 // If no result is returned, or error occurs when parsing JSON
                 CFG.DEBUG && console.log(e);
             }
-            success(value);
+            success(ret);
         }, function (tx, err) {
             error(err);
         });
     }, undefined, me);
 };
 
-/*
-// Todo: Implement getKey
+IDBObjectStore.prototype.get = function (query) {
+    if (!arguments.length) {
+        throw new TypeError('A parameter was missing for `IDBObjectStore.get`.');
+    }
+    return this.__get(query);
+};
+
 IDBObjectStore.prototype.getKey = function (query) {
+    if (!arguments.length) {
+        throw new TypeError('A parameter was missing for `IDBObjectStore.getKey`.');
+    }
+    return this.__get(query, true);
 };
-*/
 
-/*
-// Todo: Implement getAll
 IDBObjectStore.prototype.getAll = function (query, count) {
+    return this.__get(query, false, true, count);
 };
-*/
 
-/*
-// Todo: Implement getAllKeys
 IDBObjectStore.prototype.getAllKeys = function (query, count) {
+    return this.__get(query, true, true, count);
 };
-*/
 
 IDBObjectStore.prototype['delete'] = function (range) {
     const me = this;
@@ -519,17 +1022,12 @@ IDBObjectStore.prototype['delete'] = function (range) {
         range = IDBKeyRange.only(range);
     }
 
-    const sqlArr = ['DELETE FROM ', util.escapeStore(me.name), ' WHERE '];
-    const sqlValues = [];
-    setSQLForRange(range, util.quote('key'), sqlArr, sqlValues);
-    const sql = sqlArr.join(' ');
-
     return me.transaction.__addToTransactionQueue(function objectStoreDelete (tx, args, success, error) {
-        CFG.DEBUG && console.log('Deleting', me.name, sqlValues);
-        tx.executeSql(sql, sqlValues, function (tx, data) {
+        CFG.DEBUG && console.log('Deleting', me.name, range);
+        me.__deleteRecords(tx, range, function (tx, data) {
             CFG.DEBUG && console.log('Deleted from database', data.rowsAffected);
             me.__cursors.forEach((cursor) => {
-                cursor.__deleteFromCache(/* sqlArr, sqlValues */);
+                cursor.__deleteFromCache(/* range */);
             });
             success();
         }, function (tx, err) {
@@ -547,7 +1045,7 @@ IDBObjectStore.prototype.clear = function () {
     me.transaction.__assertWritable();
 
     return me.transaction.__addToTransactionQueue(function objectStoreClear (tx, args, success, error) {
-        tx.executeSql('DELETE FROM ' + util.escapeStore(me.name), [], function (tx, data) {
+        me.__deleteRecords(tx, undefined, function (tx, data) {
             CFG.DEBUG && console.log('Cleared all records from database', data.rowsAffected);
             me.__cursors.forEach((cursor) => {
                 cursor.__clearFromCache();
@@ -559,38 +1057,41 @@ IDBObjectStore.prototype.clear = function () {
     }, undefined, me);
 };
 
-IDBObjectStore.prototype.count = function (key) {
+IDBObjectStore.prototype.count = function (range) {
     const me = this;
     if (me.__deleted) {
         throw createDOMException('InvalidStateError', 'This store has been deleted');
     }
     IDBTransaction.__assertActive(me.transaction);
-    if (util.instanceOf(key, IDBKeyRange)) {
+
+    // range is optional
+    if (range == null) {
+        range = undefined;
+    } else if (util.instanceOf(range, IDBKeyRange)) {
         // We still need to validate IDBKeyRange-like objects (the above check is based on duck-typing)
-        if (!key.toString() !== '[object IDBKeyRange]') {
-            key = new IDBKeyRange(key.lower, key.upper, key.lowerOpen, key.upperOpen);
+        if (!range.toString() !== '[object IDBKeyRange]') {
+            range = new IDBKeyRange(range.lower, range.upper, range.lowerOpen, range.upperOpen);
         }
-        // We don't need to add to cursors array since has the count parameter which won't cache
-        return new IDBCursorWithValue(key, 'next', this, this, 'key', 'value', true).__req;
     } else {
-        const hasKey = key != null;
-
-        // key is optional
-        if (hasKey) {
-            Key.convertValueToKey(key);
-        }
+        range = IDBKeyRange.only(range);
+    }
 
-        return me.transaction.__addToTransactionQueue(function objectStoreCount (tx, args, success, error) {
-            const sql = 'SELECT * FROM ' + util.escapeStore(me.name) + (hasKey ? ' WHERE key = ?' : '');
-            const sqlValues = [];
-            hasKey && sqlValues.push(Key.encode(key));
-            tx.executeSql(sql, sqlValues, function (tx, data) {
-                success(data.rows.length);
-            }, function (tx, err) {
-                error(err);
-            });
-        }, undefined, me);
+    // Let SQLite do the counting rather than retrieving the records
+    let sql = ['SELECT COUNT(*) AS count FROM', util.escapeStore(me.name)];
+    const sqlValues = [];
+    if (range !== undefined) {
+        sql.push('WHERE');
+        setSQLForRange(range, util.quote('key'), sql, sqlValues);
     }
+    sql = sql.join(' ');
+    return me.transaction.__addToTransactionQueue(function objectStoreCount (tx, args, success, error) {
+        CFG.DEBUG && console.log('Counting', me.name, sql, sqlValues);
+        tx.executeSql(sql, sqlValues, function (tx, data) {
+            success(data.rows.item(0).count);
+        }, function (tx, err) {
+            error(err);
+        });
+    }, undefined, me);
 };
 
 IDBObjectStore.prototype.openCursor = function (range, direction) {
@@ -714,16 +1215,55 @@ Object.defineProperty(IDBObjectStore.prototype, 'name', {
         if (me.__idbdb.__objectStores[name]) {
             throw createDOMException('ConstraintError', 'Object store "' + name + '" already exists in ' + me.__idbdb.name);
         }
+        const oldName = me.name;
+        const db = me.__idbdb;
+        const transaction = me.transaction;
+
+        // Rename the database's instance of the store too (the handle being a clone for the transaction)
         me.__name = name;
+        const store = db.__objectStores[oldName];
+        store.__name = name;
+        delete db.__objectStores[oldName];
+        db.__objectStores[name] = store;
+        db.objectStoreNames.splice(db.objectStoreNames.indexOf(oldName), 1);
+        db.objectStoreNames.push(name);
+        delete transaction.__storeClones[oldName];
+        transaction.__storeClones[name] = me;
+        // The key generator's current number is written back under the new name
+        if (transaction.__keyGenerators.hasOwnProperty(oldName)) {
+            transaction.__keyGenerators[name] = transaction.__keyGenerators[oldName];
+            delete transaction.__keyGenerators[oldName];
+        }
+
+        // Determined now, as indexes may yet be created or deleted before this is carried out
+        const renameEntriesTable = me.__hasMultiEntryIndex(true);
+
         // Todo: Add pending flag to delay queries against this store until renamed in SQLite
+        transaction.__addNonRequestToTransactionQueue(function renameObjectStore (tx, args, success, failure) {
+            function error (tx, err) {
+                failure(createDOMException(0, 'Could not rename object store "' + oldName + '"', err));
+            }
 
-        const sql = 'ALTER TABLE ' + util.escapeStore(this.name) + ' RENAME TO ' + util.escapeStore(name);
-        me.transaction.__addNonRequestToTransactionQueue(function objectStoreClear (tx, args, success, error) {
-            tx.executeSql(sql, [], function (tx, data) {
-                success();
-            }, function (tx, err) {
-                error(err);
-            });
+            const sql = 'ALTER TABLE ' + util.escapeStore(oldName) + ' RENAME TO ' + util.escapeStore(name);
+            CFG.DEBUG && console.log(sql);
+            tx.executeSql(sql, [], function (tx) {
+                tx.executeSql('UPDATE __sys__ SET name = ? WHERE name = ?', [name, oldName], function (tx) {
+                    // Rewritten as any index changes queued before the renaming
+                    //   were unable to write the list under the new name
+                    function updateIndexList (tx) {
+                        IDBIndex.__updateIndexList(me, tx, function () {
+                            success();
+                        }, error);
+                    }
+                    if (!renameEntriesTable) {
+                        updateIndexList(tx);
+                        return;
+                    }
+                    const sql = 'ALTER TABLE ' + util.escapeIndexEntries(oldName) + ' RENAME TO ' + util.escapeIndexEntries(name);
+                    CFG.DEBUG && console.log(sql);
+                    tx.executeSql(sql, [], updateIndexList, error);
+                }, error);
+            }, error);
         });
     }
 });
@@ -1,5 +1,5 @@
 import {createEvent} from './Event.js';
-import {logError, findError, createDOMException} from './DOMException.js';
+import {logError, findError, createDOMException, createDOMExceptionFromSQLError} from './DOMException.js';
 import {IDBRequest} from './IDBRequest.js';
 import * as util from './util.js';
 import IDBObjectStore from './IDBObjectStore.js';
@@ -14,25 +14,33 @@ let uniqueID = 0;
  * @param {IDBDatabase} db
  * @param {string[]} storeNames
  * @param {string} mode
+ * @param {string} [durability] "default", "strict", or "relaxed"
  * @constructor
  */
-function IDBTransaction (db, storeNames, mode) {
+function IDBTransaction (db, storeNames, mode, durability) {
     this.__id = ++uniqueID; // for debugging simultaneous transactions
     this.__active = true;
+    this.__committing = false;
+    this.__aborting = false;
     this.__running = false;
     this.__errored = false;
     this.__requests = [];
+    this.__queueHold = null; // Set while the queue awaits promise reactions (see `__addKeepAliveToTransactionQueue`)
     this.__objectStoreNames = storeNames;
     this.__mode = mode;
+    this.__durability = durability || 'default';
     this.__db = db;
     this.__error = null;
     this.__internal = false;
     this.onabort = this.onerror = this.oncomplete = null;
     this.__storeClones = {};
+    this.__keyGenerators = {}; // The current numbers of the key generators used, by store name
     this.__setOptions({defaultSync: true});
+    db.__addTransaction(this);
 
-    // Kick off the transaction as soon as all synchronous code is done.
-    setTimeout(() => { this.__executeRequests(); }, 0);
+    // Kick off the transaction as soon as all synchronous code is done (and
+    //   any transactions it must wait on have finished).
+    db.__scheduler.__add(this);
 }
 
 IDBTransaction.prototype.__executeRequests = function () {
@@ -45,11 +53,90 @@ IDBTransaction.prototype.__executeRequests = function () {
     const me = this;
 
     me.db.__db[me.mode === 'readonly' ? 'readTransaction' : 'transaction']( // `readTransaction` is optimized, at least in `node-websql`
-        function executeRequests (tx) {
+        function executeRequests (sqlTx) {
+            let pendingStatements = 0;
+
+            /**
+             * Calls back for a statement, after which (if no other statement is
+             *   pending) a trivial statement is kept pending until the
+             *   transaction has finished: WebSQL only allows statements within
+             *   its callbacks and commits once none remain, so this leaves a
+             *   callback from within which an abort can still force the
+             *   rollback
+             */
+            function settle (callback) {
+                const hold = me.__queueHold;
+                try {
+                    return callback();
+                } finally {
+                    pendingStatements--;
+                    keepPending(hold);
+                }
+            }
+
+            /**
+             * @param {object} [hold] The hold on the queue (see
+             *   `__addKeepAliveToTransactionQueue`) before the statement
+             *   called back
+             */
+            function keepPending (hold) {
+                if (me.__rollbackPending) {
+                    me.__forceRollback();
+                    return;
+                }
+                if (hold && me.__queueHold === hold) {
+                    // The promise reactions since the queue was held have
+                    //   placed no requests, so it continues (e.g., to commit)
+                    me.__queueHold = null;
+                    hold.resume();
+                }
+                if (!pendingStatements && !me.__transactionFinished && !me.__aborting) {
+                    tx.executeSql('SELECT 1', []);
+                }
+            }
+
+            const tx = {
+                executeSql: function (sql, args, successCallback, errorCallback) {
+                    pendingStatements++;
+                    try {
+                        sqlTx.executeSql(sql, args, function (sqlTx, resultSet) {
+                            return settle(() => successCallback && successCallback(tx, resultSet));
+                        }, function (sqlTx, err) {
+                            return settle(() => !errorCallback || errorCallback(tx, err));
+                        });
+                    } catch (err) {
+                        pendingStatements--;
+                        throw err;
+                    }
+                }
+            };
+            if (typeof sqlTx.rollback === 'function') {
+                tx.rollback = function (successCallback, errorCallback) {
+                    sqlTx.rollback(successCallback, errorCallback);
+                };
+            }
             me.__tx = tx;
             let q = null, i = -1;
 
+            /**
+             * Once the transaction is aborted, no further requests are run
+             *   (and any rollback which could not yet be forced is forced now
+             *   that we are within a WebSQL callback)
+             */
+            function stopIfAborting () {
+                if (!me.__aborting) {
+                    return false;
+                }
+                if (me.__rollbackPending) {
+                    me.__forceRollback();
+                }
+                return true;
+            }
+
             function success (result, req) {
+                if (stopIfAborting()) {
+                    return;
+                }
                 if (req) {
                     q.req = req; // Need to do this in case of cursors
                 }
@@ -64,7 +151,7 @@ IDBTransaction.prototype.__executeRequests = function () {
                     // but we are using the `EventTarget` library's `__userErrorEventHandler` to override this
                     // behavior for convenience in our internal calls
                     me.__internal = true;
-                    me.__active = true;
+                    me.__active = !me.__committing; // Requests may not be placed once committing
                     q.req.dispatchEvent(e);
                     // Do not set __active flag to false yet: https://github.com/w3c/IndexedDB/issues/87
                 } catch (err) {
@@ -79,12 +166,15 @@ IDBTransaction.prototype.__executeRequests = function () {
                     // We've already called "onerror", "onabort", or thrown within the transaction, so don't do it again.
                     return;
                 }
+                if (stopIfAborting()) {
+                    return;
+                }
                 if (q.req && q.req.__readyState === 'done') { // Avoid continuing with aborted requests
                     return;
                 }
                 const err = findError(args);
                 if (!q.req) {
-                    me.__abortTransaction(q.req.__error);
+                    me.__abortTransaction(err);
                     return;
                 }
                 // Fire an error event for the current IDBRequest
@@ -104,7 +194,7 @@ IDBTransaction.prototype.__executeRequests = function () {
                     // but we are using the `EventTarget` library's `__userErrorEventHandler` to override this
                     // behavior for convenience in our internal calls
                     me.__internal = true;
-                    me.__active = true;
+                    me.__active = !me.__committing; // Requests may not be placed once committing
                     e = createEvent('error', err, {bubbles: true, cancelable: true});
                     q.req.dispatchEvent(e);
                     // Do not set __active flag to false yet: https://github.com/w3c/IndexedDB/issues/87
@@ -112,16 +202,26 @@ IDBTransaction.prototype.__executeRequests = function () {
                     logError('Error', 'An error occurred in a handler attached to request chain', handlerErr); // We do nothing else with this `handlerErr` per spec
                     e.preventDefault(); // Prevent 'error' default as steps indicate we should abort with `AbortError` even without cancellation
                     me.__abortTransaction(createDOMException('AbortError', 'A request was aborted.'));
+                    return;
+                }
+                if (!e.defaultPrevented) {
+                    // The default `error` listener (which aborts) is invoked asynchronously, by
+                    //   which time the WebSQL transaction may have committed, so we begin
+                    //   rolling back now
+                    me.__abortTransaction(err);
                 }
             }
 
             function executeNextRequest () {
+                if (stopIfAborting()) {
+                    return;
+                }
                 i++;
                 if (i >= me.__requests.length) {
                     // All requests in the transaction are done
                     me.__requests = [];
-                    if (me.__active) {
-                        transactionFinished();
+                    if (me.__active || me.__committing) {
+                        writeKeyGenerators(transactionFinished);
                     }
                 } else {
                     try {
@@ -140,40 +240,64 @@ IDBTransaction.prototype.__executeRequests = function () {
                 }
             }
 
+            /**
+             * Writes back the current numbers of the key generators (which
+             *   are only kept in memory while the requests run)
+             */
+            function writeKeyGenerators (callback) {
+                const storeNames = Object.keys(me.__keyGenerators).filter((storeName) => {
+                    const keyGenerator = me.__keyGenerators[storeName];
+                    return keyGenerator.currNum !== keyGenerator.storedCurrNum;
+                });
+                if (!storeNames.length) {
+                    callback();
+                    return;
+                }
+                // No further requests may be placed while committing
+                me.__active = false;
+                me.__committing = true;
+                storeNames.forEach((storeName, idx) => {
+                    const keyGenerator = me.__keyGenerators[storeName];
+                    const sql = 'UPDATE __sys__ SET currNum = ? WHERE name = ?';
+                    const sqlValues = [keyGenerator.currNum, storeName];
+                    CFG.DEBUG && console.log(sql, sqlValues);
+                    tx.executeSql(sql, sqlValues, function () {
+                        keyGenerator.storedCurrNum = keyGenerator.currNum;
+                        if (idx === storeNames.length - 1 && !stopIfAborting()) {
+                            callback();
+                        }
+                    }, function (tx, err) {
+                        me.__abortTransaction(createDOMException('UnknownError', 'Could not set the auto increment value for key', err));
+                    });
+                });
+            }
+
             executeNextRequest();
+            keepPending();
         },
 
         function webSqlError (errWebsql) {
-            let name, message;
-            switch (errWebsql.code) {
-            case 4: { // SQLError.QUOTA_ERR
-                name = 'QuotaExceededError';
-                message = 'The operation failed because there was not enough remaining storage space, or the storage quota was reached and the user declined to give more space to the database.';
-                break;
-            }
-            /*
-            // Should a WebSQL timeout treat as IndexedDB `TransactionInactiveError` or `UnknownError`?
-            case 7: { // SQLError.TIMEOUT_ERR
-                // All transaction errors abort later, so no need to mark inactive
-                name = 'TransactionInactiveError';
-                message = 'A request was placed against a transaction which is currently not active, or which is finished (Internal SQL Timeout).';
-                break;
-            }
-            */
-            default: {
-                name = 'UnknownError';
-                message = 'The operation failed for reasons unrelated to the database itself and not covered by any other errors.';
-                break;
+            me.__tx = null;
+            me.db.__scheduler.__remove(me);
+            if (me.__rollbackCallback) {
+                // We deliberately failed the transaction in order to roll it back
+                me.__rollbackCallback();
+                return;
             }
-            }
-            message += ' (' + errWebsql.message + ')--(' + errWebsql.code + ')';
-            const err = createDOMException(name, message);
+            const err = createDOMExceptionFromSQLError(errWebsql);
             me.__abortTransaction(err);
-        }
+        },
+
+        function webSqlSuccess () {
+            me.__tx = null;
+            me.db.__scheduler.__remove(me);
+        },
+        {durability: me.durability}
     );
 
     function transactionFinished () {
         me.__active = false;
+        me.__committing = false;
         CFG.DEBUG && console.log('Transaction completed');
         const evt = createEvent('complete');
         me.__transactionFinished = true;
@@ -183,6 +307,7 @@ IDBTransaction.prototype.__executeRequests = function () {
             me.dispatchEvent(createEvent('__beforecomplete'));
             me.__internal = true;
             me.dispatchEvent(evt);
+            me.db.__removeTransaction(me);
             me.dispatchEvent(createEvent('__complete'));
         } catch (e) {
             // An error occurred in the "oncomplete" handler.
@@ -192,6 +317,7 @@ IDBTransaction.prototype.__executeRequests = function () {
             throw e;
         } finally {
             me.__storeClones = {};
+            me.db.__removeTransaction(me);
         }
     }
 };
@@ -233,6 +359,37 @@ IDBTransaction.prototype.__addNonRequestToTransactionQueue = function (callback,
     this.__pushToQueue(null, callback, args);
 };
 
+/**
+ * Adds a step to the transaction queue which holds it, without running any
+ *   statement, so that promise reactions (e.g., in `async` functions awaiting
+ *   the result of the previous request) may place further requests before
+ *   the queue continues: it continues once the statement kept pending
+ *   meanwhile has called back, by which time the reactions have run (and
+ *   from within whose callback the requests they placed may run).
+ * @protected
+ */
+IDBTransaction.prototype.__addKeepAliveToTransactionQueue = function () {
+    const me = this;
+    if (me.__committing) { // No further requests may be placed
+        return;
+    }
+    me.__addNonRequestToTransactionQueue(function keepAlive (tx, args, success, error) {
+        me.__queueHold = {resume: success, requestCount: me.__requests.length};
+    });
+};
+
+/**
+ * Whether the queue is held (see `__addKeepAliveToTransactionQueue`) with no
+ *   requests placed since, so that work needing no statements (e.g., reading
+ *   pre-fetched records) may be done directly rather than being queued
+ * @returns {boolean}
+ * @protected
+ */
+IDBTransaction.prototype.__isQueueIdle = function () {
+    const hold = this.__queueHold;
+    return Boolean(hold) && hold.requestCount === this.__requests.length && !this.__aborting;
+};
+
 /**
  * Adds an IDBRequest to the transaction queue
  * @param {IDBRequest} request
@@ -274,7 +431,7 @@ IDBTransaction.prototype.objectStore = function (objectStoreName) {
     if (arguments.length === 0) {
         throw new TypeError('No object store name was specified');
     }
-    if (!this.__active) {
+    if (!this.__active && !this.__committing) {
         throw createDOMException('InvalidStateError', 'A request was placed against a transaction which is currently not active, or which is finished');
     }
     if (this.__objectStoreNames.indexOf(objectStoreName) === -1) {
@@ -294,6 +451,13 @@ IDBTransaction.prototype.objectStore = function (objectStoreName) {
 IDBTransaction.prototype.__abortTransaction = function (err) {
     const me = this;
     me.__active = false; // Setting here and in transactionFinished for https://github.com/w3c/IndexedDB/issues/87
+    me.__committing = false;
+    me.__aborting = true;
+    me.__keyGenerators = {}; // Their changes are rolled back
+    if (!me.__running) {
+        // The transaction will not be started, so others need not wait on it
+        me.db.__scheduler.__remove(me);
+    }
     function abort (tx, errOrResult) {
         if (!tx) {
             CFG.DEBUG && console.log('Rollback not possible due to missing transaction', me);
@@ -303,8 +467,6 @@ IDBTransaction.prototype.__abortTransaction = function (err) {
             CFG.DEBUG && console.log('Rollback succeeded', me);
         }
 
-        // Todo: Steps for aborting an upgrade transaction
-
         if (err !== null) {
             me.__error = err;
         }
@@ -315,6 +477,11 @@ IDBTransaction.prototype.__abortTransaction = function (err) {
             return;
         }
         me.__errored = true;
+        if (me.mode === 'versionchange') {
+            // Steps for aborting an upgrade transaction
+            const storeHandles = Object.keys(me.__storeClones).map((storeName) => me.__storeClones[storeName]);
+            me.db.__restoreUpgradeState(storeHandles);
+        }
         if (me.__transactionFinished) {
             // The transaction has already completed, so we can't call "onerror" or "onabort".
             // So throw the error instead.
@@ -346,19 +513,66 @@ IDBTransaction.prototype.__abortTransaction = function (err) {
             me.dispatchEvent(evt);
             me.__storeClones = {};
             me.dispatchEvent(createEvent('__abort'));
+            me.db.__removeTransaction(me);
         });
     }
 
-    if (me.__tx) { // Not supported in standard SQL (and WebSQL errors should
-        //   rollback automatically), but for Node.js, etc., we give chance for
-        //   manual aborts which would otherwise not work.
-        abort(null, {code: 0});
-        // me.__tx.executeSql('ROLLBACK', [], abort, abort); // Not working in some circumstances, even in node
-    } else {
+    if (me.__tx) {
+        if (me.__rollbackCallback) {
+            // Already rolling back
+            return;
+        }
+        // The writes of the transaction (including to key generators and, for
+        //   upgrade transactions, the schema) must be undone, so we force the
+        //   WebSQL transaction to fail (by signaling from the statement error
+        //   callback that the error was not handled), causing a rollback
+        //   (`ROLLBACK` statements not being allowed by WebSQL); we only then
+        //   carry out the remaining abort steps.
+        const tx = me.__tx;
+        me.__rollbackCallback = function () {
+            me.__rollbackCallback = null;
+            abort(tx, {});
+        };
+        me.__forceRollback();
+    } else { // Not yet started (or already finished), so there is nothing to roll back
         abort(null, {code: 0});
     }
 };
 
+/**
+ * Rolls back the SQL transaction: through the backend if it supports this
+ *   (as does the SQLite backend, rolling back to a savepoint), or else by
+ *   queueing a failing statement
+ * @private
+ */
+IDBTransaction.prototype.__forceRollback = function () {
+    const me = this;
+    me.__rollbackPending = false;
+    function rolledBack () {
+        me.__rollbackCallback && me.__rollbackCallback();
+    }
+    if (me.__tx.rollback) {
+        me.__tx.rollback(rolledBack, function () {
+            return true;
+        });
+        return;
+    }
+    try {
+        me.__tx.executeSql('SELECT * FROM __rollback__', [], function () {
+            // The statement should not succeed, but abort anyways
+            rolledBack();
+        }, function () {
+            return true;
+        });
+    } catch (e) {
+        // WebSQL does not allow `executeSql` outside of its callbacks (e.g., in
+        //   a promise reaction to a request's result), so we try again from
+        //   within the callback of the statement kept pending until the
+        //   transaction finishes
+        me.__rollbackPending = true;
+    }
+};
+
 IDBTransaction.prototype.abort = function () {
     const me = this;
     CFG.DEBUG && console.log('The transaction was aborted', me);
@@ -367,6 +581,21 @@ IDBTransaction.prototype.abort = function () {
     }
     me.__abortTransaction(null);
 };
+
+/**
+ * Commits the transaction once its pending requests have finished, rather
+ *   than waiting for the queue of requests to run out; no further requests
+ *   may be placed against it.
+ * https://w3c.github.io/IndexedDB/#dom-idbtransaction-commit
+ */
+IDBTransaction.prototype.commit = function () {
+    CFG.DEBUG && console.log('The transaction was committed', this);
+    if (!this.__active) {
+        throw createDOMException('InvalidStateError', 'A transaction which is not active cannot be committed');
+    }
+    this.__active = false;
+    this.__committing = true;
+};
 IDBTransaction.prototype.toString = function () {
     return '[object IDBTransaction]';
 };
@@ -405,7 +634,7 @@ IDBTransaction.prototype.__userErrorEventHandler = function (error, triggerGloba
     triggerGlobalErrorEvent();
 };
 
-util.defineReadonlyProperties(IDBTransaction.prototype, ['objectStoreNames', 'mode', 'db', 'error']);
+util.defineReadonlyProperties(IDBTransaction.prototype, ['objectStoreNames', 'mode', 'durability', 'db', 'error']);
 
 Object.assign(IDBTransaction.prototype, EventTarget.prototype);
 
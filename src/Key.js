@@ -6,7 +6,7 @@ let Key = {};
 /**
  * Encodes the keys based on their types. This is required to maintain collations
  */
-const collations = ['undefined', 'number', 'date', 'string', 'array'];
+const collations = ['undefined', 'number', 'date', 'string', 'array', 'binary'];
 
 /**
  * The sign values for numbers, ordered from least to greatest.
@@ -19,7 +19,6 @@ const collations = ['undefined', 'number', 'date', 'string', 'array'];
  */
 const signValues = ['negativeInfinity', 'bigNegative', 'smallNegative', 'smallPositive', 'bigPositive', 'positiveInfinity'];
 
-// Todo: Support `ArrayBuffer`/Views on buffers (`TypedArray` or `DataView`)
 const types = {
     // Undefined is not a valid key type.  It's only used when there is no key.
     undefined: {
@@ -189,9 +188,45 @@ const types = {
         decode: function (key) {
             return new Date(key.slice(2));
         }
+    },
+
+    // Binary keys (`ArrayBuffer`s or views on buffers) are encoded as two
+    // lowercase hexadecimal digits per byte. As the digits all sort above the
+    // quotation marks which end encoded array items, shorter keys sort before
+    // longer keys which they begin, whether or not they are in an array.
+    // Binary keys are decoded as `ArrayBuffer`s.
+    binary: {
+        encode: function (key) {
+            const bytes = getBytes(key);
+            let hex = '';
+            for (let i = 0; i < bytes.length; i++) {
+                hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+            }
+            return collations.indexOf('binary') + '-' + hex;
+        },
+        decode: function (key) {
+            const hex = key.slice(2);
+            const bytes = new Uint8Array(hex.length / 2);
+            for (let i = 0; i < bytes.length; i++) {
+                bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+            }
+            return bytes.buffer;
+        }
     }
 };
 
+/**
+ * Returns the bytes of an `ArrayBuffer` or of the portion of a buffer
+ * held by a view (`TypedArray` or `DataView`).
+ * @param {ArrayBuffer|ArrayBufferView} key
+ * @return {Uint8Array}
+ */
+function getBytes (key) {
+    return ArrayBuffer.isView(key)
+        ? new Uint8Array(key.buffer, key.byteOffset, key.byteLength)
+        : new Uint8Array(key);
+}
+
 /**
  * Return a padded base-32 exponent value.
  * @param {number}
@@ -286,24 +321,24 @@ function negate (s) {
 }
 
 /**
- * Returns the string "number", "date", "string", or "array".
+ * Returns the string "number", "date", "string", "array", or "binary".
  */
 function getType (key) {
     if (Array.isArray(key)) return 'array';
     if (util.isDate(key)) return 'date';
-    // if (util.isArrayBufferOrView(key)) return 'ArrayBuffer'; // Todo: Uncomment when supported
+    if (util.isArrayBufferOrView(key)) return 'binary';
     return typeof key;
 }
 
 /**
  * Keys must be strings, numbers (besides NaN), Dates (if value is not NaN),
- *   Arrays (or, once supported, ArrayBuffer) objects
+ *   Arrays, or ArrayBuffer (or views on buffers) objects
  */
 function convertValueToKey (key, arrayRefs, multiEntry) {
     const type = getType(key);
     switch (type) {
-    case 'ArrayBuffer': // Copy bytes once implemented (not a possible type yet)
-        return key;
+    case 'binary': // Copy the bytes (of the viewed portion, if a view)
+        return getBytes(key).slice().buffer;
     case 'array':
         arrayRefs = arrayRefs || [];
         arrayRefs.push(key);
@@ -319,7 +354,8 @@ function convertValueToKey (key, arrayRefs, multiEntry) {
                     throw err;
                 }
             }
-            if (!multiEntry || !newKeys.includes(newKey)) {
+            // Compare encoded keys so that equal (but distinct) date and binary keys are not duplicated
+            if (!multiEntry || !newKeys.some((k) => encode(k, true) === encode(newKey, true))) {
                 newKeys.push(newKey);
             }
         }
@@ -418,12 +454,31 @@ function isMultiEntryMatch (encodedEntry, encodedKey) {
     const keyType = collations[encodedKey.substring(0, 1)];
 
     if (keyType === 'array') {
-        return encodedKey.indexOf(encodedEntry) > 1;
+        // Compare whole items (a substring check would also match longer
+        //   string or binary keys beginning with the entry)
+        return JSON.parse(encodedKey.slice(2)).includes(encodedEntry);
     } else {
         return encodedKey === encodedEntry;
     }
 }
 
+/**
+ * Gets the (encoded) entries of a multi-entry index key.
+ * @param {string} encodedKey       The full index key (already encoded)
+ * @returns {string[]}
+ */
+function getMultiEntries (encodedKey) {
+    const keyType = collations[encodedKey.substring(0, 1)];
+
+    if (keyType === 'array') {
+        const entries = JSON.parse(encodedKey.slice(2));
+        entries.pop();                                                  // remove the extra item
+        return entries.filter((entry, i) => entries.indexOf(entry) === i);
+    } else {
+        return [encodedKey];
+    }
+}
+
 function isKeyInRange (key, range, checkCached) {
     let lowerMatch = range.lower === undefined;
     let upperMatch = range.upper === undefined;
@@ -490,7 +545,7 @@ function encode (key, inArray) {
     if (key === undefined) {
         return null;
     }
-    // Currently has array, date, number, string
+    // Currently has array, date, number, string, binary
     return types[getType(key)].encode(key, inArray);
 }
 function decode (key, inArray) {
@@ -500,5 +555,5 @@ function decode (key, inArray) {
     return types[collations[key.substring(0, 1)]].decode(key, inArray);
 }
 
-Key = {encode, decode, convertValueToKey, convertValueToKeyMultiEntry, extractKeyFromValueUsingKeyPath, evaluateKeyPathOnValue, setValue, isMultiEntryMatch, isKeyInRange, findMultiEntryMatches};
-export {encode, decode, convertValueToKey, convertValueToKeyMultiEntry, extractKeyFromValueUsingKeyPath, evaluateKeyPathOnValue, setValue, isMultiEntryMatch, isKeyInRange, findMultiEntryMatches, Key as default};
+Key = {encode, decode, convertValueToKey, convertValueToKeyMultiEntry, extractKeyFromValueUsingKeyPath, evaluateKeyPathOnValue, setValue, isMultiEntryMatch, getMultiEntries, isKeyInRange, findMultiEntryMatches};
+export {encode, decode, convertValueToKey, convertValueToKeyMultiEntry, extractKeyFromValueUsingKeyPath, evaluateKeyPathOnValue, setValue, isMultiEntryMatch, getMultiEntries, isKeyInRange, findMultiEntryMatches, Key as default};
@@ -1,18 +1,100 @@
-/* eslint-disable no-eval */
 import atob from 'atob';
 import Blob from 'w3c-blob'; // Needed by Node; uses native if available (browser)
 import * as util from './util.js';
 
+const base64Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// The views on buffers which we can clone (keyed by their `$type` name)
+const bufferViewTypes = {
+    Int8Array,
+    Uint8Array,
+    Uint8ClampedArray,
+    Int16Array,
+    Uint16Array,
+    Int32Array,
+    Uint32Array,
+    Float32Array,
+    Float64Array,
+    DataView
+};
+
+/**
+ * Locates the value described by a PATH (as produced by `decycle`) by
+ *   walking its `[NUMBER]` and `["STRING"]` members from the root object.
+ *   The members of a Map or Set are the indexes of its entries (or values),
+ *   in insertion order, with a Map entry's key and value at `[0]` and `[1]`.
+ * @param {Object} root The object indicated by `$`
+ * @param {String} path
+ * @param {Map} [reviving] Encoded Maps and Sets (still being revived) keyed
+ *   to their revived collections
+ * @returns {*} The value found at the path
+ */
+function resolvePath (root, path, reviving) {
+    const memberRegex = /\[(\d+|"(?:[^\\"]|\\.)*")]/g;
+    let value = root, match;
+    while ((match = memberRegex.exec(path))) {
+        const member = JSON.parse(match[1]);
+        if (reviving && reviving.has(value)) {
+            // Its encoded entries are revived in place
+            value = value.$enc[member];
+        } else if (util.isMap(value) || util.isSet(value)) {
+            value = Array.from(value)[member];
+        } else {
+            value = value[member];
+        }
+    }
+    return reviving && reviving.has(value) ? reviving.get(value) : value;
+}
+
+/**
+ * Converts an ArrayBuffer to a base64 string
+ * @param {ArrayBuffer} buffer
+ * @returns {String}
+ */
+function arrayBufferToBase64 (buffer) {
+    const bytes = new Uint8Array(buffer);
+    const len = bytes.length;
+    let base64 = '';
+    for (let i = 0; i < len; i += 3) {
+        const byte1 = bytes[i], byte2 = bytes[i + 1], byte3 = bytes[i + 2]; // Bytes past the end are `undefined` (i.e., 0 when shifted)
+        base64 += base64Chars[byte1 >> 2] +
+            base64Chars[((byte1 & 3) << 4) | (byte2 >> 4)] +
+            (i + 1 < len ? base64Chars[((byte2 & 15) << 2) | (byte3 >> 6)] : '=') +
+            (i + 2 < len ? base64Chars[byte3 & 63] : '=');
+    }
+    return base64;
+}
+
+/**
+ * Converts a base64 string to a Uint8Array
+ * @param {String} base64
+ * @returns {Uint8Array}
+ */
+function base64ToUint8Array (base64) {
+    const raw = atob(base64);
+    const rawLength = raw.length;
+    const uInt8Array = new Uint8Array(rawLength);
+    for (let i = 0; i < rawLength; ++i) {
+        uInt8Array[i] = raw.charCodeAt(i);
+    }
+    return uInt8Array;
+}
+
 /**
  * Implementation of the Structured Cloning Algorithm.  Supports the
  * following object types:
+ * - ArrayBuffer
  * - Blob
  * - Boolean
+ * - DataView
  * - Date object
  * - File object (deserialized as Blob object).
+ * - Map object
  * - Number object
  * - RegExp object
+ * - Set object
  * - String object
+ * - TypedArray objects (e.g., Uint8Array)
  * This is accomplished by doing the following:
  * 1) Using the cycle/decycle functions from:
  *    https://github.com/douglascrockford/JSON-js/blob/master/cycle.js
@@ -31,6 +113,11 @@ function decycle (object, callback) {
     //  *Blob
     //  *Number
     //  *Regex
+    //  *ArrayBuffer
+    //  *TypedArray (e.g., Uint8Array)
+    //  *DataView
+    //  *Map
+    //  *Set
     // Make a deep copy of an object or array, assuring that there is at most
     // one instance of each object or array in the resulting structure. The
     // duplicate references (which might be forming cycles) are replaced with
@@ -76,32 +163,48 @@ function decycle (object, callback) {
             if (util.isFile(blob)) {
                 // blobtype = 'File';
             }
-            updateEncodedBlob(dataURL, path, blobtype);
+            updateEncodedBlob(blob, dataURL, path, blobtype);
         };
         reader.readAsDataURL(blob);
     }
 
     /**
      * Async handler to update a blob object to a data URL for encoding.
+     * @param {Blob} blob (as placed in the deep copy)
      * @param {String} dataURL
      * @param {String} path
      * @param {String} blobtype - file if the blob is a file; blob otherwise
      */
-    function updateEncodedBlob (dataURL, path, blobtype) {
+    function updateEncodedBlob (blob, dataURL, path, blobtype) {
         const encoded = queuedObjects.indexOf(path);
-        path = path.replace('$', 'derezObj');
-        eval(path + '.$enc="' + dataURL + '"');
-        eval(path + '.$type="' + blobtype + '"');
+        blob.$enc = dataURL;
+        blob.$type = blobtype;
         queuedObjects.splice(encoded, 1);
         checkForCompletion();
     }
 
+    /**
+     * Look to see if we have already encountered an object. If so, return its path.
+     * This is a hard way, linear search that will get slower as the number of unique
+     * objects grows.
+     * @param {Object} value
+     * @returns {String|undefined}
+     */
+    function findPath (value) {
+        for (let i = 0; i < objects.length; i += 1) {
+            if (objects[i] === value) {
+                return paths[i];
+            }
+        }
+    }
+
     function derez (value, path) {
         // The derez recurses through the object, producing the deep copy.
 
         let i,          // The loop counter
             name,       // Property name
-            nu;         // The new object or array
+            nu,         // The new object or array
+            foundPath;  // The path of an already encountered object
 
         // typeof null === 'object', so go on if this value is really an object but not
         // one of the weird builtin objects.
@@ -112,16 +215,17 @@ function decycle (object, callback) {
             !(['boolean', 'number', 'string'].includes(valOfType)) &&
             !(util.isDate(value)) &&
             !(util.isRegExp(value)) &&
+            !(util.isArrayBufferOrView(value)) &&
+            !(util.isMap(value)) &&
+            !(util.isSet(value)) &&
             !(util.isBlob(Blob))
         ) {
             // If the value is an object or array, look to see if we have already
-            // encountered it. If so, return a $ref/path object. This is a hard way,
-            // linear search that will get slower as the number of unique objects grows.
+            // encountered it. If so, return a $ref/path object.
 
-            for (i = 0; i < objects.length; i += 1) {
-                if (objects[i] === value) {
-                    return {$ref: paths[i]};
-                }
+            foundPath = findPath(value);
+            if (foundPath !== undefined) {
+                return {$ref: foundPath};
             }
 
             // Otherwise, accumulate the unique value and its path.
@@ -148,6 +252,59 @@ function decycle (object, callback) {
             }
 
             return nu;
+        } else if (util.isArrayBufferOrView(value)) {
+            // Buffers may be shared (e.g., by multiple views), so they are also
+            //  tracked for replacement by $ref/path objects
+            foundPath = findPath(value);
+            if (foundPath !== undefined) {
+                return {$ref: foundPath};
+            }
+            objects.push(value);
+            paths.push(path);
+
+            const type = Object.prototype.toString.call(value).slice(8, -1);
+            if (bufferViewTypes[type]) {
+                // The path of the buffer is that of the `buffer` property of the decoded view
+                value = {
+                    '$type': type,
+                    '$enc': {
+                        buffer: derez(value.buffer, path + '["buffer"]'),
+                        byteOffset: value.byteOffset,
+                        length: type === 'DataView' ? value.byteLength : value.length
+                    }
+                };
+            } else {
+                value = {
+                    '$type': 'ArrayBuffer',
+                    '$enc': arrayBufferToBase64(value)
+                };
+            }
+        } else if (util.isMap(value) || util.isSet(value)) {
+            // Maps and Sets may also be referenced (including from within
+            //  themselves), so are tracked like objects and arrays
+            foundPath = findPath(value);
+            if (foundPath !== undefined) {
+                return {$ref: foundPath};
+            }
+            objects.push(value);
+            paths.push(path);
+
+            // Their entries (or values) are kept in insertion order, with the
+            //  paths they will have when resolved within the decoded collection
+            if (util.isMap(value)) {
+                value = {
+                    '$type': 'Map',
+                    '$enc': Array.from(value).map(([key, val], i) => [
+                        derez(key, path + '[' + i + '][0]'),
+                        derez(val, path + '[' + i + '][1]')
+                    ])
+                };
+            } else {
+                value = {
+                    '$type': 'Set',
+                    '$enc': Array.from(value).map((val, i) => derez(val, path + '[' + i + ']'))
+                };
+            }
         } else if (util.isBlob(value)) {
             // Queue blob for conversion
             queuedObjects.push(path);
@@ -198,14 +355,19 @@ function retrocycle ($) {
     //  *Blob
     //  *Number
     //  *Regex
+    //  *ArrayBuffer
+    //  *TypedArray (e.g., Uint8Array)
+    //  *DataView
+    //  *Map
+    //  *Set
     // Restore an object that was reduced by decycle. Members whose values are
     // objects of the form
     //      {$ref: PATH}
     // are replaced with references to the value found by the PATH. This will
     // restore cycles. The object will be mutated.
 
-    // The eval function is used to locate the values described by a PATH. The
-    // root object is kept in a $ variable. A regular expression is used to
+    // The resolvePath function is used to locate the values described by a PATH.
+    // The root object is kept in a $ variable. A regular expression is used to
     // assure that the PATH is extremely well formed. The regexp contains nested
     // * quantifiers. That has been known to have extremely bad performance
     // problems on some browsers for very long strings. A PATH is expected to be
@@ -217,6 +379,10 @@ function retrocycle ($) {
     //      return JSON.retrocycle(JSON.parse(s));
     // produces an array containing a single element which is the array itself.
 
+    // Encoded Maps and Sets keyed to their revived collections (which
+    // references from within their own entries need before they are complete)
+    const reviving = new Map();
+
     const px = /^\$(?:\[(?:\d+|"(?:[^\\"\u0000-\u001f]|\\([\\"/bfnrt]|u[0-9a-zA-Z]{4}))*")])*$/;
 
     /**
@@ -239,14 +405,45 @@ function retrocycle ($) {
 
         parts = dataURL.split(BASE64_MARKER);
         contentType = parts[0].split(':')[1];
-        raw = atob(parts[1]);
-        const rawLength = raw.length;
-        const uInt8Array = new Uint8Array(rawLength);
+        return new Blob([base64ToUint8Array(parts[1]).buffer], {type: contentType});
+    }
 
-        for (let i = 0; i < rawLength; ++i) {
-            uInt8Array[i] = raw.charCodeAt(i);
+    /**
+     * Converts an encoded TypedArray or DataView to the view on its (possibly
+     *   shared) buffer
+     * @param {String} type The name of the view's constructor
+     * @param {Object} enc The encoded buffer, byte offset and length
+     * @returns {ArrayBufferView}
+     */
+    function bufferViewFromEncoded (type, enc) {
+        let buffer = enc.buffer;
+        const path = buffer.$ref;
+        if (typeof path === 'string' && px.test(path)) {
+            buffer = resolvePath($, path, reviving);
+        } else {
+            buffer = rez(buffer);
         }
-        return new Blob([uInt8Array.buffer], {type: contentType});
+        return new bufferViewTypes[type](buffer, enc.byteOffset, enc.length);
+    }
+
+    /**
+     * Converts an encoded Map or Set to the collection of its revived entries
+     *   (or values), in their original order
+     * @param {Object} encoded The object with the `$type` and the `$enc` entries
+     * @returns {Map|Set}
+     */
+    function collectionFromEncoded (encoded) {
+        const isMap = encoded.$type === 'Map';
+        const collection = isMap ? new Map() : new Set();
+        reviving.set(encoded, collection);
+        rez(encoded.$enc).forEach((entry) => {
+            if (isMap) {
+                collection.set(entry[0], entry[1]);
+            } else {
+                collection.add(entry);
+            }
+        });
+        return collection;
     }
 
     function rez (value) {
@@ -264,7 +461,7 @@ function retrocycle ($) {
                     if (util.isObj(item)) {
                         path = item.$ref;
                         if (typeof path === 'string' && px.test(path)) {
-                            value[i] = eval(path);
+                            value[i] = resolvePath($, path, reviving);
                         } else {
                             value[i] = rez(item);
                         }
@@ -283,12 +480,28 @@ function retrocycle ($) {
                     case 'Date':
                         value = new Date(value.$enc);
                         break;
+                    case 'ArrayBuffer':
+                        value = base64ToUint8Array(value.$enc).buffer;
+                        break;
+                    case 'Int8Array': case 'Uint8Array': case 'Uint8ClampedArray':
+                    case 'Int16Array': case 'Uint16Array': case 'Int32Array':
+                    case 'Uint32Array': case 'Float32Array': case 'Float64Array':
+                    case 'DataView':
+                        value = bufferViewFromEncoded(value.$type, value.$enc);
+                        break;
+                    case 'Map':
+                    case 'Set':
+                        value = collectionFromEncoded(value);
+                        break;
                     case 'Number':
                         value = Number(value.$enc);
                         break;
-                    case 'RegExp':
-                        value = eval(value.$enc);
+                    case 'RegExp': {
+                        // Encoded as `/source/flags` (where `source` escapes any slashes)
+                        const flagsStart = value.$enc.lastIndexOf('/');
+                        value = new RegExp(value.$enc.slice(1, flagsStart), value.$enc.slice(flagsStart + 1));
                         break;
+                    }
                     case 'number':
                         value = parseFloat(value.$enc);
                         break;
@@ -303,7 +516,7 @@ function retrocycle ($) {
                             if (item) {
                                 path = item.$ref;
                                 if (typeof path === 'string' && px.test(path)) {
-                                    value[name] = eval(path);
+                                    value[name] = resolvePath($, path, reviving);
                                 } else {
                                     value[name] = rez(item);
                                 }
@@ -342,5 +555,42 @@ function decode (val) {
     return retrocycle(JSON.parse(val));
 }
 
-const Sca = {decycle, retrocycle, encode, decode};
-export {decycle, retrocycle, encode, decode, Sca as default};
+/**
+ * Sets a number (e.g., a generated key) at a key path of an already encoded
+ * object, as `Key.setValue` would on the decoded object (creating the
+ * objects missing along the path), without encoding the object anew
+ * @param {String} val the serialized object
+ * @param {String} keyPath
+ * @param {Number} number
+ * @returns {String|undefined} the serialized object with the number set, or
+ * `undefined` if the path does not run through plain objects (so that the
+ * number is to be set on the decoded object instead)
+ */
+function injectNumber (val, keyPath, number) {
+    function isPlainObject (obj) {
+        return util.isObj(obj) && !Array.isArray(obj) && !('$type' in obj) && !('$ref' in obj);
+    }
+    const $ = JSON.parse(val);
+    const props = keyPath.split('.');
+    let obj = $;
+    for (let i = 0; i < props.length - 1; i++) {
+        if (!isPlainObject(obj)) {
+            return undefined;
+        }
+        if (!Object.prototype.hasOwnProperty.call(obj, props[i])) {
+            obj[props[i]] = {};
+        }
+        obj = obj[props[i]];
+    }
+    if (!isPlainObject(obj)) {
+        return undefined;
+    }
+    obj[props[props.length - 1]] = {
+        '$type': 'number',
+        '$enc': number + ''
+    };
+    return JSON.stringify($);
+}
+
+const Sca = {decycle, retrocycle, encode, decode, injectNumber};
+export {decycle, retrocycle, encode, decode, injectNumber, Sca as default};
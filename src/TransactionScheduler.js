@@ -0,0 +1,68 @@
+/**
+ * Schedules the transactions against a database (across all of its
+ *   connections) per https://w3c.github.io/IndexedDB/#transaction-scheduling:
+ *   a transaction is started once no unfinished transaction created before it
+ *   has an overlapping scope, except that `readonly` transactions need not
+ *   wait on one another. `versionchange` transactions overlap all others.
+ * Transactions are not started until the task in which they were created
+ *   has finished, and they remain unfinished (holding up those which wait on
+ *   them) until their WebSQL transaction has finished.
+ * @constructor
+ */
+function TransactionScheduler () {
+    this.__transactions = []; // Unfinished transactions in the order of their creation
+    this.on__empty = null; // Called once the last unfinished transaction has been removed
+}
+
+/**
+ * Adds a newly created transaction
+ * @param {IDBTransaction} tx
+ */
+TransactionScheduler.prototype.__add = function (tx) {
+    this.__transactions.push(tx);
+    setTimeout(() => {
+        tx.__readyToStart = true;
+        this.__startTransactions();
+    }, 0);
+};
+
+/**
+ * Removes a finished transaction (or one aborted before it started, which
+ *   will never start), starting any transactions which were waiting on it
+ * @param {IDBTransaction} tx
+ */
+TransactionScheduler.prototype.__remove = function (tx) {
+    const idx = this.__transactions.indexOf(tx);
+    if (idx > -1) {
+        this.__transactions.splice(idx, 1);
+        this.__startTransactions();
+        if (!this.__transactions.length && this.on__empty) {
+            this.on__empty();
+        }
+    }
+};
+
+function overlaps (tx1, tx2) {
+    return tx1.mode === 'versionchange' || tx2.mode === 'versionchange' ||
+        tx1.__objectStoreNames.some((storeName) => tx2.__objectStoreNames.indexOf(storeName) > -1);
+}
+
+/**
+ * Starts the transactions which are ready and no longer have to wait
+ */
+TransactionScheduler.prototype.__startTransactions = function () {
+    const transactions = this.__transactions.slice();
+    transactions.forEach((tx, i) => {
+        if (tx.__running || !tx.__readyToStart) {
+            return;
+        }
+        const mustWait = transactions.slice(0, i).some((earlierTx) => {
+            return (tx.mode !== 'readonly' || earlierTx.mode !== 'readonly') && overlaps(tx, earlierTx);
+        });
+        if (!mustWait) {
+            tx.__executeRequests();
+        }
+    });
+};
+
+export default TransactionScheduler;
@@ -0,0 +1,239 @@
+import CFG from './CFG.js';
+import * as util from './util.js';
+
+/**
+ * Storage backends
+ *
+ * Each IndexedDB database (and the system database tracking their versions)
+ * is stored in a SQL database opened through the configured storage backend:
+ * `CFG.backend` if set, or otherwise a WebSQL backend using the
+ * `openDatabase` method of `CFG.win`. A backend implements the following
+ * (WebSQL-compatible) interface:
+ *
+ * - `backend.openDatabase(name, displayName, estimatedSize)` returns the
+ *     database for the name (the file path; see below).
+ * - `database.transaction(callback, errorCallback, successCallback, options)`
+ *     and `database.readTransaction(callback, errorCallback, successCallback, options)`
+ *     queue a read-write or read-only transaction. Transactions against a
+ *     database run one at a time and in order. `callback(tx)` is called once
+ *     the transaction begins, `errorCallback(err)` if it is rolled back, and
+ *     `successCallback()` once it is committed. `options.durability` is the
+ *     `durability` hint of the IndexedDB transaction ("default", "strict",
+ *     or "relaxed"), which backends are free to ignore (as WebSQL does).
+ * - `tx.executeSql(sql, args, successCallback, errorCallback)` queues a
+ *     statement, calling `successCallback(tx, resultSet)` (where `resultSet`
+ *     has `rows`--with `length` and `item(index)`--, `rowsAffected`, and
+ *     `insertId`) or `errorCallback(tx, err)` (where `err` has the numeric
+ *     `code` of a WebSQL `SQLError` and a `message`). A truthy return from
+ *     `errorCallback` (or its absence) rolls back the transaction. Statements
+ *     may be queued from within these callbacks; the transaction is committed
+ *     once none remain.
+ * - `tx.rollback(successCallback, errorCallback)` (optional) rolls back the
+ *     statements run so far (discarding any others), the transaction then
+ *     committing nothing; the callbacks are as for `executeSql`. Without it,
+ *     transactions are rolled back by a failing statement.
+ * - `backend.closeDatabase(name, deleted)` (optional) is called once a
+ *     database has been deleted (`deleted` being `true`) or its connections
+ *     force-closed, for backends which keep their databases open. The
+ *     database is opened anew if needed again.
+ *
+ * The callbacks of each statement must be called asynchronously (and in a
+ * separate task from those of the previous statement), so that promise
+ * reactions run between them as they do with WebSQL.
+ *
+ * If `CFG.memoryDatabase` is set (and `CFG.backend` is not), databases are
+ * instead kept in SQLite `:memory:` databases opened through `CFG.win`.
+ *
+ * The name passed to the backend is the database's file path: by default the
+ * escaped database name (or `__sysdb__.sqlite` for the system database),
+ * prefixed by the escaped origin for origins other than that of the page (as
+ * given to the `IDBFactory` constructor), or that returned by
+ * `CFG.databasePath`, resolved against `CFG.databaseBasePath` if relative.
+ */
+
+let webSQLBackend, webSQLWin, memoryBackend, memoryWin;
+
+/**
+ * Creates a storage backend using WebSQL (or a WebSQL emulation such as
+ *   `node-websql`)
+ * @param {object} win Object with the `openDatabase` method (e.g., `window`,
+ *   as browsers throw if `openDatabase` is called without it)
+ * @returns {object} The backend
+ */
+function createWebSQLBackend (win) {
+    return {
+        openDatabase: function (name, displayName, estimatedSize) {
+            return win.openDatabase(name, 1, displayName, estimatedSize);
+        }
+    };
+}
+
+/**
+ * Closes a WebSQL database once its queued transactions have run. WebSQL has
+ *   no means of closing databases, so this uses the `close` method of
+ *   emulations which have one or else closes the underlying `sqlite3`
+ *   database of `node-websql`.
+ * @param {object} database
+ */
+function closeWebSQLDatabase (database) {
+    function close () {
+        if (typeof database.close === 'function') {
+            database.close();
+            return;
+        }
+        const sqliteDatabase = database._db && database._db._db;
+        if (sqliteDatabase && typeof sqliteDatabase.close === 'function') {
+            sqliteDatabase.close();
+        }
+    }
+    // Transactions run in order, so this runs after those already queued
+    database.transaction(function () {}, close, close);
+}
+
+/**
+ * Creates a storage backend keeping each database in its own SQLite
+ *   `:memory:` database (as supported by `node-websql` but not by browsers)
+ * @param {object} win Object with the `openDatabase` method
+ * @returns {object} The backend
+ */
+function createMemoryBackend (win) {
+    const databases = {};
+    return {
+        openDatabase: function (name, displayName, estimatedSize) {
+            if (!databases[name]) {
+                // Each connection to `:memory:` has its own database, so we keep it open
+                databases[name] = win.openDatabase(':memory:', 1, displayName, estimatedSize);
+            }
+            return databases[name];
+        },
+        closeDatabase: function (name, deleted) {
+            // Databases are only discarded along with their data
+            if (deleted && databases[name]) {
+                closeWebSQLDatabase(databases[name]);
+                delete databases[name];
+            }
+        },
+        closeAllDatabases: function () {
+            Object.keys(databases).forEach((name) => this.closeDatabase(name, true));
+        }
+    };
+}
+
+/**
+ * Gets the configured storage backend
+ * @returns {object|null} The backend or `null` if none is available
+ */
+function getBackend () {
+    if (CFG.backend) {
+        return CFG.backend;
+    }
+    if (!CFG.win || CFG.win.openDatabase === undefined) {
+        return null;
+    }
+    if (CFG.memoryDatabase) {
+        if (!memoryBackend || memoryWin !== CFG.win) {
+            memoryWin = CFG.win;
+            memoryBackend = createMemoryBackend(CFG.win);
+        }
+        return memoryBackend;
+    }
+    if (webSQLWin !== CFG.win) {
+        // Reuse the backend so it can be compared with that of previously opened databases
+        webSQLWin = CFG.win;
+        webSQLBackend = createWebSQLBackend(CFG.win);
+    }
+    return webSQLBackend;
+}
+
+/**
+ * Gets the origin to which databases belong
+ * @returns {string|null} The origin of the page, or `null` if there is none
+ *   (as in Node)
+ */
+function getOrigin () {
+    return typeof location !== 'undefined' && location.origin ? location.origin : null;
+}
+
+/**
+ * Escapes an origin for use as a file name prefix (with `_` escaped so that
+ *   the prefix cannot run into the database name)
+ * @param {string} origin
+ * @returns {string}
+ */
+function escapeOrigin (origin) {
+    return 'O_' + encodeURIComponent(origin)
+        .replace(/[_*!'()~]/g, (c) => '%' + c.charCodeAt(0).toString(16))
+        // As file names may be case-insensitive, upper-case letters are
+        //   escaped (as with database names), so we lower-case the escapes
+        .replace(/%[\dA-F]{2}/g, (escape) => escape.toLowerCase())
+        .replace(/[A-Z]/g, '^$&') + '_';
+}
+
+/**
+ * Gets the file path under which a database is stored
+ * @param {string|null} name The IndexedDB database name or `null` for the
+ *   system database
+ * @param {string|null} origin
+ * @returns {string} The path
+ */
+function getDatabasePath (name, origin) {
+    let path;
+    if (CFG.databasePath) {
+        path = CFG.databasePath(name, origin);
+    } else {
+        path = name === null ? '__sysdb__.sqlite' : util.escapeDatabaseName(name);
+        if (origin !== null && origin !== getOrigin()) {
+            path = escapeOrigin(origin) + path;
+        }
+    }
+    const basePath = CFG.databaseBasePath;
+    // Not using Node's `path` so as to avoid it in the browser build
+    if (basePath && !(/^([/\\]|[A-Za-z]:)/).test(path)) {
+        path = basePath.replace(/[/\\]+$/, '') + '/' + path;
+    }
+    return path;
+}
+
+/**
+ * Opens a database through the configured storage backend
+ * @param {string|null} name The IndexedDB database name or `null` for the
+ *   system database
+ * @param {string|null} origin
+ * @returns {object} The backend's database
+ */
+function openDatabase (name, origin) {
+    return getBackend().openDatabase(
+        getDatabasePath(name, origin),
+        name === null ? 'System Database' : name,
+        CFG.DEFAULT_DB_SIZE
+    );
+}
+
+/**
+ * Lets the configured storage backend close a database (if it keeps its
+ *   databases open)
+ * @param {string} name The IndexedDB database name
+ * @param {string|null} origin
+ * @param {boolean} deleted Whether the database was deleted (rather than
+ *   its connections force-closed)
+ */
+function closeDatabase (name, origin, deleted) {
+    const backend = getBackend();
+    if (backend && typeof backend.closeDatabase === 'function') {
+        backend.closeDatabase(getDatabasePath(name, origin), deleted);
+    }
+}
+
+/**
+ * Closes and discards the databases kept in memory (with
+ *   `CFG.memoryDatabase`); a new backend (with empty databases) is created
+ *   when next needed
+ */
+function resetMemoryBackend () {
+    if (memoryBackend) {
+        memoryBackend.closeAllDatabases();
+    }
+    memoryBackend = null;
+}
+
+export {createWebSQLBackend, getBackend, getOrigin, getDatabasePath, openDatabase, closeDatabase, resetMemoryBackend};
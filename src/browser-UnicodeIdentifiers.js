@@ -3,10 +3,15 @@ import * as UnicodeIdentifiers from './UnicodeIdentifiers';
 
 // BEGIN: Same code as in browser.js
 import setGlobalVars from './setGlobalVars.js';
+import promises from './promises.js';
 import CFG from './CFG.js';
 
 CFG.win = typeof window !== 'undefined' ? window : self; // For Web Workers
 
+// The optional promise-based wrapper API (e.g., `setGlobalVars.promises.openDB`
+//   when bundling `src/browser.js`)
+setGlobalVars.promises = promises;
+
 setGlobalVars();
 // END: Same code as in browser.js
 
@@ -16,3 +21,5 @@ shimIndexedDB.__setUnicodeIdentifiers = function () {
 };
 
 shimIndexedDB.__setUnicodeIdentifiers();
+
+export default setGlobalVars;
@@ -1,6 +1,13 @@
 import setGlobalVars from './setGlobalVars.js';
+import promises from './promises.js';
 import CFG from './CFG.js';
 
 CFG.win = typeof window !== 'undefined' ? window : self; // For Web Workers
 
+// The optional promise-based wrapper API (e.g., `setGlobalVars.promises.openDB`
+//   when bundling `src/browser.js`)
+setGlobalVars.promises = promises;
+
 setGlobalVars();
+
+export default setGlobalVars;
@@ -4,14 +4,31 @@ import * as UnicodeIdentifiers from './UnicodeIdentifiers';
 // BEGIN: Same code as in node.js
 import nodeWebsql from 'websql';
 import setGlobalVars from './setGlobalVars.js';
+import promises from './promises.js';
+import {createWebSQLBackend} from './backend.js';
+import {createSQLiteBackend} from './sqliteBackend.js';
 import CFG from './CFG.js';
 
 CFG.win = {openDatabase: nodeWebsql};
+
+// The optional promise-based wrapper API (e.g., `require('indexeddbshim').promises.openDB`)
+setGlobalVars.promises = promises;
+
+// Storage backends for `shimIndexedDB.__setConfig('backend', backend)`
+setGlobalVars.backends = {
+    createWebSQLBackend,
+    createNodeWebSQLBackend: function () {
+        return createWebSQLBackend({openDatabase: nodeWebsql});
+    },
+    createSQLiteBackend
+};
 // END: Same code as in node.js
 
 const __setGlobalVars = function () {
     setGlobalVars();
     shimIndexedDB.__setUnicodeIdentifiers(UnicodeIdentifiers);
 };
+__setGlobalVars.promises = setGlobalVars.promises;
+__setGlobalVars.backends = setGlobalVars.backends;
 
 export default __setGlobalVars;
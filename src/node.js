@@ -2,8 +2,23 @@
 
 import nodeWebsql from 'websql';
 import setGlobalVars from './setGlobalVars.js';
+import promises from './promises.js';
+import {createWebSQLBackend} from './backend.js';
+import {createSQLiteBackend} from './sqliteBackend.js';
 import CFG from './CFG.js';
 
 CFG.win = {openDatabase: nodeWebsql};
 
+// The optional promise-based wrapper API (e.g., `require('indexeddbshim').promises.openDB`)
+setGlobalVars.promises = promises;
+
+// Storage backends for `shimIndexedDB.__setConfig('backend', backend)`
+setGlobalVars.backends = {
+    createWebSQLBackend,
+    createNodeWebSQLBackend: function () {
+        return createWebSQLBackend({openDatabase: nodeWebsql});
+    },
+    createSQLiteBackend
+};
+
 export default setGlobalVars;
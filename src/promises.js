@@ -0,0 +1,420 @@
+import {createDOMException} from './DOMException.js';
+import {shimIndexedDB} from './IDBFactory.js';
+
+/**
+ * An optional promise-based wrapper API on top of `shimIndexedDB`. Each
+ * wrapper exposes the wrapped IndexedDB object as its `raw` property.
+ *
+ * As promise reactions (including the resumption of `async` functions) only
+ * run once the shim has finished dispatching a request's events, the shim
+ * transaction is kept alive after each successful wrapped request until they
+ * have had a chance to queue further requests. As with native IndexedDB, awaiting
+ * anything other than the transaction's own requests (e.g., a timeout) lets
+ * the transaction commit.
+ */
+
+/**
+ * Lets promise reactions to the request whose "success" event is being
+ *   dispatched place further requests against its transaction (native
+ *   transactions need no help)
+ * @param {IDBTransaction} transaction
+ */
+function keepAlive (transaction) {
+    if (transaction && transaction.__addKeepAliveToTransactionQueue) {
+        transaction.__addKeepAliveToTransactionQueue();
+    }
+}
+
+/**
+ * Resolves with the result of the next "success" event of the request (or
+ *   rejects with its error)
+ * @param {IDBRequest} request
+ * @param {function} [convertResult] Converts `request.result` for resolving
+ * @returns {Promise}
+ */
+function requestToPromise (request, convertResult) {
+    return new Promise(function (resolve, reject) {
+        function onsuccess () {
+            unlisten();
+            keepAlive(request.transaction);
+            resolve(convertResult ? convertResult(request.result) : request.result);
+        }
+        function onerror () {
+            unlisten();
+            reject(request.error);
+        }
+        function unlisten () {
+            request.removeEventListener('success', onsuccess);
+            request.removeEventListener('error', onerror);
+        }
+        request.addEventListener('success', onsuccess);
+        request.addEventListener('error', onerror);
+    });
+}
+
+/**
+ * Calls a method which returns a request, converting any synchronously thrown
+ *   error into a rejection
+ * @param {function} method Returns the request
+ * @param {function} [convertResult] Converts `request.result` for resolving
+ * @returns {Promise}
+ */
+function callForPromise (method, convertResult) {
+    let request;
+    try {
+        request = method();
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    return requestToPromise(request, convertResult);
+}
+
+/**
+ * Defines getters on a wrapper's prototype for properties of the raw object
+ * @param {function} Wrapper
+ * @param {string[]} props
+ */
+function forwardProperties (Wrapper, props) {
+    props.forEach(function (prop) {
+        Object.defineProperty(Wrapper.prototype, prop, {
+            enumerable: true,
+            configurable: true,
+            get: function () {
+                return this.raw[prop];
+            }
+        });
+    });
+}
+
+/**
+ * Defines methods on a wrapper's prototype which call the request-returning
+ *   method of the raw object, resolving with the request's result
+ * @param {function} Wrapper
+ * @param {string[]} methods
+ */
+function forwardRequestMethods (Wrapper, methods) {
+    methods.forEach(function (method) {
+        Wrapper.prototype[method] = function (...args) {
+            return callForPromise(() => this.raw[method](...args));
+        };
+    });
+}
+
+/**
+ * Defines `openCursor` and `openKeyCursor` methods on a store or index
+ *   wrapper's prototype, resolving with a `PromiseCursor` (or `null` if there
+ *   are no records in range)
+ * @param {function} Wrapper
+ */
+function forwardCursorMethods (Wrapper) {
+    ['openCursor', 'openKeyCursor'].forEach(function (method) {
+        Wrapper.prototype[method] = function (...args) {
+            let request;
+            return callForPromise(() => {
+                request = this.raw[method](...args);
+                return request;
+            }, (cursor) => cursor && new PromiseCursor(cursor, request, this));
+        };
+    });
+}
+
+/**
+ * Wraps an IDBDatabase
+ * @param {IDBDatabase} db
+ * @constructor
+ */
+function PromiseDatabase (db) {
+    this.raw = db;
+    this.__upgradeTransaction = null;
+}
+forwardProperties(PromiseDatabase, ['name', 'version', 'objectStoreNames']);
+
+/**
+ * Starts a transaction; the returned wrapper's `complete` promise resolves
+ *   when the transaction completes
+ * @param {string|string[]} storeNames
+ * @param {string} [mode]
+ * @param {object} [options]
+ * @returns {PromiseTransaction}
+ */
+PromiseDatabase.prototype.transaction = function (...args) {
+    return new PromiseTransaction(this.raw.transaction(...args), this);
+};
+
+/**
+ * Creates an object store (only within the `upgrade` callback of `openDB`)
+ * @param {string} storeName
+ * @param {object} [options]
+ * @returns {PromiseObjectStore}
+ */
+PromiseDatabase.prototype.createObjectStore = function (...args) {
+    const store = this.raw.createObjectStore(...args);
+    return new PromiseObjectStore(store, this.__upgradeTransaction || new PromiseTransaction(store.transaction, this));
+};
+
+PromiseDatabase.prototype.deleteObjectStore = function (storeName) {
+    this.raw.deleteObjectStore(storeName);
+};
+
+PromiseDatabase.prototype.close = function () {
+    this.raw.close();
+};
+
+/**
+ * Wraps an IDBTransaction
+ * @param {IDBTransaction} transaction
+ * @param {PromiseDatabase} db
+ * @constructor
+ */
+function PromiseTransaction (transaction, db) {
+    const me = this;
+    me.raw = transaction;
+    me.db = db;
+    me.__stores = {};
+
+    /**
+     * Resolves when the transaction completes; rejects with the transaction's
+     *   error (or an `AbortError`) if it is aborted
+     * @type {Promise}
+     */
+    me.complete = new Promise(function (resolve, reject) {
+        transaction.addEventListener('complete', function () {
+            resolve();
+        });
+        transaction.addEventListener('abort', function () {
+            reject(transaction.error || createDOMException('AbortError', 'The transaction was aborted.'));
+        });
+    });
+    // Avoid reporting an unhandled rejection when `complete` isn't being used
+    me.complete.catch(function () {});
+}
+forwardProperties(PromiseTransaction, ['mode', 'durability', 'objectStoreNames', 'error']);
+
+/**
+ * @param {string} storeName
+ * @returns {PromiseObjectStore}
+ */
+PromiseTransaction.prototype.objectStore = function (storeName) {
+    const store = this.raw.objectStore(storeName);
+    if (!this.__stores[storeName] || this.__stores[storeName].raw !== store) {
+        this.__stores[storeName] = new PromiseObjectStore(store, this);
+    }
+    return this.__stores[storeName];
+};
+
+PromiseTransaction.prototype.abort = function () {
+    this.raw.abort();
+};
+
+PromiseTransaction.prototype.commit = function () {
+    this.raw.commit();
+};
+
+/**
+ * Wraps an IDBObjectStore
+ * @param {IDBObjectStore} store
+ * @param {PromiseTransaction} transaction
+ * @constructor
+ */
+function PromiseObjectStore (store, transaction) {
+    this.raw = store;
+    this.transaction = transaction;
+}
+forwardProperties(PromiseObjectStore, ['name', 'keyPath', 'indexNames', 'autoIncrement']);
+forwardRequestMethods(PromiseObjectStore, ['add', 'put', 'addAll', 'putAll', 'get', 'getKey', 'getAll', 'getAllKeys', 'delete', 'clear', 'count']);
+forwardCursorMethods(PromiseObjectStore);
+
+/**
+ * @param {string} indexName
+ * @returns {PromiseIndex}
+ */
+PromiseObjectStore.prototype.index = function (indexName) {
+    return new PromiseIndex(this.raw.index(indexName), this);
+};
+
+/**
+ * Creates an index (only within the `upgrade` callback of `openDB`)
+ * @param {string} indexName
+ * @param {string|string[]} keyPath
+ * @param {object} [options]
+ * @returns {PromiseIndex}
+ */
+PromiseObjectStore.prototype.createIndex = function (...args) {
+    return new PromiseIndex(this.raw.createIndex(...args), this);
+};
+
+PromiseObjectStore.prototype.deleteIndex = function (indexName) {
+    this.raw.deleteIndex(indexName);
+};
+
+/**
+ * Wraps an IDBIndex
+ * @param {IDBIndex} index
+ * @param {PromiseObjectStore} objectStore
+ * @constructor
+ */
+function PromiseIndex (index, objectStore) {
+    this.raw = index;
+    this.objectStore = objectStore;
+}
+forwardProperties(PromiseIndex, ['name', 'keyPath', 'unique', 'multiEntry']);
+forwardRequestMethods(PromiseIndex, ['get', 'getKey', 'getAll', 'getAllKeys', 'count']);
+forwardCursorMethods(PromiseIndex);
+
+/**
+ * Wraps an IDBCursor or IDBCursorWithValue. The methods which move the cursor
+ *   resolve with the same wrapper (or `null` once past the end). The cursor is
+ *   also async-iterable (from its current record), moving to the next record
+ *   unless the cursor was already moved since the previous iteration.
+ * @param {IDBCursor} cursor
+ * @param {IDBRequest} request The request for the cursor
+ * @param {PromiseObjectStore|PromiseIndex} source
+ * @constructor
+ */
+function PromiseCursor (cursor, request, source) {
+    this.raw = cursor;
+    this.source = source;
+    this.__request = request;
+    this.__moving = null; // The promise for the record to which the cursor is being moved
+}
+forwardProperties(PromiseCursor, ['direction', 'key', 'primaryKey', 'value']);
+
+['continue', 'continuePrimaryKey', 'advance'].forEach(function (method) {
+    PromiseCursor.prototype[method] = function (...args) {
+        const me = this;
+        me.__moving = callForPromise(() => {
+            me.raw[method](...args);
+            return me.__request;
+        }, (cursor) => cursor && me);
+        return me.__moving;
+    };
+});
+
+PromiseCursor.prototype.update = function (value) {
+    return callForPromise(() => this.raw.update(value));
+};
+
+PromiseCursor.prototype['delete'] = function () {
+    return callForPromise(() => this.raw['delete']());
+};
+
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    PromiseCursor.prototype[Symbol.asyncIterator] = function () {
+        const me = this;
+        let started = false, done = false;
+        return {
+            next: function () {
+                if (done) {
+                    return Promise.resolve({value: undefined, done: true});
+                }
+                let moving = me.__moving;
+                if (!moving) {
+                    // Begin with the current record
+                    moving = started ? me['continue']() : me;
+                }
+                started = true;
+                me.__moving = null;
+                return Promise.resolve(moving).then(function (cursor) {
+                    done = !cursor;
+                    return {value: cursor || undefined, done};
+                });
+            },
+            'return': function () {
+                // Nothing to release; the transaction completes once it has no further requests
+                done = true;
+                return Promise.resolve({value: undefined, done: true});
+            }
+        };
+    };
+}
+
+/**
+ * Opens (and if need be, upgrades) a database
+ * @param {string} name
+ * @param {number} [version]
+ * @param {object} [callbacks]
+ * @param {function} [callbacks.upgrade] Called with the `PromiseDatabase`,
+ *   old version, new version, and upgrade `PromiseTransaction`; if it throws
+ *   (or returns a promise which rejects), the upgrade is aborted and the
+ *   error is used to reject the opening
+ * @param {function} [callbacks.blocked] Called with the old and new versions
+ *   (and the event) when other connections block the upgrade
+ * @returns {Promise} Resolves to a `PromiseDatabase`
+ */
+function openDB (name, version, {upgrade, blocked} = {}) {
+    return new Promise(function (resolve, reject) {
+        let db, upgradeError;
+        const request = version === undefined ? shimIndexedDB.open(name) : shimIndexedDB.open(name, version);
+        function getDB () {
+            if (!db || db.raw !== request.result) {
+                db = new PromiseDatabase(request.result);
+            }
+            return db;
+        }
+        function abortUpgrade (err) {
+            upgradeError = err;
+            try {
+                request.transaction.abort();
+            } catch (e) {} // The upgrade may already have finished
+        }
+        request.addEventListener('upgradeneeded', function (e) {
+            if (!upgrade) {
+                return;
+            }
+            const db = getDB();
+            db.__upgradeTransaction = new PromiseTransaction(request.transaction, db);
+            db.__upgradeTransaction.complete.then(function () {
+                db.__upgradeTransaction = null;
+            }, function () {
+                db.__upgradeTransaction = null;
+            });
+            let result;
+            try {
+                result = upgrade(db, e.oldVersion, e.newVersion, db.__upgradeTransaction);
+            } catch (err) {
+                abortUpgrade(err);
+                return;
+            }
+            Promise.resolve(result).catch(abortUpgrade);
+        });
+        request.addEventListener('blocked', function (e) {
+            if (blocked) {
+                blocked(e.oldVersion, e.newVersion, e);
+            }
+        });
+        request.addEventListener('success', function () {
+            resolve(getDB());
+        });
+        request.addEventListener('error', function () {
+            reject(upgradeError || request.error);
+        });
+    });
+}
+
+/**
+ * Deletes a database
+ * @param {string} name
+ * @param {object} [callbacks]
+ * @param {function} [callbacks.blocked] Called with the old version (and the
+ *   event) when other connections block the deletion
+ * @returns {Promise} Resolves once the database is deleted
+ */
+function deleteDB (name, {blocked} = {}) {
+    return new Promise(function (resolve, reject) {
+        const request = shimIndexedDB.deleteDatabase(name);
+        request.addEventListener('blocked', function (e) {
+            if (blocked) {
+                blocked(e.oldVersion, e);
+            }
+        });
+        request.addEventListener('success', function () {
+            resolve();
+        });
+        request.addEventListener('error', function () {
+            reject(request.error);
+        });
+    });
+}
+
+const promises = {openDB, deleteDB, PromiseDatabase, PromiseTransaction, PromiseObjectStore, PromiseIndex, PromiseCursor};
+export {openDB, deleteDB, PromiseDatabase, PromiseTransaction, PromiseObjectStore, PromiseIndex, PromiseCursor, promises as default};
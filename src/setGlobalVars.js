@@ -10,6 +10,7 @@ import shimIDBTransaction from './IDBTransaction.js';
 import shimIDBDatabase from './IDBDatabase.js';
 import polyfill from './polyfill.js';
 import CFG from './CFG.js';
+import {getBackend} from './backend.js';
 
 const glob = typeof global !== 'undefined' ? global : (typeof window !== 'undefined' ? window : self);
 glob._babelPolyfill = false; // http://stackoverflow.com/questions/31282702/conflicting-use-of-babel-register
@@ -48,8 +49,8 @@ function setGlobalVars (idb) {
     shim('shimIndexedDB', shimIndexedDB);
     if (IDB.shimIndexedDB) {
         IDB.shimIndexedDB.__useShim = function () {
-            if (CFG.win.openDatabase !== undefined) {
-                // Polyfill ALL of IndexedDB, using WebSQL
+            if (getBackend()) {
+                // Polyfill ALL of IndexedDB, using WebSQL (or another storage backend)
                 shim('indexedDB', shimIndexedDB);
                 shim('IDBFactory', shimIDBFactory);
                 shim('IDBDatabase', shimIDBDatabase);
@@ -116,7 +117,7 @@ function setGlobalVars (idb) {
             navigator.userAgent.indexOf('Chrome') === -1
         ) ? 25 : 4) * 1024 * 1024;
 
-    if ((IDB.indexedDB === undefined || !IDB.indexedDB || poorIndexedDbSupport) && CFG.win.openDatabase !== undefined) {
+    if ((IDB.indexedDB === undefined || !IDB.indexedDB || poorIndexedDbSupport) && getBackend()) {
         IDB.shimIndexedDB.__useShim();
     } else {
         IDB.IDBDatabase = IDB.IDBDatabase || IDB.webkitIDBDatabase;
@@ -0,0 +1,378 @@
+import {createDOMException} from './DOMException.js';
+import CFG from './CFG.js';
+
+/**
+ * A storage backend (see `src/backend.js`) running directly against a SQLite
+ * binding, without a WebSQL emulation: either the asynchronous `sqlite3`
+ * package or a synchronous one (`better-sqlite3` or Node's `node:sqlite`).
+ * Each transaction is run between `BEGIN` and `COMMIT` (or `ROLLBACK`), with
+ * a savepoint set after `BEGIN` so that its statements can be rolled back
+ * (`tx.rollback`) at any time before it finishes.
+ *
+ * The `durability` hint of a transaction sets SQLite's `synchronous` pragma
+ * for it: `FULL` for "strict", `NORMAL` for "relaxed" (which in WAL mode
+ * skips syncing on each commit, at the risk of losing the most recent
+ * transactions on power loss), or the connection's own setting otherwise.
+ *
+ * Statements run against synchronous bindings are still completed in
+ * separate tasks, as promise reactions (e.g., to the results of the
+ * promise-based API) may need to run before the next statement.
+ */
+
+// `SQLError` codes (as WebSQL reports them)
+const UNKNOWN_ERR = 0, DATABASE_ERR = 1, TOO_LARGE_ERR = 3, QUOTA_ERR = 4, SYNTAX_ERR = 5, CONSTRAINT_ERR = 6;
+
+// The savepoint to which transactions are rolled back
+const SAVEPOINT = 'transaction__';
+
+// `synchronous` pragma levels (`FULL` and `NORMAL`) for the `durability` hints
+const synchronousLevels = {strict: 2, relaxed: 1};
+
+const nextTask = typeof setImmediate === 'function' ? setImmediate : function (fn) {
+    setTimeout(fn, 0);
+};
+
+/**
+ * Converts a binding's error into a WebSQL-like `SQLError`
+ * @param {Error} err
+ * @returns {{code: number, message: string}}
+ */
+function toSQLError (err) {
+    const sqliteCode = String(err.code || err.errstr || '');
+    const message = String(err.message);
+    let code = DATABASE_ERR;
+    if ((/^SQLITE_CONSTRAINT/).test(sqliteCode) || (/constraint failed/i).test(message)) {
+        code = CONSTRAINT_ERR;
+    } else if ((/^SQLITE_FULL/).test(sqliteCode)) {
+        code = QUOTA_ERR;
+    } else if ((/^SQLITE_TOOBIG/).test(sqliteCode)) {
+        code = TOO_LARGE_ERR;
+    } else if ((/syntax error/i).test(message)) {
+        code = SYNTAX_ERR;
+    } else if (!sqliteCode && !(/^SQLITE_/).test(message)) {
+        code = UNKNOWN_ERR;
+    }
+    return {code, message};
+}
+
+/**
+ * Creates a WebSQL-like `SQLResultSet`
+ * @param {object[]} rows
+ * @param {number} rowsAffected
+ * @param {number} [insertId]
+ */
+function createResultSet (rows, rowsAffected, insertId) {
+    return {
+        rows: {
+            length: rows.length,
+            item: function (index) {
+                return rows[index];
+            }
+        },
+        rowsAffected,
+        insertId
+    };
+}
+
+function returnsRows (sql) {
+    return (/^\s*(SELECT|PRAGMA|WITH)\b/i).test(sql);
+}
+
+/**
+ * Maps statement arguments to values all of the bindings accept (SQLite
+ *   bindings reject `undefined` and booleans, or bind them inconsistently)
+ * @param {Array} args
+ * @returns {Array}
+ */
+function normalizeArgs (args) {
+    return args.map((arg) => {
+        return arg === undefined ? null : (typeof arg === 'boolean' ? Number(arg) : arg);
+    });
+}
+
+/**
+ * Creates a function to execute a statement against the binding's database
+ *   object, calling back with an error or a result set
+ * @param {object} db A `sqlite3`, `better-sqlite3`, or `node:sqlite` database
+ * @returns {function} Accepts `sql`, `args`, and a callback
+ */
+function createExecutor (db) {
+    if (typeof db.all === 'function') {
+        // Asynchronous (`sqlite3`)
+        return function (sql, args, callback) {
+            args = normalizeArgs(args);
+            if (returnsRows(sql)) {
+                db.all(sql, args, function (err, rows) {
+                    callback(err, err ? undefined : createResultSet(rows, 0));
+                });
+                return;
+            }
+            db.run(sql, args, function (err) {
+                callback(err, err ? undefined : createResultSet([], this.changes, this.lastID));
+            });
+        };
+    }
+    // Synchronous (`better-sqlite3` or `node:sqlite`)
+    return function (sql, args, callback) {
+        let resultSet;
+        try {
+            const stmt = db.prepare(sql);
+            args = normalizeArgs(args);
+            if (stmt.reader !== undefined ? stmt.reader : returnsRows(sql)) {
+                resultSet = createResultSet(stmt.all(...args), 0);
+            } else {
+                const info = stmt.run(...args);
+                resultSet = createResultSet([], Number(info.changes), Number(info.lastInsertRowid));
+            }
+        } catch (err) {
+            callback(err);
+            return;
+        }
+        callback(null, resultSet);
+    };
+}
+
+/**
+ * A transaction against a `SQLiteDatabase`
+ * @param {SQLiteDatabase} database
+ * @param {function} callback
+ * @param {function} [errorCallback]
+ * @param {function} [successCallback]
+ * @param {object} [options]
+ * @param {string} [options.durability]
+ * @param {boolean} [readOnly]
+ * @constructor
+ */
+function SQLiteTransaction (database, callback, errorCallback, successCallback, options, readOnly) {
+    this.__database = database;
+    this.__readOnly = Boolean(readOnly);
+    this.__durability = (options && options.durability) || 'default';
+    this.__callback = callback;
+    this.__errorCallback = errorCallback;
+    this.__successCallback = successCallback;
+    this.__statements = [];
+    this.__error = null;
+    this.__finished = false;
+    this.__rolledBack = false;
+}
+
+SQLiteTransaction.prototype.executeSql = function (sql, args, successCallback, errorCallback) {
+    if (this.__finished) {
+        throw createDOMException('InvalidStateError', 'The SQL transaction has already finished');
+    }
+    if (this.__rolledBack) { // Statements queued once rolling back are discarded
+        return;
+    }
+    this.__statements.push({sql, args: args || [], successCallback, errorCallback});
+};
+
+/**
+ * Rolls back the statements of the transaction to the savepoint set after
+ *   `BEGIN`, discarding those still queued (or queued thereafter); the
+ *   transaction then commits without their writes. (Not part of WebSQL, in
+ *   which statements may only be rolled back by failing the transaction.)
+ * @param {function} [successCallback]
+ * @param {function} [errorCallback] As for `executeSql`
+ */
+SQLiteTransaction.prototype.rollback = function (successCallback, errorCallback) {
+    if (this.__finished) {
+        throw createDOMException('InvalidStateError', 'The SQL transaction has already finished');
+    }
+    this.__statements = [{sql: 'ROLLBACK TO ' + SAVEPOINT, args: [], successCallback, errorCallback}];
+    this.__rolledBack = true;
+};
+
+SQLiteTransaction.prototype.__run = function () {
+    const me = this;
+    const exec = me.__database.__exec;
+    me.__database.__setSynchronous(me.__durability, function () {
+        // Read-write transactions take the write lock up front (rather than
+        //   failing with `SQLITE_BUSY` on their first write if another
+        //   connection has taken it), while read-only ones defer to their reads
+        exec(me.__readOnly ? 'BEGIN DEFERRED' : 'BEGIN IMMEDIATE', [], function (err) {
+            if (err) {
+                me.__error = err;
+                me.__finish();
+                return;
+            }
+            exec('SAVEPOINT ' + SAVEPOINT, [], function (err) {
+                if (err) {
+                    me.__error = err;
+                    me.__finish();
+                    return;
+                }
+                try {
+                    me.__callback(me);
+                } catch (err) {
+                    me.__error = err;
+                }
+                nextTask(() => me.__runNextStatement());
+            });
+        });
+    });
+};
+
+SQLiteTransaction.prototype.__runNextStatement = function () {
+    const me = this;
+    if (me.__error || !me.__statements.length) {
+        me.__finish();
+        return;
+    }
+    const statement = me.__statements.shift();
+    CFG.DEBUG && console.log('SQLite', statement.sql, statement.args);
+    me.__database.__exec(statement.sql, statement.args, function (err, resultSet) {
+        try {
+            if (err) {
+                const sqlError = toSQLError(err);
+                if (!statement.errorCallback || statement.errorCallback(me, sqlError)) {
+                    me.__error = sqlError;
+                }
+            } else if (statement.successCallback) {
+                statement.successCallback(me, resultSet);
+            }
+        } catch (err) {
+            me.__error = err;
+        }
+        nextTask(() => me.__runNextStatement());
+    });
+};
+
+SQLiteTransaction.prototype.__finish = function () {
+    const me = this;
+    me.__finished = true;
+    me.__database.__exec(me.__error ? 'ROLLBACK' : 'COMMIT', [], function (err) {
+        if (err && !me.__error) {
+            me.__error = err;
+            // Failed commits may leave the transaction open, so the next
+            //   transaction may only begin once it is rolled back
+            me.__database.__exec('ROLLBACK', [], function () {
+                me.__done();
+            });
+            return;
+        }
+        me.__done();
+    });
+};
+
+/**
+ * Calls back for the finished transaction and runs the next one
+ */
+SQLiteTransaction.prototype.__done = function () {
+    const me = this;
+    const error = me.__error;
+    nextTask(() => {
+        me.__database.__running = false;
+        if (error) {
+            me.__errorCallback && me.__errorCallback(typeof error.code === 'number' ? error : toSQLError(error));
+        } else {
+            me.__successCallback && me.__successCallback();
+        }
+        me.__database.__runNextTransaction();
+    });
+};
+
+/**
+ * A WebSQL-like database running its transactions one at a time against a
+ *   single connection of the binding
+ * @param {object} db The binding's database object
+ * @constructor
+ */
+function SQLiteDatabase (db) {
+    this.__db = db;
+    this.__exec = createExecutor(db);
+    this.__transactions = [];
+    this.__running = false;
+    this.__defaultSynchronous = undefined; // Read once a durability hint is first given
+    this.__synchronous = undefined;
+}
+
+SQLiteDatabase.prototype.transaction = function (callback, errorCallback, successCallback, options) {
+    this.__queueTransaction(new SQLiteTransaction(this, callback, errorCallback, successCallback, options, false));
+};
+
+SQLiteDatabase.prototype.readTransaction = function (callback, errorCallback, successCallback, options) {
+    this.__queueTransaction(new SQLiteTransaction(this, callback, errorCallback, successCallback, options, true));
+};
+
+SQLiteDatabase.prototype.__queueTransaction = function (transaction) {
+    this.__transactions.push(transaction);
+    nextTask(() => this.__runNextTransaction());
+};
+
+/**
+ * Closes the binding's database once the transactions already queued have run
+ */
+SQLiteDatabase.prototype.__close = function () {
+    const db = this.__db;
+    function close () {
+        db.close();
+    }
+    this.readTransaction(function () {}, close, close);
+};
+
+/**
+ * Sets the `synchronous` pragma for a transaction's durability hint (it
+ *   cannot be changed within a transaction, so this is done before `BEGIN`).
+ *   The hint being advisory, errors are ignored.
+ * @param {string} durability
+ * @param {function} callback
+ */
+SQLiteDatabase.prototype.__setSynchronous = function (durability, callback) {
+    const me = this;
+    const level = synchronousLevels.hasOwnProperty(durability) ? synchronousLevels[durability] : me.__defaultSynchronous;
+    if (level === me.__synchronous || level === null) {
+        callback();
+        return;
+    }
+    if (me.__defaultSynchronous === undefined) {
+        me.__exec('PRAGMA synchronous', [], function (err, resultSet) {
+            me.__defaultSynchronous = me.__synchronous = err || !resultSet.rows.length
+                ? null
+                : resultSet.rows.item(0).synchronous;
+            me.__setSynchronous(durability, callback);
+        });
+        return;
+    }
+    me.__exec('PRAGMA synchronous = ' + level, [], function (err) {
+        if (!err) {
+            me.__synchronous = level;
+        }
+        callback();
+    });
+};
+
+SQLiteDatabase.prototype.__runNextTransaction = function () {
+    if (this.__running || !this.__transactions.length) {
+        return;
+    }
+    this.__running = true;
+    this.__transactions.shift().__run();
+};
+
+/**
+ * Creates a storage backend using a SQLite binding, e.g.:
+ *   `createSQLiteBackend((name) => new BetterSqlite3(name))`
+ * @param {function} open Accepts the database's file path and returns the
+ *   binding's database object; it is only called once per path (until the
+ *   database is closed)
+ * @returns {object} The backend
+ */
+function createSQLiteBackend (open) {
+    const databases = {};
+    return {
+        openDatabase: function (name) {
+            if (!databases[name]) {
+                databases[name] = new SQLiteDatabase(open(name));
+            }
+            return databases[name];
+        },
+        closeDatabase: function (name) {
+            if (databases[name]) {
+                databases[name].__close();
+                delete databases[name];
+            }
+        }
+    };
+}
+
+export {createSQLiteBackend};
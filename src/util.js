@@ -136,9 +136,20 @@ function escapeIndexName (index) {
     return '_' + escapeNULAndCasing(index);
 }
 
+// The table of the entries of an object store's multiEntry indexes
+function escapeIndexEntries (store) {
+    return quote(escapeIndexEntriesName(store));
+}
+
+function escapeIndexEntriesName (store) {
+    return 'e_' + escapeNULAndCasing(store);
+}
+
 function sqlLIKEEscape (str) {
     // https://www.sqlite.org/lang_expr.html#like
-    return sqlEscape(str).replace(/\^/g, '^^');
+    // The pattern is passed as a bound parameter, so only the `LIKE`
+    //   wildcards and our `ESCAPE` character (`^`) need escaping
+    return str.replace(/\^/g, '^^').replace(/[%_]/g, '^$&');
 }
 
 // Babel doesn't seem to provide a means of using the `instanceof` operator with Symbol.hasInstance (yet?)
@@ -166,15 +177,20 @@ function isFile (obj) {
     return isObj(obj) && typeof obj.name === 'string' && isBlob(obj);
 }
 
-/*
-// Todo: Uncomment and use with ArrayBuffer encoding/decoding when ready
 function isArrayBufferOrView (obj) {
     return isObj(obj) && typeof obj.byteLength === 'number' && (
         typeof obj.slice === 'function' || // `TypedArray` (view on buffer) or `ArrayBuffer`
         typeof obj.getFloat64 === 'function' // `DataView` (view on buffer)
     );
 }
-*/
+
+function isMap (obj) {
+    return isObj(obj) && Object.prototype.toString.call(obj) === '[object Map]';
+}
+
+function isSet (obj) {
+    return isObj(obj) && Object.prototype.toString.call(obj) === '[object Set]';
+}
 
 function isNotClonable (value) {
     return ['function', 'symbol'].includes(typeof value) ||
@@ -185,10 +201,19 @@ function isNotClonable (value) {
 }
 
 function throwIfNotClonable (value, errMsg) {
+    const collections = []; // Maps and Sets already checked (they may contain themselves)
     JSON.stringify(value, function (key, val) {
         if (isNotClonable(val)) {
             throw createDOMException('DataCloneError', errMsg);
         }
+        // `JSON.stringify` would not otherwise check the contents of Maps and Sets
+        if (isMap(val) || isSet(val)) {
+            if (collections.includes(val)) {
+                return undefined;
+            }
+            collections.push(val);
+            return Array.from(val);
+        }
         return val;
     });
 }
@@ -249,8 +274,26 @@ function isValidKeyPath (keyPath) {
     );
 }
 
+function enforceRange (number, type) {
+    number = Math.trunc(Number(number));
+    if (isNaN(number) || !isFinite(number)) {
+        throw new TypeError('Invalid range: ' + number);
+    }
+    switch (type) {
+    case 'unsigned long': {
+        if (number < 0 || number > 0xFFFFFFFF) {
+            throw new TypeError('Invalid range: ' + number);
+        }
+        return number;
+    }
+    default:
+        throw new Error('Unrecognized type');
+    }
+}
+
 export {StringList, quote,
     escapeDatabaseName, escapeStore, escapeIndex, escapeIndexName,
+    escapeIndexEntries, escapeIndexEntriesName,
     sqlLIKEEscape, instanceOf,
-    isObj, isDate, isBlob, isRegExp, isFile, throwIfNotClonable,
-    defineReadonlyProperties, isValidKeyPath};
+    isObj, isDate, isBlob, isRegExp, isFile, isArrayBufferOrView, isMap, isSet, throwIfNotClonable,
+    defineReadonlyProperties, isValidKeyPath, enforceRange};
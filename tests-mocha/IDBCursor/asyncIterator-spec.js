@@ -0,0 +1,223 @@
+/* eslint-disable no-var */
+describe('IDBCursor[Symbol.asyncIterator]', function () {
+    'use strict';
+
+    var asyncIteratorUnsupported = !env.isShimmed || typeof Symbol === 'undefined' || !Symbol.asyncIterator;
+
+    /**
+     * Steps through an async iterator as `for await` would, calling `body`
+     *   with each value until it returns `false`
+     */
+    function iterate (iterator, body) {
+        return iterator.next().then(function next (result) {
+            if (result.done) {
+                return;
+            }
+            if (body(result.value) === false) {
+                return iterator['return']();
+            }
+            return iterator.next().then(next);
+        });
+    }
+
+    afterEach(function () {
+        if (env.backends) {
+            env.indexedDB.__setConfig('backend', undefined);
+        }
+    });
+
+    function addRecords (store, count) {
+        for (var i = 1; i <= count; i++) {
+            store.add({id: i, name: 'name' + i}, i);
+        }
+    }
+
+    util.skipIf(asyncIteratorUnsupported, 'should iterate the records of a cursor request', function (done) {
+        util.createDatabase('out-of-line', 'inline-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            tx.onerror = done;
+            addRecords(store, 5);
+
+            var request = store.openCursor(IDBKeyRange.bound(2, 4));
+            var successEvents = 0;
+            request.addEventListener('success', function () {
+                successEvents++;
+            });
+
+            var primaryKeys = [];
+            var values = [];
+            var iteration = iterate(request[Symbol.asyncIterator](), function (cursor) {
+                primaryKeys.push(cursor.primaryKey);
+                values.push(cursor.value.name);
+                cursor.update({id: cursor.value.id, name: 'updated'});
+            });
+
+            tx.oncomplete = function () {
+                iteration.then(function () {
+                    expect(primaryKeys).to.deep.equal([2, 3, 4]);
+                    expect(values).to.deep.equal(['name2', 'name3', 'name4']);
+                    // Only the initial record should dispatch an event
+                    expect(successEvents).to.equal(1);
+                    expect(request.result).to.equal(null);
+
+                    var tx = db.transaction('out-of-line');
+                    var records = tx.objectStore('out-of-line').getAll();
+                    tx.oncomplete = function () {
+                        expect(records.result.map(function (record) {
+                            return record.name;
+                        })).to.deep.equal(['name1', 'updated', 'updated', 'updated', 'name5']);
+                        db.close();
+                        done();
+                    };
+                })['catch'](done);
+            };
+        });
+    });
+
+    util.skipIf(asyncIteratorUnsupported, 'should iterate index cursors from their current record', function (done) {
+        util.createDatabase('out-of-line', 'inline-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            tx.onerror = done;
+            addRecords(store, 5);
+
+            var keys = [];
+            var iteration;
+            var request = store.index('inline-index').openKeyCursor(null, 'prev');
+            request.onsuccess = function () {
+                request.onsuccess = null;
+                iteration = iterate(request.result[Symbol.asyncIterator](), function (cursor) {
+                    keys.push(cursor.key);
+                    if (cursor.key === 4) {
+                        // Moving the cursor ourselves should not cause a record to be skipped
+                        cursor['continue'](2);
+                    }
+                });
+            };
+
+            tx.oncomplete = function () {
+                iteration.then(function () {
+                    expect(keys).to.deep.equal([5, 4, 2, 1]);
+                    db.close();
+                    done();
+                })['catch'](done);
+            };
+        });
+    });
+
+    util.skipIf(asyncIteratorUnsupported, 'should keep the transaction usable after breaking out of iteration', function (done) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            tx.onerror = done;
+            addRecords(store, 5);
+
+            var keys = [];
+            var completed = false;
+            var countRequest;
+            iterate(store.openCursor()[Symbol.asyncIterator](), function (cursor) {
+                keys.push(cursor.key);
+                cursor['delete']();
+                return keys.length < 2;
+            }).then(function () {
+                expect(completed).to.equal(false);
+                store.put({id: 6}, 6);
+                countRequest = store.count();
+            })['catch'](done);
+
+            tx.oncomplete = function () {
+                completed = true;
+                expect(keys).to.deep.equal([1, 2]);
+                expect(countRequest.result).to.equal(4);
+
+                var tx = db.transaction('out-of-line');
+                var primaryKeys = tx.objectStore('out-of-line').getAllKeys();
+                tx.oncomplete = function () {
+                    expect(primaryKeys.result).to.deep.equal([3, 4, 5, 6]);
+                    db.close();
+                    done();
+                };
+            };
+        });
+    });
+
+    util.skipIf(asyncIteratorUnsupported || !env.backends, 'should read pre-fetched records without running statements', function (done) {
+        var backend = env.backends.createWebSQLBackend(env.indexedDB.__getConfig('win'));
+        var statements = [];
+        function wrapTransaction (tx) {
+            var wrapped = {
+                executeSql: function (sql, args, successCallback, errorCallback) {
+                    statements.push(sql);
+                    tx.executeSql(sql, args, successCallback && function (tx, resultSet) {
+                        return successCallback(wrapped, resultSet);
+                    }, errorCallback && function (tx, err) {
+                        return errorCallback(wrapped, err);
+                    });
+                }
+            };
+            return wrapped;
+        }
+        env.indexedDB.__setConfig('backend', {
+            openDatabase: function (name, displayName, estimatedSize) {
+                var db = backend.openDatabase(name, displayName, estimatedSize);
+                return {
+                    transaction: function (callback, errorCallback, successCallback) {
+                        db.transaction(function (tx) {
+                            callback(wrapTransaction(tx));
+                        }, errorCallback, successCallback);
+                    },
+                    readTransaction: function (callback, errorCallback, successCallback) {
+                        db.readTransaction(function (tx) {
+                            callback(wrapTransaction(tx));
+                        }, errorCallback, successCallback);
+                    }
+                };
+            }
+        });
+
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            addRecords(tx.objectStore('out-of-line'), 50);
+            tx.oncomplete = function () {
+                var keys = [];
+                var tx = db.transaction('out-of-line');
+                var request = tx.objectStore('out-of-line').openCursor();
+                request.onsuccess = function () {
+                    request.onsuccess = null;
+                    statements.length = 0;
+                    iterate(request.result[Symbol.asyncIterator](), function (cursor) {
+                        keys.push(cursor.key);
+                    })['catch'](done);
+                };
+                tx.oncomplete = function () {
+                    expect(keys).to.have.lengthOf(50);
+                    // Rather than one for each record
+                    expect(statements.length).to.be.below(5);
+                    db.close();
+                    done();
+                };
+            };
+        });
+    });
+});
@@ -0,0 +1,230 @@
+/* eslint-disable no-var */
+describe('IDBCursor.continuePrimaryKey', function () {
+    'use strict';
+
+    /**
+     * Adds records to the "out-of-line" store for use with the "dotted-index"
+     * and "multi-entry-index" indexes
+     */
+    function addData (store) {
+        store.add({name: {first: 'a'}, id: ['x', 'y']}, 1);
+        store.add({name: {first: 'b'}, id: 'x'}, 2);
+        store.add({name: {first: 'a'}, id: ['y']}, 3);
+        store.add({name: {first: 'b'}, id: ['x', 'z']}, 4);
+        store.add({name: {first: 'b'}, id: 'y'}, 5);
+        store.add({name: {first: 'c'}, id: []}, 6);
+    }
+
+    it('should continue to the given key and primary key', function (done) {
+        util.createDatabase('out-of-line', 'dotted-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var index = store.index('dotted-index');
+            tx.onerror = done;
+
+            addData(store);
+            var visited = [];
+            var continued = false;
+            index.openCursor().onsuccess = function (e) {
+                var cursor = e.target.result;
+                if (cursor) {
+                    visited.push([cursor.key, cursor.primaryKey]);
+                    if (!continued) {
+                        continued = true;
+                        cursor.continuePrimaryKey('b', 3);
+                    } else {
+                        cursor.continue();
+                    }
+                }
+            };
+
+            tx.oncomplete = function () {
+                expect(visited).to.deep.equal([
+                    ['a', 1], ['b', 4], ['b', 5], ['c', 6]
+                ]);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should continue backwards to the given key and primary key', function (done) {
+        util.createDatabase('out-of-line', 'dotted-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var index = store.index('dotted-index');
+            tx.onerror = done;
+
+            addData(store);
+            var visited = [];
+            index.openKeyCursor(null, 'prev').onsuccess = function (e) {
+                var cursor = e.target.result;
+                if (cursor) {
+                    visited.push([cursor.key, cursor.primaryKey]);
+                    if (visited.length === 1) {
+                        cursor.continuePrimaryKey('b', 4);
+                    } else if (visited.length === 2) {
+                        cursor.continuePrimaryKey('a', 2);
+                    }
+                }
+            };
+
+            tx.oncomplete = function () {
+                expect(visited).to.deep.equal([
+                    ['c', 6], ['b', 4], ['a', 1]
+                ]);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should continue to the given key and primary key of a multiEntry index', function (done) {
+        util.createDatabase('out-of-line', 'multi-entry-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var index = store.index('multi-entry-index');
+            tx.onerror = done;
+
+            addData(store);
+            var visited = [];
+            index.openCursor().onsuccess = function (e) {
+                var cursor = e.target.result;
+                if (cursor) {
+                    visited.push([cursor.key, cursor.primaryKey]);
+                    if (visited.length === 1) {
+                        cursor.continuePrimaryKey('y', 2);
+                    } else {
+                        cursor.continue();
+                    }
+                }
+            };
+
+            tx.oncomplete = function () {
+                expect(visited).to.deep.equal([
+                    ['x', 1], ['y', 3], ['y', 5], ['z', 4]
+                ]);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should throw an error if the cursor is not over an index', function (done) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            tx.onerror = done;
+
+            store.add('a', 1);
+            store.add('b', 2);
+            var error;
+            store.openCursor().onsuccess = function (e) {
+                var cursor = e.target.result;
+                try {
+                    cursor.continuePrimaryKey(2, 2);
+                } catch (e) {
+                    error = e;
+                }
+            };
+
+            tx.oncomplete = function () {
+                expect(error).to.be.an.instanceOf(env.DOMException);
+                expect(error.name).to.equal('InvalidAccessError');
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should throw an error if the cursor direction is unique', function (done) {
+        util.createDatabase('out-of-line', 'dotted-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var index = store.index('dotted-index');
+            tx.onerror = done;
+
+            addData(store);
+            var error;
+            index.openCursor(null, 'nextunique').onsuccess = function (e) {
+                var cursor = e.target.result;
+                try {
+                    cursor.continuePrimaryKey('b', 4);
+                } catch (e) {
+                    error = e;
+                }
+            };
+
+            tx.oncomplete = function () {
+                expect(error).to.be.an.instanceOf(env.DOMException);
+                expect(error.name).to.equal('InvalidAccessError');
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should throw an error if continuing in an unexpected direction', function (done) {
+        util.createDatabase('out-of-line', 'dotted-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var index = store.index('dotted-index');
+            tx.onerror = done;
+
+            addData(store);
+            var sameKeyError, lowerKeyError;
+            index.openCursor(IDBKeyRange.lowerBound('b')).onsuccess = function (e) {
+                var cursor = e.target.result;
+                try {
+                    cursor.continuePrimaryKey('b', 2);
+                } catch (e) {
+                    sameKeyError = e;
+                }
+                try {
+                    cursor.continuePrimaryKey('a', 3);
+                } catch (e) {
+                    lowerKeyError = e;
+                }
+            };
+
+            tx.oncomplete = function () {
+                expect(sameKeyError).to.be.an.instanceOf(env.DOMException);
+                expect(sameKeyError.name).to.equal('DataError');
+                expect(lowerKeyError).to.be.an.instanceOf(env.DOMException);
+                expect(lowerKeyError.name).to.equal('DataError');
+                db.close();
+                done();
+            };
+        });
+    });
+});
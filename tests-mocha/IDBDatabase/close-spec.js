@@ -41,6 +41,39 @@ describe('IDBDatabase.close', function () {
         });
     });
 
+    util.skipIf(!env.isShimmed, 'should fire the close event and abort transactions when force-closed', function (done) {
+        util.createDatabase('inline', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('inline', 'readwrite');
+            tx.objectStore('inline').add({id: 1});
+            tx.oncomplete = sinon.spy();
+            tx.onabort = sinon.spy(function () {
+                expect(tx.error.name).to.equal('AbortError');
+            });
+
+            db.onclose = function (event) {
+                expect(event.type).to.equal('close');
+                sinon.assert.calledOnce(tx.onabort);
+                sinon.assert.notCalled(tx.oncomplete);
+
+                var err;
+                try {
+                    db.transaction('inline');
+                } catch (e) {
+                    err = e;
+                }
+                expect(err.name).to.equal('InvalidStateError');
+                done();
+            };
+
+            env.indexedDB.__forceClose(db.name);
+        });
+    });
+
     it('should do nothing if the database is already closed', function (done) {
         util.createDatabase('out-of-line-generated', function (err, db) {
             if (err) {
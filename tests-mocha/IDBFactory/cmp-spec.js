@@ -156,6 +156,26 @@ describe('IDBFactory.cmp', function () {
             equal(new Date('2000-01-01T00:00:00.000Z'));
         });
 
+        util.skipIf(env.isNative && env.browser.isIE, 'should compare binary keys', function () {
+            // BUG: IE's native IndexedDB does not support binary keys
+            compare(new ArrayBuffer(0), new Uint8Array([0]));
+            compare(new Uint8Array([0]), new Uint8Array([1]));
+            compare(new Uint8Array([1]), new Uint8Array([1, 0]));
+            compare(new Uint8Array([1, 255]), new Uint8Array([2]));
+            compare(new Uint8Array([15]), new Uint8Array([16]));
+            compare(new Uint8Array([127]), new Uint8Array([128]));
+            compare(new Uint8Array([254, 255]), new Uint8Array([255, 0]));
+
+            // Keys are compared by the bytes they view, whatever the view type
+            var buffer = new Uint8Array([0, 1, 2, 3]).buffer;
+            compare(new Uint8Array(buffer, 0, 2), new DataView(buffer, 1, 2));
+            equal(new Uint8Array(buffer, 1, 2), new DataView(buffer, 1, 2));
+            equal(new Uint8Array([1, 2]).buffer, new Uint8Array(buffer, 1, 2));
+
+            equal(new ArrayBuffer(0));
+            equal(new Uint8Array([0, 1, 2]), new Uint8Array([0, 1, 2]));
+        });
+
         it('should compare different data types', function () {
             if (env.isShimmed || !env.browser.isIE) {
                 // IE doesn't support array keys
@@ -185,6 +205,16 @@ describe('IDBFactory.cmp', function () {
             compare(0, new Date());
             compare(-999, new Date());
             compare(2000, new Date('9999-12-31T23:59:59.999Z'));
+
+            if (env.isShimmed || !env.browser.isIE) {
+                // binary keys are greater than arrays, strings, numbers, and dates
+                compare([], new ArrayBuffer(0));
+                compare([new Uint8Array([255])], new ArrayBuffer(0));
+                compare('', new ArrayBuffer(0));
+                compare(util.sampleData.veryLongString, new Uint8Array([0]));
+                compare(999999, new ArrayBuffer(0));
+                compare(new Date('9999-12-31T23:59:59.999Z'), new ArrayBuffer(0));
+            }
         });
     });
 
@@ -251,6 +281,16 @@ describe('IDBFactory.cmp', function () {
             equal(['a', ['b'], ['c', ['d']]], ['a', ['b'], ['c', ['d']]]);
             equal([[[['a'], 'b'], 'c']], [[[['a'], 'b'], 'c']]);
         });
+
+        util.skipIf(env.isNative && env.browser.isIE, 'should compare binary arrays', function () {
+            // BUG: IE's native IndexedDB does not support compound or binary keys
+            compare([new Uint8Array([1])], [new Uint8Array([1, 0])]);
+            compare([new Uint8Array([1]), 'a'], [new Uint8Array([1, 0])]);
+            compare([new Uint8Array([1]), 2], [new Uint8Array([1]), new ArrayBuffer(0)]);
+            compare([[], new Uint8Array([0])], [new Uint8Array([0]), []]);
+
+            equal([new Uint8Array([1, 2])], [new Uint8Array([1, 2]).buffer]);
+        });
     });
 
     describe('failure tests', function () {
@@ -0,0 +1,134 @@
+/* eslint-disable no-var */
+describe('IDBFactory.databases', function () {
+    'use strict';
+
+    var indexedDB;
+    beforeEach(function () {
+        indexedDB = env.indexedDB;
+    });
+
+    function findDatabase (dbs, name) {
+        return dbs.filter(function (info) {
+            return info.name === name;
+        })[0];
+    }
+
+    it('should return a promise', function () {
+        var result = indexedDB.databases();
+        expect(result).to.be.an.instanceOf(Promise);
+        return result;
+    });
+
+    it('should resolve to the names and versions of existing databases', function (done) {
+        util.generateDatabaseName(function (err, name) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var open = indexedDB.open(name, 3);
+            open.onerror = open.onblocked = done;
+            open.onsuccess = function () {
+                open.result.close();
+                indexedDB.databases().then(function (dbs) {
+                    expect(dbs).to.be.an('array');
+                    expect(findDatabase(dbs, name)).to.deep.equal({name: name, version: 3});
+                    done();
+                }).catch(done);
+            };
+        });
+    });
+
+    it('should reflect upgrades', function (done) {
+        util.createDatabase('inline', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            db.close();
+            var open = indexedDB.open(db.name, 5);
+            open.onerror = open.onblocked = done;
+            open.onsuccess = function () {
+                open.result.close();
+                indexedDB.databases().then(function (dbs) {
+                    expect(findDatabase(dbs, db.name).version).to.equal(5);
+                    done();
+                }).catch(done);
+            };
+        });
+    });
+
+    it('should not include deleted databases or those pending deletion', function (done) {
+        util.createDatabase('inline', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var del = indexedDB.deleteDatabase(db.name);
+            del.onerror = done;
+            del.onblocked = function () {
+                // The deletion is waiting on our open connection
+                indexedDB.databases().then(function (dbs) {
+                    expect(findDatabase(dbs, db.name)).equal(undefined);
+                    db.close();
+                }).catch(done);
+            };
+            del.onsuccess = function () {
+                indexedDB.databases().then(function (dbs) {
+                    expect(findDatabase(dbs, db.name)).equal(undefined);
+                    done();
+                }).catch(done);
+            };
+        });
+    });
+
+    it('should not include databases whose first upgrade is pending', function (done) {
+        util.generateDatabaseName(function (err, name) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var duringUpgrade;
+            var open = indexedDB.open(name, 2);
+            open.onerror = open.onblocked = done;
+            open.onupgradeneeded = function () {
+                open.result.createObjectStore('store');
+                duringUpgrade = indexedDB.databases();
+            };
+            open.onsuccess = function () {
+                open.result.close();
+                duringUpgrade.then(function (dbs) {
+                    expect(findDatabase(dbs, name)).equal(undefined);
+                    return indexedDB.databases();
+                }).then(function (dbs) {
+                    expect(findDatabase(dbs, name)).to.deep.equal({name: name, version: 2});
+                    done();
+                }).catch(done);
+            };
+        });
+    });
+
+    it('should not include databases whose creation was aborted', function (done) {
+        util.generateDatabaseName(function (err, name) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var open = indexedDB.open(name, 1);
+            open.onsuccess = open.onblocked = done;
+            open.onupgradeneeded = function () {
+                open.transaction.abort();
+            };
+            open.onerror = function () {
+                indexedDB.databases().then(function (dbs) {
+                    expect(findDatabase(dbs, name)).equal(undefined);
+                    done();
+                }).catch(done);
+            };
+        });
+    });
+});
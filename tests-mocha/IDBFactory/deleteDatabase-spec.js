@@ -143,6 +143,37 @@ describe('IDBFactory.deleteDatabase', function () {
         });
     });
 
+    it('should fire versionchange at open connections and wait for them to close', function (done) {
+        util.createDatabase('inline', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var closed = false;
+            db.onversionchange = sinon.spy(function (event) {
+                expect(event.oldVersion).to.equal(1);
+                expect(event.newVersion).equal(null);
+            });
+
+            var del = indexedDB.deleteDatabase(db.name);
+            del.onerror = done;
+            del.onblocked = function (event) {
+                sinon.assert.calledOnce(db.onversionchange);
+                expect(event.oldVersion).to.equal(1);
+                expect(event.newVersion).equal(null);
+                setTimeout(function () {
+                    closed = true;
+                    db.close();
+                }, 50);
+            };
+            del.onsuccess = function () {
+                expect(closed).to.equal(true);
+                done();
+            };
+        });
+    });
+
     it('should allow all of these parameter types', function (done) {
         var deletingCounter = 0, deletedCounter = 0;
 
@@ -0,0 +1,156 @@
+/* eslint-disable no-var */
+describe('IDBFactory.__estimate', function () {
+    'use strict';
+
+    var indexedDB;
+    beforeEach(function () {
+        indexedDB = env.indexedDB;
+    });
+
+    afterEach(function () {
+        if (env.backends) {
+            env.indexedDB.__setConfig('backend', undefined);
+        }
+    });
+
+    util.skipIf(!env.isShimmed, 'should estimate the usage of each database and object store', function (done) {
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var open = indexedDB.open(dbName, 1);
+            open.onerror = open.onblocked = done;
+            open.onupgradeneeded = function () {
+                var db = open.result;
+                db.createObjectStore('empty');
+                db.createObjectStore('small').add('value', 1);
+                var large = db.createObjectStore('large');
+                for (var i = 0; i < 10; i++) {
+                    large.add({text: new Array(101).join('x')}, i);
+                }
+                var indexed = db.createObjectStore('indexed');
+                indexed.createIndex('text', 'text');
+                indexed.add({text: 'text'}, 1);
+                var unindexed = db.createObjectStore('unindexed');
+                unindexed.add({text: 'text'}, 1);
+            };
+            open.onsuccess = function () {
+                open.result.close();
+                indexedDB.__estimate().then(function (estimate) {
+                    var dbSize = indexedDB.__getConfig('DEFAULT_DB_SIZE');
+                    expect(estimate.databases[dbName].quota).to.equal(dbSize);
+                    expect(estimate.quota).to.equal(dbSize);
+
+                    var objectStores = estimate.databases[dbName].objectStores;
+                    expect(Object.keys(objectStores).sort()).to.deep.equal(['empty', 'indexed', 'large', 'small', 'unindexed']);
+                    expect(objectStores.empty).to.equal(0);
+                    expect(objectStores.small).to.be.above(0);
+                    expect(objectStores.large).to.be.above(1000);
+                    expect(objectStores.indexed).to.be.above(objectStores.unindexed);
+
+                    var storeUsage = Object.keys(objectStores).reduce(function (usage, storeName) {
+                        return usage + objectStores[storeName];
+                    }, 0);
+                    expect(estimate.databases[dbName].usage).to.equal(storeUsage);
+                    var usage = Object.keys(estimate.databases).reduce(function (usage, name) {
+                        return usage + estimate.databases[name].usage;
+                    }, 0);
+                    expect(estimate.usage).to.equal(usage);
+                    done();
+                })['catch'](done);
+            };
+        });
+    });
+
+    util.skipIf(!env.isShimmed, 'should count multi-byte characters in bytes', function (done) {
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var open = indexedDB.open(dbName, 1);
+            open.onerror = open.onblocked = done;
+            open.onupgradeneeded = function () {
+                var db = open.result;
+                db.createObjectStore('ascii').add('aaaa', 1);
+                db.createObjectStore('nonAscii').add('éééé', 1);
+            };
+            open.onsuccess = function () {
+                open.result.close();
+                indexedDB.__estimate().then(function (estimate) {
+                    var objectStores = estimate.databases[dbName].objectStores;
+                    expect(objectStores.nonAscii).to.be.above(objectStores.ascii);
+                    done();
+                })['catch'](done);
+            };
+        });
+    });
+
+    util.skipIf(!env.isShimmed, 'should count the entries of multiEntry indexes', function (done) {
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var open = indexedDB.open(dbName, 1);
+            open.onerror = open.onblocked = done;
+            open.onupgradeneeded = function () {
+                var db = open.result;
+                var multiEntry = db.createObjectStore('multiEntry');
+                multiEntry.createIndex('tags', 'tags', {multiEntry: true});
+                multiEntry.add({tags: ['a', 'b', 'c']}, 1);
+                var single = db.createObjectStore('single');
+                single.createIndex('tags', 'tags');
+                single.add({tags: ['a', 'b', 'c']}, 1);
+            };
+            open.onsuccess = function () {
+                open.result.close();
+                indexedDB.__estimate().then(function (estimate) {
+                    var objectStores = estimate.databases[dbName].objectStores;
+                    expect(Object.keys(objectStores).sort()).to.deep.equal(['multiEntry', 'single']);
+                    expect(objectStores.multiEntry).to.be.above(objectStores.single);
+                    expect(estimate.databases[dbName].usage).to.equal(objectStores.multiEntry + objectStores.single);
+                    done();
+                })['catch'](done);
+            };
+        });
+    });
+
+    util.skipIf(!env.backends, 'should reuse the databases opened for earlier estimates', function (done) {
+        var backend = env.backends.createWebSQLBackend(indexedDB.__getConfig('win'));
+        var opened = 0;
+        var dbName;
+        indexedDB.__setConfig('backend', {
+            openDatabase: function (name, displayName, estimatedSize) {
+                if (displayName === dbName) {
+                    opened++;
+                }
+                return backend.openDatabase(name, displayName, estimatedSize);
+            }
+        });
+        util.generateDatabaseName(function (err, name) {
+            if (err) {
+                done(err);
+                return;
+            }
+            dbName = name;
+            var open = indexedDB.open(dbName, 1);
+            open.onerror = open.onblocked = done;
+            open.onupgradeneeded = function () {
+                open.result.createObjectStore('store').add('value', 1);
+            };
+            open.onsuccess = function () {
+                open.result.close();
+                var openedByOpen = opened;
+                indexedDB.__estimate().then(function () {
+                    return indexedDB.__estimate();
+                }).then(function (estimate) {
+                    expect(estimate.databases[dbName].usage).to.be.above(0);
+                    expect(opened).to.equal(openedByOpen + 1);
+                    done();
+                })['catch'](done);
+            };
+        });
+    });
+});
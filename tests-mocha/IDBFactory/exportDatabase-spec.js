@@ -0,0 +1,176 @@
+/* eslint-disable no-var */
+describe('IDBFactory.__exportDatabase and __importDatabase', function () {
+    'use strict';
+
+    var indexedDB;
+    beforeEach(function () {
+        indexedDB = env.indexedDB;
+    });
+
+    /**
+     * Creates a database with a deleted record (leaving the key generator
+     *   ahead of the keys) and records holding dates and binary data
+     */
+    function createDatabase (dbName, callback) {
+        var open = indexedDB.open(dbName, 3);
+        open.onerror = open.onblocked = function () {
+            callback(open.error);
+        };
+        open.onupgradeneeded = function () {
+            var db = open.result;
+            var auto = db.createObjectStore('auto', {autoIncrement: true});
+            auto.createIndex('tags', 'tags', {multiEntry: true});
+            auto.add({tags: ['a', 'b'], date: new Date(2017, 0, 1)});
+            auto.add({tags: ['c'], bytes: new Uint8Array([1, 2, 3])});
+            auto.add({tags: []});
+            auto['delete'](3);
+
+            var inline = db.createObjectStore('inline', {keyPath: 'id'});
+            inline.createIndex('name', 'name', {unique: true});
+            inline.add({id: new Date(2000, 0, 1), name: 'date'});
+            inline.add({id: [1, 'a'], name: 'array'});
+        };
+        open.onsuccess = function () {
+            open.result.close();
+            callback(null);
+        };
+    }
+
+    util.skipIf(!env.isShimmed, 'should export the definitions and records of a database', function (done) {
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            createDatabase(dbName, function (err) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                indexedDB.__exportDatabase(dbName).then(function (dump) {
+                    expect(dump[0]).to.deep.equal({type: 'database', name: dbName, version: 3});
+                    var stores = dump.filter(function (entry) {
+                        return entry.type === 'objectStore';
+                    });
+                    expect(stores).to.deep.equal([{
+                        type: 'objectStore',
+                        name: 'auto',
+                        keyPath: null,
+                        autoIncrement: true,
+                        currNum: 4,
+                        indexes: [{name: 'tags', keyPath: 'tags', unique: false, multiEntry: true}]
+                    }, {
+                        type: 'objectStore',
+                        name: 'inline',
+                        keyPath: 'id',
+                        autoIncrement: false,
+                        currNum: 1,
+                        indexes: [{name: 'name', keyPath: 'name', unique: true, multiEntry: false}]
+                    }]);
+                    var records = dump.filter(function (entry) {
+                        return entry.type === 'record';
+                    });
+                    expect(records.map(function (record) {
+                        return record.objectStore;
+                    })).to.deep.equal(['auto', 'auto', 'inline', 'inline']);
+                    // The entries should survive serialization
+                    expect(JSON.parse(JSON.stringify(dump))).to.deep.equal(dump);
+                    done();
+                })['catch'](done);
+            });
+        });
+    });
+
+    util.skipIf(!env.isShimmed, 'should recreate an exported database', function (done) {
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            createDatabase(dbName, function (err) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                var ndjson;
+                indexedDB.__exportDatabase(dbName).then(function (dump) {
+                    ndjson = dump.map(function (entry) {
+                        return JSON.stringify(entry);
+                    }).join('\n');
+                    return new Promise(function (resolve, reject) {
+                        var del = indexedDB.deleteDatabase(dbName);
+                        del.onsuccess = resolve;
+                        del.onerror = del.onblocked = reject;
+                    });
+                }).then(function () {
+                    return indexedDB.__importDatabase(ndjson);
+                }).then(function () {
+                    var open = indexedDB.open(dbName);
+                    open.onerror = open.onblocked = done;
+                    open.onsuccess = function () {
+                        var db = open.result;
+                        expect(db.version).to.equal(3);
+                        var tx = db.transaction(['auto', 'inline'], 'readwrite');
+                        var auto = tx.objectStore('auto');
+                        var inline = tx.objectStore('inline');
+                        expect(auto.autoIncrement).to.equal(true);
+                        expect(auto.index('tags').multiEntry).to.equal(true);
+                        expect(inline.keyPath).to.equal('id');
+                        expect(inline.index('name').unique).to.equal(true);
+
+                        var autoRecords = auto.getAll();
+                        var tagCount = auto.index('tags').count('b');
+                        var newKey = auto.add({tags: []});
+                        var inlineRecords = inline.getAll();
+                        tx.oncomplete = function () {
+                            expect(autoRecords.result.length).to.equal(2);
+                            expect(autoRecords.result[0].date).to.be.an.instanceOf(Date);
+                            expect(autoRecords.result[0].date.getTime()).to.equal(new Date(2017, 0, 1).getTime());
+                            expect(autoRecords.result[1].bytes).to.be.an.instanceOf(Uint8Array);
+                            expect(Array.prototype.slice.call(autoRecords.result[1].bytes)).to.deep.equal([1, 2, 3]);
+                            expect(tagCount.result).to.equal(1);
+                            // The key generator should continue past the deleted record
+                            expect(newKey.result).to.equal(4);
+                            expect(inlineRecords.result.map(function (record) {
+                                return record.name;
+                            })).to.deep.equal(['date', 'array']);
+                            expect(inlineRecords.result[0].id).to.be.an.instanceOf(Date);
+                            db.close();
+                            done();
+                        };
+                    };
+                })['catch'](done);
+            });
+        });
+    });
+
+    util.skipIf(!env.isShimmed, 'should reject exporting missing databases and importing existing ones', function (done) {
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            indexedDB.__exportDatabase(dbName).then(function () {
+                throw new Error('The export should have been rejected');
+            }, function (err) {
+                expect(err.name).to.equal('NotFoundError');
+                return new Promise(function (resolve, reject) {
+                    createDatabase(dbName, function (err) {
+                        if (err) {
+                            reject(err);
+                            return;
+                        }
+                        resolve();
+                    });
+                });
+            }).then(function () {
+                return indexedDB.__importDatabase([{type: 'database', name: dbName, version: 3}]);
+            }).then(function () {
+                throw new Error('The import should have been rejected');
+            }, function (err) {
+                expect(err.name).to.equal('ConstraintError');
+                done();
+            })['catch'](done);
+        });
+    });
+});
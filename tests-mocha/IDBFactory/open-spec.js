@@ -364,6 +364,345 @@ describe('IDBFactory.open', function () {
         });
     });
 
+    describe('versionchange tests', function () {
+        it('should fire versionchange at open connections before upgrading', function (done) {
+            util.createDatabase('inline', function (err, db) {
+                if (err) {
+                    expect(function () { throw err; }).to.not.throw(Error);
+                    done();
+                    return;
+                }
+                db.onversionchange = sinon.spy(function (event) {
+                    expect(event.oldVersion).to.equal(1);
+                    expect(event.newVersion).to.equal(2);
+                    db.close();
+                });
+
+                var open = indexedDB.open(db.name, 2);
+                open.onerror = open.onblocked = done;
+                open.onupgradeneeded = function () {
+                    sinon.assert.calledOnce(db.onversionchange);
+                };
+                open.onsuccess = function () {
+                    open.result.close();
+                    done();
+                };
+            });
+        });
+
+        it('should fire blocked and wait for open connections to close', function (done) {
+            util.createDatabase('inline', function (err, db) {
+                if (err) {
+                    expect(function () { throw err; }).to.not.throw(Error);
+                    done();
+                    return;
+                }
+                var closed = false;
+                db.onversionchange = sinon.spy();
+
+                var open = indexedDB.open(db.name, 2);
+                open.onerror = done;
+                open.onblocked = sinon.spy(function (event) {
+                    sinon.assert.calledOnce(db.onversionchange);
+                    expect(event.oldVersion).to.equal(1);
+                    expect(event.newVersion).to.equal(2);
+                    setTimeout(function () {
+                        closed = true;
+                        db.close();
+                    }, 50);
+                });
+                open.onupgradeneeded = function () {
+                    expect(closed).to.equal(true);
+                };
+                open.onsuccess = function () {
+                    sinon.assert.calledOnce(open.onblocked);
+                    open.result.close();
+                    done();
+                };
+            });
+        });
+
+        it('should wait for the transactions of closed connections to finish', function (done) {
+            util.createDatabase('inline', function (err, db) {
+                if (err) {
+                    expect(function () { throw err; }).to.not.throw(Error);
+                    done();
+                    return;
+                }
+                var tx = db.transaction('inline', 'readwrite');
+                tx.objectStore('inline').add({id: 1});
+                tx.oncomplete = sinon.spy();
+                db.close();
+
+                var open = indexedDB.open(db.name, 2);
+                open.onerror = done;
+                open.onupgradeneeded = function () {
+                    sinon.assert.calledOnce(tx.oncomplete);
+                };
+                open.onsuccess = function () {
+                    open.result.close();
+                    done();
+                };
+            });
+        });
+
+        it('should process requests for the same database in order', function (done) {
+            util.generateDatabaseName(function (err, name) {
+                if (err) {
+                    expect(function () { throw err; }).to.not.throw(Error);
+                    done();
+                    return;
+                }
+                var events = [];
+                var open1 = indexedDB.open(name, 1);
+                var open2 = indexedDB.open(name, 2);
+                open1.onerror = open2.onerror = open2.onblocked = done;
+
+                open1.onupgradeneeded = function () {
+                    events.push('upgradeneeded 1');
+                };
+                open1.onsuccess = function () {
+                    events.push('success 1');
+                    open1.result.onversionchange = function () {
+                        events.push('versionchange 1');
+                        open1.result.close();
+                    };
+                };
+                open2.onupgradeneeded = function (event) {
+                    events.push('upgradeneeded 2');
+                    expect(event.oldVersion).to.equal(1);
+                };
+                open2.onsuccess = function () {
+                    expect(events).to.deep.equal([
+                        'upgradeneeded 1', 'success 1', 'versionchange 1', 'upgradeneeded 2'
+                    ]);
+                    open2.result.close();
+                    done();
+                };
+            });
+        });
+    });
+
+    describe('abort tests', function () {
+        it('should not create a database whose first upgrade was aborted', function (done) {
+            util.generateDatabaseName(function (err, name) {
+                if (err) {
+                    expect(function () { throw err; }).to.not.throw(Error);
+                    done();
+                    return;
+                }
+                var db, store;
+                var open = indexedDB.open(name, 1);
+                open.onsuccess = open.onblocked = done;
+
+                open.onupgradeneeded = function () {
+                    db = open.result;
+                    store = db.createObjectStore('foo');
+                    store.createIndex('bar', 'bar');
+                    store.add({bar: 1}, 1).onsuccess = function () {
+                        open.transaction.abort();
+                    };
+                };
+
+                open.onerror = function () {
+                    expect(open.error.name).to.equal('AbortError');
+                    expect(open.result).equal(undefined);
+                    expect(open.transaction).equal(null);
+                    expect(db.version).to.equal(0);
+                    expect(db.objectStoreNames).to.have.lengthOf(0);
+                    expect(function () { store.put({bar: 2}, 2); }).to.throw(Error);
+                    setTimeout(reopen, 50);
+                };
+
+                function reopen () {
+                    var open = indexedDB.open(name, 1);
+                    open.onerror = open.onblocked = done;
+
+                    open.onupgradeneeded = function (event) {
+                        expect(event.oldVersion).to.equal(0);
+                        expect(open.result.objectStoreNames).to.have.lengthOf(0);
+
+                        // The table and index were rolled back, so they can be created again
+                        open.result.createObjectStore('foo').createIndex('bar', 'bar');
+                    };
+
+                    open.onsuccess = function () {
+                        var db = open.result;
+                        var tx = db.transaction('foo');
+                        var count = tx.objectStore('foo').count();
+                        count.onerror = done;
+                        count.onsuccess = function () {
+                            expect(count.result).to.equal(0);
+                            db.close();
+                            done();
+                        };
+                    };
+                }
+            });
+        });
+
+        it('should restore the schema and metadata when an upgrade is aborted', function (done) {
+            util.generateDatabaseName(function (err, name) {
+                if (err) {
+                    expect(function () { throw err; }).to.not.throw(Error);
+                    done();
+                    return;
+                }
+                createVersion1();
+
+                function createVersion1 () {
+                    var open = indexedDB.open(name, 1);
+                    open.onerror = open.onblocked = done;
+                    open.onupgradeneeded = function () {
+                        var store = open.result.createObjectStore('foo');
+                        store.createIndex('bar', 'bar');
+                        store.add({bar: 'a'}, 1);
+                    };
+                    open.onsuccess = function () {
+                        open.result.close();
+                        setTimeout(abortVersion2, 50);
+                    };
+                }
+
+                function abortVersion2 () {
+                    var open = indexedDB.open(name, 2);
+                    open.onsuccess = open.onblocked = done;
+
+                    open.onupgradeneeded = function () {
+                        var db = open.result;
+                        var tx = open.transaction;
+                        var store = tx.objectStore('foo');
+                        var index = store.index('bar');
+
+                        var newStore = db.createObjectStore('baz');
+                        var newIndex = store.createIndex('qux', 'qux');
+                        store.deleteIndex('bar');
+                        store.add({bar: 'b'}, 2);
+                        db.deleteObjectStore('foo');
+                        expect(db.objectStoreNames).to.have.lengthOf(1);
+                        expect(db.objectStoreNames.contains('baz')).to.equal(true);
+
+                        newStore.add('baz', 1).onsuccess = function () {
+                            tx.abort();
+                        };
+
+                        tx.onabort = function () {
+                            expect(db.version).to.equal(1);
+                            expect(db.objectStoreNames).to.have.lengthOf(1);
+                            expect(db.objectStoreNames.contains('foo')).to.equal(true);
+                            expect(store.name).to.equal('foo');
+                            expect(store.indexNames).to.have.lengthOf(1);
+                            expect(store.indexNames.contains('bar')).to.equal(true);
+                            expect(index.name).to.equal('bar');
+                            expect(function () { newStore.put('baz', 2); }).to.throw(Error);
+                            expect(function () { newIndex.get(1); }).to.throw(Error);
+                        };
+                    };
+
+                    open.onerror = function () {
+                        expect(open.error.name).to.equal('AbortError');
+                        setTimeout(reopen, 50);
+                    };
+                }
+
+                function reopen () {
+                    var open = indexedDB.open(name);
+                    open.onerror = open.onblocked = done;
+
+                    open.onsuccess = function () {
+                        var db = open.result;
+                        expect(db.version).to.equal(1);
+                        expect(db.objectStoreNames).to.have.lengthOf(1);
+                        expect(db.objectStoreNames.contains('foo')).to.equal(true);
+
+                        var tx = db.transaction('foo');
+                        var store = tx.objectStore('foo');
+                        expect(store.indexNames).to.have.lengthOf(1);
+                        expect(store.indexNames.contains('bar')).to.equal(true);
+
+                        var keys = store.index('bar').getAllKeys();
+                        keys.onerror = done;
+                        keys.onsuccess = function () {
+                            expect(keys.result).to.deep.equal([1]);
+                            db.close();
+                            setTimeout(upgradeAgain, 50);
+                        };
+                    };
+                }
+
+                function upgradeAgain () {
+                    var open = indexedDB.open(name, 2);
+                    open.onerror = open.onblocked = done;
+
+                    open.onupgradeneeded = function (event) {
+                        expect(event.oldVersion).to.equal(1);
+
+                        // The table and index column were rolled back, so they can be created again
+                        open.result.createObjectStore('baz');
+                        open.transaction.objectStore('foo').createIndex('qux', 'qux');
+                    };
+
+                    open.onsuccess = function () {
+                        open.result.close();
+                        done();
+                    };
+                }
+            });
+        });
+
+        it('should roll back an upgrade aborted by a failed request', function (done) {
+            util.generateDatabaseName(function (err, name) {
+                if (err) {
+                    expect(function () { throw err; }).to.not.throw(Error);
+                    done();
+                    return;
+                }
+                createVersion1();
+
+                function createVersion1 () {
+                    var open = indexedDB.open(name, 1);
+                    open.onerror = open.onblocked = done;
+                    open.onupgradeneeded = function () {
+                        open.result.createObjectStore('foo').add('a', 1);
+                    };
+                    open.onsuccess = function () {
+                        open.result.close();
+                        setTimeout(failVersion2, 50);
+                    };
+                }
+
+                function failVersion2 () {
+                    var open = indexedDB.open(name, 2);
+                    open.onsuccess = open.onblocked = done;
+
+                    open.onupgradeneeded = function () {
+                        open.result.createObjectStore('bar');
+                        open.transaction.objectStore('foo').add('b', 1);
+                    };
+
+                    open.onerror = function () {
+                        expect(open.error.name).to.equal('AbortError');
+                        setTimeout(reopen, 50);
+                    };
+                }
+
+                function reopen () {
+                    var open = indexedDB.open(name);
+                    open.onerror = open.onblocked = done;
+
+                    open.onsuccess = function () {
+                        var db = open.result;
+                        expect(db.version).to.equal(1);
+                        expect(db.objectStoreNames).to.have.lengthOf(1);
+                        expect(db.objectStoreNames.contains('foo')).to.equal(true);
+                        db.close();
+                        done();
+                    };
+                }
+            });
+        });
+    });
+
     describe('failure tests', function () {
         it('should not allow databases to be downgraded', function (done) {
             this.timeout(5000);
@@ -0,0 +1,123 @@
+/* eslint-disable no-var */
+describe('IDBFactory origins', function () {
+    'use strict';
+
+    // The test databases are kept in SQLite `:memory:` databases (for Node)
+    var originsUnsupported = !env.isShimmed || !env.backends;
+
+    afterEach(function () {
+        if (!originsUnsupported) {
+            env.indexedDB.__resetMemoryDatabases();
+            env.indexedDB.__setConfig('memoryDatabase', false);
+            env.indexedDB.__setConfig('backend', undefined);
+        }
+    });
+
+    function createFactory (origin) {
+        return new env.indexedDB.modules.IDBFactory(origin);
+    }
+
+    /**
+     * Calls back with the names of the databases of a factory
+     */
+    function getDatabaseNames (factory, callback) {
+        var req = factory.webkitGetDatabaseNames();
+        req.onerror = function () {
+            callback(req.error);
+        };
+        req.onsuccess = function () {
+            callback(null, Array.prototype.slice.call(req.result));
+        };
+    }
+
+    util.skipIf(originsUnsupported, 'should keep the databases of different origins apart', function (done) {
+        env.indexedDB.__setConfig('memoryDatabase', true);
+        var factoryA = createFactory('https://a.example');
+        var factoryB = createFactory('https://b.example');
+
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var openA = factoryA.open(dbName, 2);
+            openA.onerror = openA.onblocked = done;
+            openA.onupgradeneeded = function () {
+                openA.result.createObjectStore('store').add('a', 1);
+            };
+            openA.onsuccess = function () {
+                openA.result.close();
+                getDatabaseNames(factoryB, function (err, names) {
+                    if (err) {
+                        done(err);
+                        return;
+                    }
+                    expect(names).to.not.include(dbName);
+
+                    // Deleting through the other origin should leave the database alone
+                    var del = factoryB.deleteDatabase(dbName);
+                    del.onerror = del.onblocked = done;
+                    del.onsuccess = function (e) {
+                        expect(e.oldVersion).to.equal(null);
+
+                        var upgraded = false;
+                        var openB = factoryB.open(dbName);
+                        openB.onerror = openB.onblocked = done;
+                        openB.onupgradeneeded = function (e) {
+                            upgraded = true;
+                            expect(e.oldVersion).to.equal(0);
+                            expect(openB.result.objectStoreNames.length).to.equal(0);
+                        };
+                        openB.onsuccess = function () {
+                            expect(upgraded).to.equal(true);
+                            expect(openB.result.version).to.equal(1);
+                            openB.result.close();
+
+                            var reopenA = factoryA.open(dbName);
+                            reopenA.onerror = reopenA.onblocked = done;
+                            reopenA.onsuccess = function () {
+                                var db = reopenA.result;
+                                expect(db.version).to.equal(2);
+                                var tx = db.transaction('store');
+                                var get = tx.objectStore('store').get(1);
+                                tx.oncomplete = function () {
+                                    expect(get.result).to.equal('a');
+                                    db.close();
+                                    factoryA.databases().then(function (dbs) {
+                                        expect(dbs).to.deep.equal([{name: dbName, version: 2}]);
+                                        done();
+                                    })['catch'](done);
+                                };
+                            };
+                        };
+                    };
+                });
+            };
+        });
+    });
+
+    util.skipIf(originsUnsupported, 'should store the databases of each origin in their own files', function (done) {
+        var win = env.indexedDB.__getConfig('win');
+        var databases = {};
+        env.indexedDB.__setConfig('backend', {
+            openDatabase: function (name, displayName, estimatedSize) {
+                if (!databases[name]) {
+                    databases[name] = win.openDatabase(':memory:', 1, displayName, estimatedSize);
+                }
+                return databases[name];
+            }
+        });
+        var factory = createFactory('https://Tenant_1.example');
+
+        var open = factory.open('test');
+        open.onerror = open.onblocked = done;
+        open.onsuccess = function () {
+            open.result.close();
+            expect(Object.keys(databases).sort()).to.deep.equal([
+                'O_https%3a%2f%2f^Tenant%5f1.example_D_test',
+                'O_https%3a%2f%2f^Tenant%5f1.example___sysdb__.sqlite'
+            ]);
+            done();
+        };
+    });
+});
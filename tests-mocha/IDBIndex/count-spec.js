@@ -2,6 +2,12 @@
 describe('IDBIndex.count', function () {
     'use strict';
 
+    afterEach(function () {
+        if (env.backends) {
+            env.indexedDB.__setConfig('backend', undefined);
+        }
+    });
+
     it('should return an IDBRequest', function (done) {
         util.createDatabase('inline', 'inline-index', function (err, db) {
             if (err) {
@@ -581,6 +587,224 @@ describe('IDBIndex.count', function () {
         });
     });
 
+    util.skipIf(env.browser.isIE && (env.isNative || env.isPolyfilled), 'should return different values as multi-entry records are replaced or updated', function (done) {
+        util.createDatabase('out-of-line', 'multi-entry-index', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var index = store.index('multi-entry-index');
+            var counts = [];
+            function count () {
+                var requests = [index.count(), index.count('a'), index.count('d')];
+                counts.push(requests);
+            }
+
+            store.add({id: ['a', 'b', 'c']}, 1);
+            store.add({id: ['a', 'b']}, 2);
+            store.add({id: 'a'}, 3);
+            store.add({id: ['a', 'a', 'd']}, 4);
+            store.add({id: {}}, 5);
+            count();
+
+            store.put({id: ['d']}, 1);
+            count();
+
+            store['delete'](IDBKeyRange.bound(3, 4));
+            count();
+
+            store.openCursor(2).onsuccess = function (e) {
+                e.target.result.update({id: ['d', 'e']});
+                count();
+
+                store.openCursor(1).onsuccess = function (e) {
+                    e.target.result['delete']();
+                    count();
+
+                    store.clear();
+                    count();
+                };
+            };
+
+            tx.oncomplete = function () {
+                expect(counts.map(function (requests) {
+                    return requests.map(function (request) {
+                        return request.result;
+                    });
+                })).to.deep.equal([
+                    [8, 4, 1],
+                    [6, 3, 2],
+                    [3, 1, 1],
+                    [3, 0, 2],
+                    [2, 0, 1],
+                    [0, 0, 0]
+                ]);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    util.skipIf(env.browser.isIE && (env.isNative || env.isPolyfilled), 'should count the multi-entry records stored before the index was created', function (done) {
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var open = env.indexedDB.open(dbName, 1);
+            open.onerror = open.onblocked = done;
+            open.onupgradeneeded = function () {
+                var store = open.result.createObjectStore('store');
+                store.add({tags: ['a', 'b'], others: ['c']}, 1);
+                store.add({tags: 'a', others: ['c', 'd']}, 2);
+                store.createIndex('tags', 'tags', {multiEntry: true});
+                // The entries of a deleted index should not be counted
+                store.createIndex('others', 'tags', {multiEntry: true});
+                store.deleteIndex('others');
+                store.createIndex('others', 'others', {multiEntry: true});
+            };
+            open.onsuccess = function () {
+                var db = open.result;
+                var tx = db.transaction('store');
+                var store = tx.objectStore('store');
+                var tags = store.index('tags').count('a');
+                var others = store.index('others').count();
+                var otherA = store.index('others').count('a');
+                tx.oncomplete = function () {
+                    expect(tags.result).to.equal(2);
+                    expect(others.result).to.equal(3);
+                    expect(otherA.result).to.equal(0);
+                    db.close();
+                    done();
+                };
+            };
+        });
+    });
+
+    util.skipIf(!env.backends, 'should count the multi-entry records of databases of earlier versions', function (done) {
+        var backend = env.backends.createWebSQLBackend(env.indexedDB.__getConfig('win'));
+        var databases = {};
+        env.indexedDB.__setConfig('backend', {
+            openDatabase: function (name, displayName, estimatedSize) {
+                databases[name] = backend.openDatabase(name, displayName, estimatedSize);
+                return databases[name];
+            }
+        });
+
+        util.createDatabase('inline', 'multi-entry-index', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var dbName = db.name;
+            var tx = db.transaction('inline', 'readwrite');
+            tx.objectStore('inline').add({id: ['a', 'b']});
+            tx.objectStore('inline').add({id: ['b', 'c']});
+            tx.oncomplete = function () {
+                db.close();
+                // Remove the table of the index entries as missing from earlier versions
+                var sqlDBName = Object.keys(databases).filter(function (name) {
+                    return name.indexOf('__sysdb__') === -1;
+                })[0];
+                var sqlDB = databases[sqlDBName];
+                sqlDB.transaction(function (tx) {
+                    tx.executeSql('DROP TABLE "e_inline"', []);
+                    // ...and the flag marking the entries as added
+                    tx.executeSql("SELECT indexList FROM __sys__ WHERE name = 'inline'", [], function (tx, data) {
+                        var indexList = JSON.parse(data.rows.item(0).indexList);
+                        expect(indexList['multi-entry-index'].entries).to.equal(true);
+                        delete indexList['multi-entry-index'].entries;
+                        tx.executeSql("UPDATE __sys__ SET indexList = ? WHERE name = 'inline'", [JSON.stringify(indexList)]);
+                    });
+                }, done, function () {
+                    var open = env.indexedDB.open(dbName);
+                    open.onerror = done;
+                    open.onsuccess = function () {
+                        var db = open.result;
+                        var tx = db.transaction('inline');
+                        var index = tx.objectStore('inline').index('multi-entry-index');
+                        var all = index.count();
+                        var b = index.count('b');
+                        tx.oncomplete = function () {
+                            expect(all.result).to.equal(4);
+                            expect(b.result).to.equal(2);
+                            db.close();
+                            // The entries should only be added once
+                            var entriesFlag;
+                            sqlDB.transaction(function (tx) {
+                                tx.executeSql("SELECT indexList FROM __sys__ WHERE name = 'inline'", [], function (tx, data) {
+                                    entriesFlag = JSON.parse(data.rows.item(0).indexList)['multi-entry-index'].entries;
+                                });
+                            }, done, function () {
+                                expect(entriesFlag).to.equal(true);
+                                done();
+                            });
+                        };
+                    };
+                });
+            };
+        });
+    });
+
+    util.skipIf(!env.backends, 'should only keep tables of entries for stores with multi-entry indexes', function (done) {
+        var backend = env.backends.createWebSQLBackend(env.indexedDB.__getConfig('win'));
+        var dbName, sqlDB;
+        env.indexedDB.__setConfig('backend', {
+            openDatabase: function (name, displayName, estimatedSize) {
+                var database = backend.openDatabase(name, displayName, estimatedSize);
+                if (displayName === dbName) {
+                    sqlDB = database;
+                }
+                return database;
+            }
+        });
+
+        function getEntriesTables (callback) {
+            var tableNames = [];
+            sqlDB.transaction(function (tx) {
+                tx.executeSql("SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 'e^_%' ESCAPE '^'", [], function (tx, data) {
+                    for (var i = 0; i < data.rows.length; i++) {
+                        tableNames.push(data.rows.item(i).name);
+                    }
+                });
+            }, done, function () {
+                callback(tableNames.sort());
+            });
+        }
+
+        util.generateDatabaseName(function (err, name) {
+            if (err) {
+                done(err);
+                return;
+            }
+            dbName = name;
+            var open = env.indexedDB.open(dbName, 1);
+            open.onerror = open.onblocked = done;
+            open.onupgradeneeded = function () {
+                var db = open.result;
+                db.createObjectStore('plain').createIndex('tags', 'tags');
+                var multi = db.createObjectStore('multi');
+                multi.createIndex('tags', 'tags', {multiEntry: true});
+                multi.add({tags: ['a', 'b']}, 1);
+                var removed = db.createObjectStore('removed');
+                removed.createIndex('tags', 'tags', {multiEntry: true});
+                removed.createIndex('others', 'others', {multiEntry: true});
+                removed.deleteIndex('tags');
+                removed.deleteIndex('others');
+            };
+            open.onsuccess = function () {
+                var db = open.result;
+                db.close();
+                getEntriesTables(function (tableNames) {
+                    expect(tableNames).to.deep.equal(['e_multi']);
+                    done();
+                });
+            };
+        });
+    });
+
     it('should throw an error if the transaction is closed', function (done) {
         util.createDatabase('inline', 'inline-index', function (err, db) {
             if (err) {
@@ -669,6 +669,9 @@ describe('IDBIndex.get', function () {
                 getKey(['a', '', 'b']);            // array of strings
                 getKey([1, 2.345, -678]);          // array of numbers
                 getKey([new Date(2005, 6, 7)]);    // array of Dates
+                getKey(new ArrayBuffer(0));        // empty ArrayBuffer
+                getKey(new Uint8Array([0, 255]));  // TypedArray
+                getKey([new Uint8Array([1])]);     // array of binary keys
             }
 
             function getKey (key) {
@@ -691,6 +694,52 @@ describe('IDBIndex.get', function () {
         });
     });
 
+    util.skipIf(env.isNative && env.browser.isIE, 'should get data using binary keys', function (done) {
+        // BUG: IE's native IndexedDB does not support binary keys
+        util.createDatabase('out-of-line', 'multi-entry-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var index = store.index('multi-entry-index');
+            tx.onerror = done;
+
+            // Equal binary keys of different types should only be indexed once
+            store.add({id: [new Uint8Array([1, 2]), new Uint8Array([1, 2]).buffer, new Uint8Array([3])]}, 1);
+            store.add({id: [new Uint8Array([1, 2, 0])]}, 2);
+
+            var count = index.count(new DataView(new Uint8Array([1, 2]).buffer));
+            count.onerror = done;
+            count.onsuccess = function () {
+                expect(count.result).to.equal(1);
+            };
+
+            var keys = [];
+            var cursor = index.openKeyCursor(IDBKeyRange.lowerBound(new Uint8Array([1])));
+            cursor.onerror = done;
+            cursor.onsuccess = function () {
+                if (cursor.result) {
+                    keys.push([Array.prototype.slice.call(new Uint8Array(cursor.result.key)), cursor.result.primaryKey]);
+                    cursor.result.continue();
+                    return;
+                }
+                expect(keys).to.deep.equal([
+                    [[1, 2], 1],
+                    [[1, 2, 0], 2],
+                    [[3], 1]
+                ]);
+            };
+
+            tx.oncomplete = function () {
+                db.close();
+                done();
+            };
+        });
+    });
+
     it('should not allow these keys', function (done) {
         this.timeout(10000);
         util.createDatabase('out-of-line-generated', 'inline-index', function (err, db) {
@@ -810,6 +859,44 @@ describe('IDBIndex.get', function () {
         });
     });
 
+    util.skipIf(env.browser.isIE && (env.isNative || env.isPolyfilled), 'should get multi-entry indexes by keys with LIKE special characters', function (done) {
+        // BUG: IE's native IndexedDB does not support multi-entry indexes
+        util.createDatabase('inline', 'multi-entry-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('inline', 'readwrite');
+            var store = tx.objectStore('inline');
+            var index = store.index('multi-entry-index');
+            tx.onerror = done;
+
+            store.add({id: 'a"b'});
+            store.add({id: '50%'});
+            store.add({id: '500'});
+            store.add({id: '5_0'});
+            store.add({id: '5^0'});
+
+            var indexGet1 = index.get('a"b');
+            var indexGet2 = index.get('50%');
+            var indexGet3 = index.get('5_0');
+            var indexGet4 = index.get('5^0');
+            var indexGet5 = index.get('5%');
+
+            tx.oncomplete = function () {
+                expect(indexGet1.result).to.deep.equal({id: 'a"b'});
+                expect(indexGet2.result).to.deep.equal({id: '50%'});
+                expect(indexGet3.result).to.deep.equal({id: '5_0'});
+                expect(indexGet4.result).to.deep.equal({id: '5^0'});
+                expect(indexGet5.result).equal(undefined);
+
+                db.close();
+                done();
+            };
+        });
+    });
+
     util.skipIf(env.browser.isIE && (env.isNative || env.isPolyfilled), 'should get unique, multi-entry indexes', function (done) {
         // BUG: IE's native IndexedDB does not support multi-entry indexes
         util.createDatabase('inline', 'unique-multi-entry-index', function (err, db) {
@@ -0,0 +1,223 @@
+/* eslint-disable no-var */
+describe('IDBIndex.getAll', function () {
+    'use strict';
+
+    afterEach(function () {
+        if (env.backends) {
+            env.indexedDB.__setConfig('backend', undefined);
+        }
+    });
+
+    it('should return an IDBRequest', function (done) {
+        util.createDatabase('inline', 'inline-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('inline', 'readwrite');
+            var store = tx.objectStore('inline');
+            var index = store.index('inline-index');
+            tx.onerror = done;
+
+            var getAll = index.getAll();
+
+            expect(getAll).to.be.an.instanceOf(IDBRequest);
+
+            tx.oncomplete = function () {
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should get records ordered by index key and then by primary key', function (done) {
+        util.createDatabase('out-of-line', 'dotted-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var index = store.index('dotted-index');
+            tx.onerror = done;
+
+            store.add({name: {first: 'b'}, num: 1}, 3);
+            store.add({name: {first: 'a'}, num: 2}, 2);
+            store.add({name: {first: 'b'}, num: 3}, 1);
+            store.add({num: 4}, 4);
+            var getAll = index.getAll();
+            var getKey = index.getAll('b');
+            var getRange = index.getAll(IDBKeyRange.upperBound('b', true));
+
+            tx.oncomplete = function () {
+                expect(getAll.result).to.deep.equal([
+                    {name: {first: 'a'}, num: 2},
+                    {name: {first: 'b'}, num: 3},
+                    {name: {first: 'b'}, num: 1}
+                ]);
+                expect(getKey.result).to.deep.equal([
+                    {name: {first: 'b'}, num: 3},
+                    {name: {first: 'b'}, num: 1}
+                ]);
+                expect(getRange.result).to.deep.equal([
+                    {name: {first: 'a'}, num: 2}
+                ]);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should get a record for each matching entry of a multiEntry index', function (done) {
+        util.createDatabase('out-of-line', 'multi-entry-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var index = store.index('multi-entry-index');
+            tx.onerror = done;
+
+            store.add({id: ['x', 'y']}, 1);
+            store.add({id: ['y']}, 2);
+            store.add({id: 'x'}, 3);
+            var getAll = index.getAll();
+            var getKey = index.getAll('x');
+
+            tx.oncomplete = function () {
+                expect(getAll.result).to.deep.equal([
+                    {id: ['x', 'y']}, {id: 'x'}, {id: ['x', 'y']}, {id: ['y']}
+                ]);
+                expect(getKey.result).to.deep.equal([
+                    {id: ['x', 'y']}, {id: 'x'}
+                ]);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should limit the number of records to `count`', function (done) {
+        util.createDatabase('out-of-line', 'multi-entry-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var index = store.index('multi-entry-index');
+            tx.onerror = done;
+
+            store.add({id: ['x', 'y', 'z']}, 1);
+            store.add({id: ['y', 'z']}, 2);
+            var getTwo = index.getAll(null, 2);
+            var getRange = index.getAll(IDBKeyRange.lowerBound('y'), 3);
+
+            tx.oncomplete = function () {
+                expect(getTwo.result).to.deep.equal([
+                    {id: ['x', 'y', 'z']}, {id: ['x', 'y', 'z']}
+                ]);
+                expect(getRange.result).to.deep.equal([
+                    {id: ['x', 'y', 'z']}, {id: ['y', 'z']}, {id: ['x', 'y', 'z']}
+                ]);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should not change the key range of a multiEntry index query', function (done) {
+        util.createDatabase('out-of-line', 'multi-entry-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var index = store.index('multi-entry-index');
+            tx.onerror = done;
+
+            store.add({id: ['x', 'y']}, 1);
+            var range = IDBKeyRange.bound('x', 'y');
+            var getAll = index.getAll(range);
+            var getAllKeys = index.getAllKeys(range, 1);
+
+            tx.oncomplete = function () {
+                expect(getAll.result).to.deep.equal([{id: ['x', 'y']}, {id: ['x', 'y']}]);
+                expect(getAllKeys.result).to.deep.equal([1]);
+                expect(range).to.not.have.property('__lowerCached');
+                expect(range).to.not.have.property('__upperCached');
+                db.close();
+                done();
+            };
+        });
+    });
+
+    util.skipIf(!env.backends, 'should let SQLite limit the records of a multiEntry index to `count`', function (done) {
+        var backend = env.backends.createWebSQLBackend(env.indexedDB.__getConfig('win'));
+        var rowCounts = [];
+        function wrapTransaction (tx) {
+            var wrapped = {
+                executeSql: function (sql, args, successCallback, errorCallback) {
+                    tx.executeSql(sql, args, successCallback && function (tx, resultSet) {
+                        if (sql.indexOf('"e_out-of-line" AS e') !== -1) {
+                            rowCounts.push(resultSet.rows.length);
+                        }
+                        return successCallback(wrapped, resultSet);
+                    }, errorCallback && function (tx, err) {
+                        return errorCallback(wrapped, err);
+                    });
+                }
+            };
+            return wrapped;
+        }
+        env.indexedDB.__setConfig('backend', {
+            openDatabase: function (name, displayName, estimatedSize) {
+                var db = backend.openDatabase(name, displayName, estimatedSize);
+                return {
+                    transaction: function (callback, errorCallback, successCallback) {
+                        db.transaction(function (tx) {
+                            callback(wrapTransaction(tx));
+                        }, errorCallback, successCallback);
+                    },
+                    readTransaction: function (callback, errorCallback, successCallback) {
+                        db.readTransaction(function (tx) {
+                            callback(wrapTransaction(tx));
+                        }, errorCallback, successCallback);
+                    }
+                };
+            }
+        });
+
+        util.createDatabase('out-of-line', 'multi-entry-index', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var index = store.index('multi-entry-index');
+            tx.onerror = done;
+
+            for (var i = 0; i < 10; i++) {
+                store.add({id: ['x', 'y', i]}, i);
+            }
+            var getTwo = index.getAllKeys('y', 2);
+            var getRange = index.getAllKeys(IDBKeyRange.bound(8, 9));
+
+            tx.oncomplete = function () {
+                expect(getTwo.result).to.deep.equal([0, 1]);
+                expect(getRange.result).to.deep.equal([8, 9]);
+                expect(rowCounts).to.deep.equal([2, 2]);
+                db.close();
+                done();
+            };
+        });
+    });
+});
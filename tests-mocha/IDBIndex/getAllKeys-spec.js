@@ -0,0 +1,80 @@
+/* eslint-disable no-var */
+describe('IDBIndex.getAllKeys', function () {
+    'use strict';
+
+    it('should get the primary keys ordered by index key and then by primary key', function (done) {
+        util.createDatabase('out-of-line', 'dotted-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var index = store.index('dotted-index');
+            tx.onerror = done;
+
+            store.add({name: {first: 'b'}}, 3);
+            store.add({name: {first: 'a'}}, 2);
+            store.add({name: {first: 'b'}}, 1);
+            var getAllKeys = index.getAllKeys();
+            var getCount = index.getAllKeys('b', 1);
+
+            tx.oncomplete = function () {
+                expect(getAllKeys.result).to.deep.equal([2, 1, 3]);
+                expect(getCount.result).to.deep.equal([1]);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should get the primary keys for a multiEntry index', function (done) {
+        util.createDatabase('out-of-line', 'multi-entry-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var index = store.index('multi-entry-index');
+            tx.onerror = done;
+
+            store.add({id: ['b', 'a']}, 1);
+            store.add({id: ['c', 'b']}, 2);
+            var getAllKeys = index.getAllKeys();
+            var getKey = index.getAllKeys('b');
+
+            tx.oncomplete = function () {
+                expect(getAllKeys.result).to.deep.equal([1, 1, 2, 2]);
+                expect(getKey.result).to.deep.equal([1, 2]);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should throw a TypeError if `count` is out of range', function (done) {
+        util.createDatabase('inline', 'inline-index', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('inline', 'readwrite');
+            var store = tx.objectStore('inline');
+            var index = store.index('inline-index');
+            tx.onerror = done;
+
+            expect(function () {
+                index.getAllKeys(null, -1);
+            }).to.throw(TypeError);
+
+            tx.oncomplete = function () {
+                db.close();
+                done();
+            };
+        });
+    });
+});
@@ -0,0 +1,148 @@
+/* eslint-disable no-var */
+describe('IDBIndex.name', function () {
+    'use strict';
+
+    var indexedDB;
+    beforeEach(function () {
+        indexedDB = env.indexedDB;
+    });
+
+    function getAllFromIndex (store, indexName, query, callback) {
+        var index = store.index(indexName);
+        var results = {};
+        index.count(query).onsuccess = function (e) {
+            results.count = e.target.result;
+        };
+        index.getAllKeys(query).onsuccess = function (e) {
+            results.keys = e.target.result;
+            callback(results);
+        };
+    }
+
+    it('should rename a multi-entry index along with its entries', function (done) {
+        util.generateDatabaseName(function (err, name) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var open = indexedDB.open(name, 1);
+            open.onerror = open.onblocked = done;
+            open.onupgradeneeded = function () {
+                var store = open.result.createObjectStore('store', {autoIncrement: true});
+                store.createIndex('tags', 'tags', {multiEntry: true});
+                store.createIndex('others', 'others', {multiEntry: true});
+                store.createIndex('name', 'name', {unique: true});
+                store.add({name: 'x', tags: ['a', 'b'], others: ['a']});
+                store.add({name: 'y', tags: ['a'], others: ['b']});
+            };
+            open.onsuccess = function () {
+                open.result.close();
+                var open2 = indexedDB.open(name, 2);
+                open2.onerror = open2.onblocked = done;
+                open2.onupgradeneeded = function () {
+                    var store = open2.transaction.objectStore('store');
+                    var index = store.index('tags');
+                    index.name = 'labels';
+                    expect(index.name).to.equal('labels');
+                    expect(Array.prototype.slice.call(store.indexNames)).to.deep.equal(['labels', 'name', 'others']);
+                    expect(store.index('labels').name).to.equal('labels');
+                    store.add({name: 'z', tags: ['b'], others: ['b']});
+                };
+                open2.onsuccess = function () {
+                    open2.result.close();
+                    var open3 = indexedDB.open(name);
+                    open3.onerror = open3.onblocked = done;
+                    open3.onsuccess = function () {
+                        var db = open3.result;
+                        var store = db.transaction('store').objectStore('store');
+                        expect(Array.prototype.slice.call(store.indexNames)).to.deep.equal(['labels', 'name', 'others']);
+                        getAllFromIndex(store, 'labels', 'b', function (labels) {
+                            expect(labels).to.deep.equal({count: 2, keys: [1, 3]});
+                            getAllFromIndex(store, 'others', 'b', function (others) {
+                                expect(others).to.deep.equal({count: 2, keys: [2, 3]});
+                                store.index('name').getKey('y').onsuccess = function (e) {
+                                    expect(e.target.result).to.equal(2);
+                                    db.close();
+                                    done();
+                                };
+                            });
+                        });
+                    };
+                };
+            };
+        });
+    });
+
+    it('should rename a multi-entry index created in the same transaction', function (done) {
+        util.generateDatabaseName(function (err, name) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var open = indexedDB.open(name, 1);
+            open.onerror = open.onblocked = done;
+            open.onupgradeneeded = function () {
+                var store = open.result.createObjectStore('store');
+                store.createIndex('tags', 'tags', {multiEntry: true}).name = 'labels';
+                store.add({tags: ['a', 'b']}, 1);
+                store.add({tags: ['a']}, 2);
+            };
+            open.onsuccess = function () {
+                open.result.close();
+                var open2 = indexedDB.open(name);
+                open2.onerror = open2.onblocked = done;
+                open2.onsuccess = function () {
+                    var db = open2.result;
+                    var store = db.transaction('store').objectStore('store');
+                    expect(Array.prototype.slice.call(store.indexNames)).to.deep.equal(['labels']);
+                    getAllFromIndex(store, 'labels', 'a', function (results) {
+                        expect(results).to.deep.equal({count: 2, keys: [1, 2]});
+                        db.close();
+                        done();
+                    });
+                };
+            };
+        });
+    });
+
+    it('should restore the name of a renamed multi-entry index if the upgrade is aborted', function (done) {
+        util.generateDatabaseName(function (err, name) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var open = indexedDB.open(name, 1);
+            open.onerror = open.onblocked = done;
+            open.onupgradeneeded = function () {
+                var store = open.result.createObjectStore('store');
+                store.createIndex('tags', 'tags', {multiEntry: true});
+                store.add({tags: ['a', 'b']}, 1);
+            };
+            open.onsuccess = function () {
+                open.result.close();
+                var open2 = indexedDB.open(name, 2);
+                open2.onblocked = done;
+                open2.onupgradeneeded = function () {
+                    var store = open2.transaction.objectStore('store');
+                    store.index('tags').name = 'labels';
+                    store.transaction.abort();
+                };
+                open2.onerror = function (e) {
+                    e.preventDefault();
+                    var open3 = indexedDB.open(name);
+                    open3.onerror = open3.onblocked = done;
+                    open3.onsuccess = function () {
+                        var db = open3.result;
+                        var store = db.transaction('store').objectStore('store');
+                        expect(Array.prototype.slice.call(store.indexNames)).to.deep.equal(['tags']);
+                        getAllFromIndex(store, 'tags', 'b', function (results) {
+                            expect(results).to.deep.equal({count: 1, keys: [1]});
+                            db.close();
+                            done();
+                        });
+                    };
+                };
+            };
+        });
+    });
+});
@@ -399,6 +399,59 @@
                 });
             });
 
+            util.skipIf(env.isNative && env.browser.isIE, 'should allow binary keys', function (done) {
+                // BUG: IE's native IndexedDB does not support binary keys
+                util.createDatabase('out-of-line', function (err, db) {
+                    if (err) {
+                        expect(function () { throw err; }).to.not.throw(Error);
+                        done();
+                        return;
+                    }
+                    var tx = db.transaction('out-of-line', 'readwrite');
+                    var store = tx.objectStore('out-of-line');
+                    tx.onerror = done;
+
+                    var buffer = new Uint8Array([9, 1, 2, 3, 9]).buffer;
+                    store[save]({foo: 'empty'}, new ArrayBuffer(0));
+                    store[save]({foo: 'long'}, new Uint8Array([1, 2, 3, 0]));
+                    store[save]({foo: 'high'}, new Uint8Array([255]));
+                    store[save]({foo: 'array'}, [new Uint8Array([255])]);
+                    var saving = store[save]({foo: 'view'}, new DataView(buffer, 1, 3));
+                    saving.onerror = done;
+                    saving.onsuccess = function () {
+                        // The key should be a copy of the viewed bytes
+                        expect(saving.result).to.be.an.instanceOf(ArrayBuffer);
+                        expect(Array.prototype.slice.call(new Uint8Array(saving.result))).to.deep.equal([1, 2, 3]);
+
+                        // Re-fetch the data using an equal key of a different type
+                        var get = store.get(new Uint8Array([1, 2, 3]));
+                        get.onerror = done;
+                        get.onsuccess = function () {
+                            expect(get.result).to.deep.equal({foo: 'view'});
+
+                            var results = [];
+                            var range = IDBKeyRange.bound(new ArrayBuffer(0), new Uint8Array([2]), true);
+                            var cursor = store.openCursor(range);
+                            cursor.onerror = done;
+                            cursor.onsuccess = function () {
+                                if (cursor.result) {
+                                    expect(cursor.result.key).to.be.an.instanceOf(ArrayBuffer);
+                                    results.push(cursor.result.value.foo);
+                                    cursor.result.continue();
+                                    return;
+                                }
+                                expect(results).to.deep.equal(['view', 'long']);
+                            };
+                        };
+                    };
+
+                    tx.oncomplete = function () {
+                        db.close();
+                        done();
+                    };
+                });
+            });
+
             it('should not allow these keys', function (done) {
                 this.timeout(5000);
                 util.createDatabase('out-of-line', function (err, db) {
@@ -479,6 +532,7 @@
                     saveData(new Date(2000, 1, 2));                     // Date
                     saveData(new util.sampleData.Person('John', 30));   // Class
                     saveData(/^regex$/);                                // RegExp
+                    saveData(/^[/]\/*$/gim);                           // RegExp with slashes and flags
                     saveData([]);                                       // empty array
                     saveData(['a', '', 'b']);                           // array of strings
                     saveData([1, 2.345, -678]);                         // array of numbers
@@ -534,6 +588,191 @@
                 });
             });
 
+            it('should allow binary data types', function (done) {
+                util.createDatabase('out-of-line-generated', function (err, db) {
+                    if (err) {
+                        expect(function () { throw err; }).to.not.throw(Error);
+                        done();
+                        return;
+                    }
+                    var tx = db.transaction('out-of-line-generated', 'readwrite');
+                    var store = tx.objectStore('out-of-line-generated');
+                    tx.onerror = done;
+
+                    var buffer = new ArrayBuffer(8);
+                    new Uint8Array(buffer).set([0, 1, 127, 128, 200, 253, 254, 255]);
+                    var data = {
+                        buffer: buffer,
+                        bytes: new Uint8Array(buffer),
+                        shorts: new Int16Array(buffer, 2, 2),
+                        view: new DataView(buffer, 4),
+                        floats: new Float64Array([1.5, -Infinity]),
+                        empty: new ArrayBuffer(0)
+                    };
+
+                    var saving = store[save](data);
+                    saving.onerror = done;
+                    saving.onsuccess = function () {
+                        var get = store.get(saving.result);
+                        get.onerror = done;
+                        get.onsuccess = function () {
+                            var result = get.result;
+                            expect(result.buffer).to.be.an.instanceOf(ArrayBuffer);
+                            expect(result.buffer).not.to.equal(buffer);
+                            expect(Array.prototype.slice.call(new Uint8Array(result.buffer))).to.deep.equal([0, 1, 127, 128, 200, 253, 254, 255]);
+                            expect(result.bytes).to.be.an.instanceOf(Uint8Array);
+                            expect(result.shorts).to.be.an.instanceOf(Int16Array);
+                            expect(Array.prototype.slice.call(result.shorts)).to.deep.equal(Array.prototype.slice.call(data.shorts));
+                            expect(result.view).to.be.an.instanceOf(DataView);
+                            expect(result.view.byteOffset).to.equal(4);
+                            expect(result.view.byteLength).to.equal(4);
+                            expect(result.view.getUint8(0)).to.equal(200);
+                            expect(result.floats).to.be.an.instanceOf(Float64Array);
+                            expect(Array.prototype.slice.call(result.floats)).to.deep.equal([1.5, -Infinity]);
+                            expect(result.empty.byteLength).to.equal(0);
+
+                            // Views on the same buffer should still share it
+                            expect(result.bytes.buffer).to.equal(result.buffer);
+                            expect(result.shorts.buffer).to.equal(result.buffer);
+                            expect(result.view.buffer).to.equal(result.buffer);
+                        };
+                    };
+
+                    tx.oncomplete = function () {
+                        db.close();
+                        done();
+                    };
+                });
+            });
+
+            util.skipIf(typeof Map === 'undefined' || typeof Set === 'undefined', 'should allow Map and Set data types', function (done) {
+                util.createDatabase('out-of-line-generated', function (err, db) {
+                    if (err) {
+                        expect(function () { throw err; }).to.not.throw(Error);
+                        done();
+                        return;
+                    }
+                    var tx = db.transaction('out-of-line-generated', 'readwrite');
+                    var store = tx.objectStore('out-of-line-generated');
+                    tx.onerror = done;
+
+                    var key = {id: 1};
+                    var map = new Map();
+                    map.set('z', [1, undefined]);
+                    map.set(key, new Date(2000, 1, 2));
+                    map.set(3, new Set(['b', 'a', key]));
+                    map.set('self', map);
+                    var data = {map: map, key: key, empty: new Set()};
+
+                    var saving = store[save](data);
+                    saving.onerror = done;
+                    saving.onsuccess = function () {
+                        var get = store.get(saving.result);
+                        get.onerror = done;
+                        get.onsuccess = function () {
+                            var result = get.result;
+                            expect(result.map).to.be.an.instanceOf(Map);
+                            expect(result.map).not.to.equal(map);
+
+                            // Insertion order should be preserved
+                            var keys = [];
+                            result.map.forEach(function (value, key) {
+                                keys.push(key);
+                            });
+                            expect(keys).to.have.lengthOf(4);
+                            expect(keys[0]).to.equal('z');
+                            expect(keys[1]).to.deep.equal({id: 1});
+                            expect(keys[2]).to.equal(3);
+                            expect(keys[3]).to.equal('self');
+
+                            expect(result.map.get('z')).to.deep.equal([1, undefined]);
+                            expect(result.map.get(result.key)).to.deep.equal(new Date(2000, 1, 2));
+                            expect(result.map.get('self')).to.equal(result.map);
+
+                            var set = result.map.get(3);
+                            expect(set).to.be.an.instanceOf(Set);
+                            var values = [];
+                            set.forEach(function (value) {
+                                values.push(value);
+                            });
+                            expect(values.slice(0, 2)).to.deep.equal(['b', 'a']);
+                            expect(values[2]).to.equal(result.key);
+
+                            expect(result.empty).to.be.an.instanceOf(Set);
+                            expect(result.empty.size).to.equal(0);
+                        };
+                    };
+
+                    tx.oncomplete = function () {
+                        db.close();
+                        done();
+                    };
+                });
+            });
+
+            util.skipIf(typeof Map === 'undefined', 'should throw an error for uncloneable values in a Map', function (done) {
+                util.createDatabase('out-of-line-generated', function (err, db) {
+                    if (err) {
+                        expect(function () { throw err; }).to.not.throw(Error);
+                        done();
+                        return;
+                    }
+                    var tx = db.transaction('out-of-line-generated', 'readwrite');
+                    var store = tx.objectStore('out-of-line-generated');
+
+                    var cloneErr;
+                    try {
+                        store[save](new Map([['fn', function () {}]]), 1);
+                    } catch (e) {
+                        cloneErr = e;
+                    }
+                    expect(cloneErr).to.be.an.instanceOf(env.DOMException);
+                    expect(cloneErr.name).to.equal('DataCloneError');
+
+                    tx.oncomplete = function () {
+                        db.close();
+                        done();
+                    };
+                });
+            });
+
+            it('should preserve references to the same object', function (done) {
+                util.createDatabase('out-of-line-generated', function (err, db) {
+                    if (err) {
+                        expect(function () { throw err; }).to.not.throw(Error);
+                        done();
+                        return;
+                    }
+                    var tx = db.transaction('out-of-line-generated', 'readwrite');
+                    var store = tx.objectStore('out-of-line-generated');
+                    tx.onerror = done;
+
+                    // Property names which need escaping within reference paths
+                    var shared = {foo: 'bar'};
+                    var data = {'a"b': {'[0]': shared, '$': [shared]}};
+                    data.list = [data['a"b']['$'], shared];
+
+                    var saving = store[save](data);
+                    saving.onerror = done;
+                    saving.onsuccess = function () {
+                        var get = store.get(saving.result);
+                        get.onerror = done;
+                        get.onsuccess = function () {
+                            var result = get.result;
+                            expect(result.list[1]).to.deep.equal({foo: 'bar'});
+                            expect(result['a"b']['[0]']).to.equal(result.list[1]);
+                            expect(result['a"b']['$'][0]).to.equal(result.list[1]);
+                            expect(result.list[0]).to.equal(result['a"b']['$']);
+                        };
+                    };
+
+                    tx.oncomplete = function () {
+                        db.close();
+                        done();
+                    };
+                });
+            });
+
             it('should throw an error if no key is specified', function (done) {
                 util.createDatabase('out-of-line', function (err, db) {
                     var tx = db.transaction('out-of-line', 'readwrite');
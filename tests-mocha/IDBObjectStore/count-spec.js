@@ -0,0 +1,118 @@
+/* eslint-disable no-var */
+describe('IDBObjectStore.count', function () {
+    'use strict';
+
+    afterEach(function () {
+        if (env.backends) {
+            env.indexedDB.__setConfig('backend', undefined);
+        }
+    });
+
+    it('should count the records with the key or within the range', function (done) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            for (var i = 1; i <= 10; i++) {
+                store.add('value ' + i, i);
+            }
+            store.add('value a', 'a');
+
+            var all = store.count();
+            var nullKey = store.count(null);
+            var key = store.count(5);
+            var missingKey = store.count(11);
+            var stringKey = store.count('a');
+            var bound = store.count(IDBKeyRange.bound(3, 7, true, false));
+            var lowerBound = store.count(IDBKeyRange.lowerBound(9));
+            var upperBound = store.count(IDBKeyRange.upperBound(0));
+
+            expect(function () {
+                store.count({});
+            }).to['throw']().with.property('name', 'DataError');
+
+            tx.oncomplete = function () {
+                expect(all.result).to.equal(11);
+                expect(nullKey.result).to.equal(11);
+                expect(key.result).to.equal(1);
+                expect(missingKey.result).to.equal(0);
+                expect(stringKey.result).to.equal(1);
+                expect(bound.result).to.equal(4);
+                // Also counting the string key, which sorts above numbers
+                expect(lowerBound.result).to.equal(3);
+                expect(upperBound.result).to.equal(0);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    util.skipIf(!env.backends, 'should be counted by SQLite', function (done) {
+        var backend = env.backends.createWebSQLBackend(env.indexedDB.__getConfig('win'));
+        var statements = [];
+        function wrapTransaction (tx) {
+            var wrapped = {
+                executeSql: function (sql, args, successCallback, errorCallback) {
+                    statements.push(sql);
+                    tx.executeSql(sql, args, successCallback && function (tx, resultSet) {
+                        return successCallback(wrapped, resultSet);
+                    }, errorCallback && function (tx, err) {
+                        return errorCallback(wrapped, err);
+                    });
+                }
+            };
+            return wrapped;
+        }
+        env.indexedDB.__setConfig('backend', {
+            openDatabase: function (name, displayName, estimatedSize) {
+                var db = backend.openDatabase(name, displayName, estimatedSize);
+                return {
+                    transaction: function (callback, errorCallback, successCallback) {
+                        db.transaction(function (tx) {
+                            callback(wrapTransaction(tx));
+                        }, errorCallback, successCallback);
+                    },
+                    readTransaction: function (callback, errorCallback, successCallback) {
+                        db.readTransaction(function (tx) {
+                            callback(wrapTransaction(tx));
+                        }, errorCallback, successCallback);
+                    }
+                };
+            }
+        });
+
+        util.createDatabase('inline', 'inline-index', 'multi-entry-index', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('inline', 'readwrite');
+            var store = tx.objectStore('inline');
+            store.add({id: ['a', 'b']});
+            store.add({id: ['b', 'c']});
+            tx.oncomplete = function () {
+                statements = [];
+                var tx = db.transaction('inline');
+                var store = tx.objectStore('inline');
+                var storeCount = store.count(IDBKeyRange.lowerBound(['b']));
+                var indexCount = store.index('inline-index').count();
+                var multiEntryCount = store.index('multi-entry-index').count('b');
+                tx.oncomplete = function () {
+                    expect(storeCount.result).to.equal(1);
+                    expect(indexCount.result).to.equal(2);
+                    expect(multiEntryCount.result).to.equal(2);
+                    expect(statements).to.deep.equal([
+                        'SELECT COUNT(*) AS count FROM "s_inline" WHERE "key" >= ?',
+                        'SELECT COUNT(*) AS count FROM "s_inline" WHERE "_inline-index" NOT NULL',
+                        'SELECT COUNT(*) AS count FROM "e_inline" WHERE indexName = ? AND entry >= ? AND entry <= ?'
+                    ]);
+                    db.close();
+                    done();
+                };
+            };
+        });
+    });
+});
@@ -0,0 +1,134 @@
+/* eslint-disable no-var */
+describe('IDBObjectStore.getAll', function () {
+    'use strict';
+
+    it('should return an IDBRequest', function (done) {
+        util.createDatabase('inline', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('inline', 'readwrite');
+            tx.onerror = done;
+
+            var store = tx.objectStore('inline');
+            var getAll = store.getAll();
+
+            expect(getAll).to.be.an.instanceOf(IDBRequest);
+
+            tx.oncomplete = function () {
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should get all records in key order', function (done) {
+        util.createDatabase('inline', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('inline', 'readwrite');
+            tx.onerror = done;
+
+            var store = tx.objectStore('inline');
+            store.add({id: 3});
+            store.add({id: 'b'});
+            store.add({id: 1});
+            store.add({id: 'a'});
+            var getAll = store.getAll();
+
+            tx.oncomplete = function () {
+                expect(getAll.result).to.deep.equal([
+                    {id: 1}, {id: 3}, {id: 'a'}, {id: 'b'}
+                ]);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should get the records in a key range', function (done) {
+        util.createDatabase('inline', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('inline', 'readwrite');
+            tx.onerror = done;
+
+            var store = tx.objectStore('inline');
+            store.add({id: 1});
+            store.add({id: 2});
+            store.add({id: 3});
+            store.add({id: 4});
+            var getRange = store.getAll(IDBKeyRange.bound(2, 4, false, true));
+            var getKey = store.getAll(3);
+            var getNone = store.getAll(5);
+
+            tx.oncomplete = function () {
+                expect(getRange.result).to.deep.equal([{id: 2}, {id: 3}]);
+                expect(getKey.result).to.deep.equal([{id: 3}]);
+                expect(getNone.result).to.deep.equal([]);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should limit the number of records to `count`', function (done) {
+        util.createDatabase('inline', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('inline', 'readwrite');
+            tx.onerror = done;
+
+            var store = tx.objectStore('inline');
+            store.add({id: 1});
+            store.add({id: 2});
+            store.add({id: 3});
+            var getTwo = store.getAll(null, 2);
+            var getRange = store.getAll(IDBKeyRange.lowerBound(2), 1);
+            var getUnlimited = store.getAll(undefined, 0);
+
+            tx.oncomplete = function () {
+                expect(getTwo.result).to.deep.equal([{id: 1}, {id: 2}]);
+                expect(getRange.result).to.deep.equal([{id: 2}]);
+                expect(getUnlimited.result).to.have.lengthOf(3);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should throw a TypeError if `count` is out of range', function (done) {
+        util.createDatabase('inline', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('inline', 'readwrite');
+            tx.onerror = done;
+
+            var store = tx.objectStore('inline');
+            [-1, NaN, Infinity, 4294967296].forEach(function (count) {
+                expect(function () {
+                    store.getAll(null, count);
+                }).to.throw(TypeError);
+            });
+
+            tx.oncomplete = function () {
+                db.close();
+                done();
+            };
+        });
+    });
+});
@@ -0,0 +1,56 @@
+/* eslint-disable no-var */
+describe('IDBObjectStore.getAllKeys', function () {
+    'use strict';
+
+    it('should get all keys in order', function (done) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            tx.onerror = done;
+
+            var store = tx.objectStore('out-of-line');
+            store.add('c', [1]);
+            store.add('a', 'a');
+            store.add('b', 2);
+            store.add('d', 1);
+            var getAllKeys = store.getAllKeys();
+
+            tx.oncomplete = function () {
+                expect(getAllKeys.result).to.deep.equal([1, 2, 'a', [1]]);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should get the keys in a key range, limited to `count`', function (done) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            tx.onerror = done;
+
+            var store = tx.objectStore('out-of-line');
+            store.add('a', 1);
+            store.add('b', 2);
+            store.add('c', 3);
+            store.add('d', 4);
+            var getRange = store.getAllKeys(IDBKeyRange.lowerBound(1, true));
+            var getCount = store.getAllKeys(IDBKeyRange.lowerBound(1, true), 2);
+
+            tx.oncomplete = function () {
+                expect(getRange.result).to.deep.equal([2, 3, 4]);
+                expect(getCount.result).to.deep.equal([2, 3]);
+                db.close();
+                done();
+            };
+        });
+    });
+});
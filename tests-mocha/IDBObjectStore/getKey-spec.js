@@ -0,0 +1,63 @@
+/* eslint-disable no-var */
+describe('IDBObjectStore.getKey', function () {
+    'use strict';
+
+    it('should get the first key in a key range', function (done) {
+        util.createDatabase('inline', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('inline', 'readwrite');
+            tx.onerror = done;
+
+            var store = tx.objectStore('inline');
+            store.add({id: 1});
+            store.add({id: 3});
+            store.add({id: 2});
+            var getKey = store.getKey(IDBKeyRange.lowerBound(1, true));
+            var getOnly = store.getKey(3);
+            var getNone = store.getKey(4);
+
+            tx.oncomplete = function () {
+                expect(getKey.result).to.equal(2);
+                expect(getOnly.result).to.equal(3);
+                expect(getNone.result).equal(undefined);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should throw an error if called without a key or range', function (done) {
+        util.createDatabase('inline', function (err, db) {
+            if (err) {
+                expect(function () { throw err; }).to.not.throw(Error);
+                done();
+                return;
+            }
+            var tx = db.transaction('inline', 'readwrite');
+            tx.onerror = done;
+
+            var store = tx.objectStore('inline');
+            expect(function () {
+                store.getKey();
+            }).to.throw(TypeError);
+
+            var error;
+            try {
+                store.getKey(null);
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.an.instanceOf(env.DOMException);
+            expect(error.name).to.equal('DataError');
+
+            tx.oncomplete = function () {
+                db.close();
+                done();
+            };
+        });
+    });
+});
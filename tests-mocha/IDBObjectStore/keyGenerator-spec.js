@@ -0,0 +1,209 @@
+/* eslint-disable no-var */
+describe('IDBObjectStore key generator', function () {
+    'use strict';
+
+    afterEach(function () {
+        if (env.backends) {
+            env.indexedDB.__setConfig('backend', undefined);
+        }
+    });
+
+    /**
+     * Adds the values in a new transaction, calling back with the keys (or
+     *   aborting the transaction once they are added)
+     */
+    function addValues (db, values, abort, callback) {
+        var tx = db.transaction('out-of-line-generated', 'readwrite');
+        var store = tx.objectStore('out-of-line-generated');
+        var requests = values.map(function (value) {
+            return value.length ? store.add(value[0], value[1]) : store.add(value);
+        });
+        if (abort) {
+            requests[requests.length - 1].onsuccess = function () {
+                tx.abort();
+            };
+            tx.onabort = function () {
+                callback();
+            };
+            return;
+        }
+        tx.oncomplete = function () {
+            callback(requests.map(function (request) {
+                return request.result;
+            }));
+        };
+    }
+
+    it('should continue from the keys of previous transactions', function (done) {
+        util.createDatabase('out-of-line-generated', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            addValues(db, ['a', 'b', ['c', 10], ['d', 5.5], 'e'], false, function (keys) {
+                expect(keys).to.deep.equal([1, 2, 10, 5.5, 11]);
+                addValues(db, ['f', ['g', 20.5], 'h'], false, function (keys) {
+                    expect(keys).to.deep.equal([12, 20.5, 21]);
+                    db.close();
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should restore the key generator when the transaction aborts', function (done) {
+        util.createDatabase('out-of-line-generated', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            addValues(db, ['a', 'b'], false, function () {
+                addValues(db, ['c', ['d', 100], 'e'], true, function () {
+                    addValues(db, ['f'], false, function (keys) {
+                        expect(keys).to.deep.equal([3]);
+                        db.close();
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('should start a new key generator for a recreated object store', function (done) {
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var open = env.indexedDB.open(dbName, 1);
+            var keys = [];
+            open.onerror = open.onblocked = done;
+            open.onupgradeneeded = function () {
+                var db = open.result;
+                db.createObjectStore('store', {autoIncrement: true}).add('a').onsuccess = function (e) {
+                    keys.push(e.target.result);
+                    db.deleteObjectStore('store');
+                    db.createObjectStore('store', {autoIncrement: true}).add('b').onsuccess = function (e) {
+                        keys.push(e.target.result);
+                    };
+                };
+            };
+            open.onsuccess = function () {
+                var db = open.result;
+                var tx = db.transaction('store', 'readwrite');
+                var add = tx.objectStore('store').add('c');
+                tx.oncomplete = function () {
+                    expect(keys).to.deep.equal([1, 1]);
+                    expect(add.result).to.equal(2);
+                    db.close();
+                    done();
+                };
+            };
+        });
+    });
+
+    it('should continue the key generator of a renamed object store', function (done) {
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var open = env.indexedDB.open(dbName, 1);
+            var keys = [];
+            open.onerror = open.onblocked = done;
+            open.onupgradeneeded = function () {
+                var store = open.result.createObjectStore('store', {autoIncrement: true});
+                store.put('a').onsuccess = function (e) {
+                    keys.push(e.target.result);
+                    store.name = 'renamed';
+                    store.put('b').onsuccess = function (e) {
+                        keys.push(e.target.result);
+                    };
+                };
+            };
+            open.onsuccess = function () {
+                open.result.close();
+                var open2 = env.indexedDB.open(dbName);
+                open2.onerror = open2.onblocked = done;
+                open2.onsuccess = function () {
+                    var db = open2.result;
+                    var tx = db.transaction('renamed', 'readwrite');
+                    var store = tx.objectStore('renamed');
+                    store.put('c').onsuccess = function (e) {
+                        keys.push(e.target.result);
+                    };
+                    var getAll = store.getAll();
+                    tx.oncomplete = function () {
+                        expect(keys).to.deep.equal([1, 2, 3]);
+                        expect(getAll.result).to.deep.equal(['a', 'b', 'c']);
+                        db.close();
+                        done();
+                    };
+                };
+            };
+        });
+    });
+
+    util.skipIf(!env.backends, 'should read and write the key generator once per transaction', function (done) {
+        var backend = env.backends.createWebSQLBackend(env.indexedDB.__getConfig('win'));
+        var statements = [];
+        function wrapTransaction (tx) {
+            var wrapped = {
+                executeSql: function (sql, args, successCallback, errorCallback) {
+                    if ((/currNum/).test(sql)) {
+                        statements.push(sql);
+                    }
+                    tx.executeSql(sql, args, successCallback && function (tx, resultSet) {
+                        return successCallback(wrapped, resultSet);
+                    }, errorCallback && function (tx, err) {
+                        return errorCallback(wrapped, err);
+                    });
+                }
+            };
+            return wrapped;
+        }
+        env.indexedDB.__setConfig('backend', {
+            openDatabase: function (name, displayName, estimatedSize) {
+                var db = backend.openDatabase(name, displayName, estimatedSize);
+                return {
+                    transaction: function (callback, errorCallback, successCallback) {
+                        db.transaction(function (tx) {
+                            callback(wrapTransaction(tx));
+                        }, errorCallback, successCallback);
+                    },
+                    readTransaction: function (callback, errorCallback, successCallback) {
+                        db.readTransaction(function (tx) {
+                            callback(wrapTransaction(tx));
+                        }, errorCallback, successCallback);
+                    }
+                };
+            }
+        });
+
+        util.createDatabase('out-of-line-generated', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            statements = [];
+            addValues(db, ['a', 'b', ['c', 10], 'd'], false, function (keys) {
+                expect(keys).to.deep.equal([1, 2, 10, 11]);
+                expect(statements).to.deep.equal([
+                    'SELECT currNum FROM __sys__ WHERE name = ?',
+                    'UPDATE __sys__ SET currNum = ? WHERE name = ?'
+                ]);
+
+                // The key generator need not be written back if unchanged
+                statements = [];
+                addValues(db, [['e', 5]], false, function (keys) {
+                    expect(keys).to.deep.equal([5]);
+                    expect(statements).to.deep.equal([
+                        'SELECT currNum FROM __sys__ WHERE name = ?'
+                    ]);
+                    db.close();
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,144 @@
+/* eslint-disable no-var */
+describe('IDBObjectStore.name', function () {
+    'use strict';
+
+    var indexedDB;
+    beforeEach(function () {
+        indexedDB = env.indexedDB;
+    });
+
+    function getAllFromIndex (store, indexName, query, callback) {
+        var index = store.index(indexName);
+        var results = {};
+        index.count(query).onsuccess = function (e) {
+            results.count = e.target.result;
+        };
+        index.getAllKeys(query).onsuccess = function (e) {
+            results.keys = e.target.result;
+            callback(results);
+        };
+    }
+
+    it('should rename an object store along with the entries of its multi-entry indexes', function (done) {
+        util.generateDatabaseName(function (err, name) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var open = indexedDB.open(name, 1);
+            open.onerror = open.onblocked = done;
+            open.onupgradeneeded = function () {
+                var store = open.result.createObjectStore('old');
+                store.createIndex('tags', 'tags', {multiEntry: true});
+                store.createIndex('name', 'name');
+                store.add({name: 'x', tags: ['a', 'b']}, 1);
+                store.add({name: 'y', tags: ['a']}, 2);
+            };
+            open.onsuccess = function () {
+                open.result.close();
+                var open2 = indexedDB.open(name, 2);
+                open2.onerror = open2.onblocked = done;
+                open2.onupgradeneeded = function () {
+                    var store = open2.transaction.objectStore('old');
+                    store.name = 'new';
+                    expect(store.name).to.equal('new');
+                    expect(Array.prototype.slice.call(open2.result.objectStoreNames)).to.deep.equal(['new']);
+                    expect(open2.transaction.objectStore('new')).to.equal(store);
+                    store.add({name: 'z', tags: ['b']}, 3);
+                };
+                open2.onsuccess = function () {
+                    open2.result.close();
+                    var open3 = indexedDB.open(name);
+                    open3.onerror = open3.onblocked = done;
+                    open3.onsuccess = function () {
+                        var db = open3.result;
+                        expect(Array.prototype.slice.call(db.objectStoreNames)).to.deep.equal(['new']);
+                        var store = db.transaction('new').objectStore('new');
+                        getAllFromIndex(store, 'tags', 'b', function (results) {
+                            expect(results).to.deep.equal({count: 2, keys: [1, 3]});
+                            store.index('name').getKey('y').onsuccess = function (e) {
+                                expect(e.target.result).to.equal(2);
+                                db.close();
+                                done();
+                            };
+                        });
+                    };
+                };
+            };
+        });
+    });
+
+    it('should rename an object store created in the same transaction', function (done) {
+        util.generateDatabaseName(function (err, name) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var open = indexedDB.open(name, 1);
+            open.onerror = open.onblocked = done;
+            open.onupgradeneeded = function () {
+                var store = open.result.createObjectStore('old', {autoIncrement: true});
+                store.createIndex('tags', 'tags', {multiEntry: true});
+                store.name = 'new';
+                store.add({tags: ['a', 'b']});
+                store.add({tags: ['a']});
+            };
+            open.onsuccess = function () {
+                open.result.close();
+                var open2 = indexedDB.open(name);
+                open2.onerror = open2.onblocked = done;
+                open2.onsuccess = function () {
+                    var db = open2.result;
+                    expect(Array.prototype.slice.call(db.objectStoreNames)).to.deep.equal(['new']);
+                    var store = db.transaction('new').objectStore('new');
+                    expect(Array.prototype.slice.call(store.indexNames)).to.deep.equal(['tags']);
+                    getAllFromIndex(store, 'tags', 'a', function (results) {
+                        expect(results).to.deep.equal({count: 2, keys: [1, 2]});
+                        db.close();
+                        done();
+                    });
+                };
+            };
+        });
+    });
+
+    it('should restore the name of a renamed object store if the upgrade is aborted', function (done) {
+        util.generateDatabaseName(function (err, name) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var open = indexedDB.open(name, 1);
+            open.onerror = open.onblocked = done;
+            open.onupgradeneeded = function () {
+                var store = open.result.createObjectStore('old');
+                store.createIndex('tags', 'tags', {multiEntry: true});
+                store.add({tags: ['a', 'b']}, 1);
+            };
+            open.onsuccess = function () {
+                open.result.close();
+                var open2 = indexedDB.open(name, 2);
+                open2.onblocked = done;
+                open2.onupgradeneeded = function () {
+                    var store = open2.transaction.objectStore('old');
+                    store.name = 'new';
+                    store.transaction.abort();
+                };
+                open2.onerror = function (e) {
+                    e.preventDefault();
+                    var open3 = indexedDB.open(name);
+                    open3.onerror = open3.onblocked = done;
+                    open3.onsuccess = function () {
+                        var db = open3.result;
+                        expect(Array.prototype.slice.call(db.objectStoreNames)).to.deep.equal(['old']);
+                        getAllFromIndex(db.transaction('old').objectStore('old'), 'tags', 'b', function (results) {
+                            expect(results).to.deep.equal({count: 1, keys: [1]});
+                            db.close();
+                            done();
+                        });
+                    };
+                };
+            };
+        });
+    });
+});
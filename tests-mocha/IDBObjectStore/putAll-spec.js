@@ -0,0 +1,402 @@
+/* eslint-disable no-var */
+describe('IDBObjectStore.putAll and addAll', function () {
+    'use strict';
+
+    afterEach(function () {
+        if (env.backends) {
+            env.indexedDB.__setConfig('backend', undefined);
+        }
+    });
+
+    /**
+     * Calls back with the keys and values of the object store (in a new transaction)
+     */
+    function getRecords (db, storeName, callback) {
+        var tx = db.transaction(storeName);
+        var keys = tx.objectStore(storeName).getAllKeys();
+        var values = tx.objectStore(storeName).getAll();
+        tx.oncomplete = function () {
+            callback(keys.result, values.result);
+        };
+    }
+
+    /**
+     * Sets a backend recording the SQL of the statements it executes
+     * @param {function} [fail] Passed the SQL of each statement, returning
+     *   whether the statement is to fail
+     * @returns {string[]}
+     */
+    function recordStatements (fail) {
+        var backend = env.backends.createWebSQLBackend(env.indexedDB.__getConfig('win'));
+        var statements = [];
+        function wrapTransaction (tx) {
+            var wrapped = {
+                executeSql: function (sql, args, successCallback, errorCallback) {
+                    statements.push(sql);
+                    if (fail && fail(sql)) {
+                        sql = 'SELECT * FROM __missing__';
+                        args = [];
+                    }
+                    tx.executeSql(sql, args, successCallback && function (tx, resultSet) {
+                        return successCallback(wrapped, resultSet);
+                    }, errorCallback && function (tx, err) {
+                        return errorCallback(wrapped, err);
+                    });
+                }
+            };
+            return wrapped;
+        }
+        env.indexedDB.__setConfig('backend', {
+            openDatabase: function (name, displayName, estimatedSize) {
+                var db = backend.openDatabase(name, displayName, estimatedSize);
+                return {
+                    transaction: function (callback, errorCallback, successCallback) {
+                        db.transaction(function (tx) {
+                            callback(wrapTransaction(tx));
+                        }, errorCallback, successCallback);
+                    },
+                    readTransaction: function (callback, errorCallback, successCallback) {
+                        db.readTransaction(function (tx) {
+                            callback(wrapTransaction(tx));
+                        }, errorCallback, successCallback);
+                    }
+                };
+            }
+        });
+        return statements;
+    }
+
+    util.skipIf(!env.isShimmed, 'should store the records in a single request', function (done) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            store.add('old', 2);
+            var putAll = store.putAll(['a', 'b', {c: new Date(2017, 0, 1)}], [3, 2, 1]);
+            var successes = 0;
+            putAll.onsuccess = function () {
+                successes++;
+            };
+            tx.oncomplete = function () {
+                expect(successes).to.equal(1);
+                expect(putAll.source).to.equal(store);
+                expect(putAll.result).to.deep.equal([3, 2, 1]);
+                getRecords(db, 'out-of-line', function (keys, values) {
+                    expect(keys).to.deep.equal([1, 2, 3]);
+                    expect(values[0].c).to.be.an.instanceOf(Date);
+                    expect(values.slice(1)).to.deep.equal(['b', 'a']);
+                    db.close();
+                    done();
+                });
+            };
+        });
+    });
+
+    util.skipIf(!env.isShimmed, 'should generate keys', function (done) {
+        util.createDatabase('inline-generated', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('inline-generated', 'readwrite');
+            var store = tx.objectStore('inline-generated');
+            var first = store.addAll([{name: 'a'}, {name: 'b'}, {id: 10, name: 'c'}, {name: 'd'}]);
+            var second = store.addAll([{name: 'e'}]);
+            var third = store.addAll([]);
+            tx.oncomplete = function () {
+                expect(first.result).to.deep.equal([1, 2, 10, 11]);
+                expect(second.result).to.deep.equal([12]);
+                expect(third.result).to.deep.equal([]);
+                getRecords(db, 'inline-generated', function (keys, values) {
+                    expect(keys).to.deep.equal([1, 2, 10, 11, 12]);
+                    expect(values.map(function (value) {
+                        return value.id;
+                    })).to.deep.equal(keys);
+                    db.close();
+                    done();
+                });
+            };
+        });
+    });
+
+    util.skipIf(!env.isShimmed, 'should set generated keys along the key paths of the values', function (done) {
+        util.createDatabase('dotted-generated', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var shared = {last: 'b'};
+            var tx = db.transaction('dotted-generated', 'readwrite');
+            var addAll = tx.objectStore('dotted-generated').addAll([
+                {id: 'a'},
+                {name: {last: 'c'}, date: new Date(0)},
+                // The key path runs through an object referenced by an earlier property
+                {other: shared, name: shared}
+            ]);
+            tx.oncomplete = function () {
+                expect(addAll.result).to.deep.equal([1, 2, 3]);
+                expect(shared).to.deep.equal({last: 'b'});
+                getRecords(db, 'dotted-generated', function (keys, values) {
+                    expect(keys).to.deep.equal([1, 2, 3]);
+                    expect(values[0]).to.deep.equal({id: 'a', name: {first: 1}});
+                    expect(values[1]).to.deep.equal({name: {last: 'c', first: 2}, date: new Date(0)});
+                    expect(values[2].name).to.deep.equal({last: 'b', first: 3});
+                    expect(values[2].other).to.equal(values[2].name);
+                    db.close();
+                    done();
+                });
+            };
+        });
+    });
+
+    util.skipIf(!env.isShimmed, 'should fail adding existing records', function (done) {
+        util.createDatabase('out-of-line-generated', 'unique-index', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line-generated', 'readwrite');
+            var store = tx.objectStore('out-of-line-generated');
+            var addAll = store.addAll([{id: 'a'}, {id: 'b'}, {id: 'a'}]);
+            tx.onabort = function () {
+                expect(addAll.error.name).to.equal('ConstraintError');
+                getRecords(db, 'out-of-line-generated', function (keys) {
+                    expect(keys).to.deep.equal([]);
+
+                    var tx = db.transaction('out-of-line-generated', 'readwrite');
+                    var store = tx.objectStore('out-of-line-generated');
+                    store.add({id: 'z'}, 5);
+                    var duplicate = store.addAll([{id: 'x'}, {id: 'y'}], [undefined, 5]);
+                    duplicate.onerror = function (e) {
+                        e.preventDefault();
+                    };
+                    var next = store.add({id: 'w'});
+                    tx.oncomplete = function () {
+                        expect(duplicate.error.name).to.equal('ConstraintError');
+                        // None of the records are added (nor keys generated for them)
+                        expect(next.result).to.equal(6);
+                        getRecords(db, 'out-of-line-generated', function (keys) {
+                            expect(keys).to.deep.equal([5, 6]);
+                            db.close();
+                            done();
+                        });
+                    };
+                });
+            };
+        });
+    });
+
+    util.skipIf(!env.isShimmed, 'should validate all records before placing the request', function (done) {
+        util.createDatabase('inline', 'out-of-line', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction(['inline', 'out-of-line'], 'readwrite');
+            var inline = tx.objectStore('inline');
+            var outOfLine = tx.objectStore('out-of-line');
+            expect(function () {
+                inline.putAll({id: 1});
+            }).to['throw'](TypeError);
+            expect(function () {
+                outOfLine.putAll(['a', 'b'], [1]);
+            }).to['throw'](TypeError);
+            expect(function () {
+                inline.putAll([{id: 1}, {id: 2}], [1, 2]);
+            }).to['throw']().with.property('name', 'DataError');
+            expect(function () {
+                inline.putAll([{id: 1}, {name: 'no key'}]);
+            }).to['throw']().with.property('name', 'DataError');
+            expect(function () {
+                outOfLine.addAll(['a', 'b'], [1, {}]);
+            }).to['throw']().with.property('name', 'DataError');
+            expect(function () {
+                db.transaction('inline').objectStore('inline').putAll([{id: 1}]);
+            }).to['throw']().with.property('name', 'ReadOnlyError');
+            tx.oncomplete = function () {
+                getRecords(db, 'inline', function (keys) {
+                    expect(keys).to.deep.equal([]);
+                    db.close();
+                    done();
+                });
+            };
+        });
+    });
+
+    util.skipIf(!env.backends, 'should read and update the key generator once', function (done) {
+        var statements = recordStatements();
+        util.createDatabase('inline-generated', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            statements.length = 0;
+            var values = [];
+            for (var i = 0; i < 100; i++) {
+                values.push({name: 'record ' + i});
+            }
+            var tx = db.transaction('inline-generated', 'readwrite');
+            var putAll = tx.objectStore('inline-generated').putAll(values);
+            tx.oncomplete = function () {
+                expect(putAll.result.length).to.equal(100);
+                expect(putAll.result[99]).to.equal(100);
+                expect(statements.filter(function (sql) {
+                    return (/currNum/).test(sql);
+                })).to.deep.equal([
+                    'SELECT currNum FROM __sys__ WHERE name = ?',
+                    'UPDATE __sys__ SET currNum = ? WHERE name = ?'
+                ]);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    util.skipIf(!env.isShimmed, 'should store none of the records if one violates a unique index', function (done) {
+        util.createDatabase('out-of-line', 'unique-index', 'unique-multi-entry-index', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            store.add({id: 'a'}, 1);
+            store.add({id: ['b', 'c']}, 2);
+            // The first record replaces one with the same entries, the third conflicts with it
+            var putAll = store.putAll([{id: ['b', 'c', 'd']}, {id: 'e'}, {id: ['f', 'c']}, {id: 'g'}], [2, 3, 4, 5]);
+            putAll.onerror = function (e) {
+                e.preventDefault();
+            };
+            tx.oncomplete = function () {
+                expect(putAll.error.name).to.equal('ConstraintError');
+                getRecords(db, 'out-of-line', function (keys, values) {
+                    expect(keys).to.deep.equal([1, 2]);
+                    expect(values).to.deep.equal([{id: 'a'}, {id: ['b', 'c']}]);
+
+                    var tx = db.transaction('out-of-line');
+                    var index = tx.objectStore('out-of-line').index('unique-multi-entry-index');
+                    var counts = ['c', 'd', 'f', 'g'].map(function (key) {
+                        return index.count(key);
+                    });
+                    var allKeys = index.getAllKeys();
+                    tx.oncomplete = function () {
+                        expect(counts.map(function (count) {
+                            return count.result;
+                        })).to.deep.equal([1, 0, 0, 0]);
+                        expect(allKeys.result).to.deep.equal([1, 2, 2]);
+                        db.close();
+                        done();
+                    };
+                });
+            };
+        });
+    });
+
+    util.skipIf(!env.backends, 'should replace the records without deleting them one by one', function (done) {
+        var statements = recordStatements();
+        util.createDatabase('out-of-line', 'multi-entry-index', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var values = [];
+            var keys = [];
+            for (var i = 0; i < 10; i++) {
+                store.add({id: ['old', i]}, i);
+                values.push({id: ['new', i]});
+                keys.push(i);
+            }
+            tx.oncomplete = function () {
+                statements.length = 0;
+                var tx = db.transaction('out-of-line', 'readwrite');
+                var store = tx.objectStore('out-of-line');
+                store.putAll(values, keys);
+                var oldCount = store.index('multi-entry-index').count('old');
+                var newCount = store.index('multi-entry-index').count('new');
+                tx.oncomplete = function () {
+                    var inserts = statements.filter(function (sql) {
+                        return (/^INSERT OR REPLACE INTO "s_out-of-line"/).test(sql);
+                    });
+                    expect(inserts.length).to.equal(10);
+                    expect(inserts.filter(function (sql, i) {
+                        return inserts.indexOf(sql) === i;
+                    }).length).to.equal(1);
+                    expect(statements.filter(function (sql) {
+                        return (/^DELETE/).test(sql);
+                    }).length).to.equal(1);
+                    expect(oldCount.result).to.equal(0);
+                    expect(newCount.result).to.equal(10);
+                    db.close();
+                    done();
+                };
+            };
+        });
+    });
+
+    util.skipIf(!env.backends, 'should check the unique indexes of all of the records at once', function (done) {
+        var statements = recordStatements();
+        util.createDatabase('out-of-line', 'unique-index', 'unique-multi-entry-index', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            statements.length = 0;
+            var values = [];
+            var keys = [];
+            for (var i = 0; i < 10; i++) {
+                values.push({id: ['entry ' + i, i]});
+                keys.push(i);
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var putAll = tx.objectStore('out-of-line').putAll(values, keys);
+            tx.oncomplete = function () {
+                expect(putAll.result).to.deep.equal(keys);
+                // A query for each unique index (against the entries of the multiEntry one)
+                expect(statements.filter(function (sql) {
+                    return (/^SELECT/).test(sql);
+                })).to.have.lengthOf(2);
+                expect(statements.filter(function (sql) {
+                    return (/LIKE/).test(sql);
+                })).to.deep.equal([]);
+                db.close();
+                done();
+            };
+        });
+    });
+
+    util.skipIf(!env.backends, 'should abort the transaction if writing the records fails', function (done) {
+        var inserts = 0;
+        recordStatements(function (sql) {
+            return (/^INSERT OR REPLACE INTO "s_out-of-line"/).test(sql) && ++inserts === 2;
+        });
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var putAll = tx.objectStore('out-of-line').putAll(['a', 'b', 'c'], [1, 2, 3]);
+            putAll.onerror = function (e) {
+                // The abort cannot be prevented
+                e.preventDefault();
+            };
+            tx.oncomplete = function () {
+                done(new Error('The transaction should have aborted'));
+            };
+            tx.onabort = function () {
+                expect(putAll.error.name).to.equal('AbortError');
+                expect(tx.error).to.be.an.instanceOf(env.DOMException);
+                getRecords(db, 'out-of-line', function (keys) {
+                    expect(keys).to.deep.equal([]);
+                    db.close();
+                    done();
+                });
+            };
+        });
+    });
+});
@@ -0,0 +1,255 @@
+/* eslint-disable no-var */
+describe('IDBTransaction.abort', function () {
+    'use strict';
+
+    afterEach(function () {
+        if (env.backends) {
+            env.indexedDB.__setConfig('backend', undefined);
+        }
+    });
+
+    /**
+     * Calls back with the values of the object store (in a new transaction)
+     */
+    function getAll (db, storeName, callback) {
+        var tx = db.transaction(storeName);
+        var values = [];
+        tx.objectStore(storeName).openCursor().onsuccess = function (e) {
+            var cursor = e.target.result;
+            if (cursor) {
+                values.push(cursor.value);
+                cursor['continue']();
+            }
+        };
+        tx.oncomplete = function () {
+            callback(values);
+        };
+    }
+
+    /**
+     * Like WebSQL, only allows statements to be queued from within its
+     *   callbacks (and none for which `isDisallowed` returns true)
+     * @returns {function} Whether a callback is running
+     */
+    function useCallbackOnlyBackend (isDisallowed) {
+        var backend = env.backends.createWebSQLBackend(env.indexedDB.__getConfig('win'));
+        var inCallback = false;
+        function withinCallback (callback) {
+            return callback && function () {
+                inCallback = true;
+                try {
+                    return callback.apply(this, arguments);
+                } finally {
+                    inCallback = false;
+                }
+            };
+        }
+        function wrapTransaction (tx) {
+            var wrapped = {
+                executeSql: function (sql, args, successCallback, errorCallback) {
+                    if (!inCallback || (isDisallowed && isDisallowed(sql))) {
+                        throw new Error('SQL execution is disallowed');
+                    }
+                    tx.executeSql(sql, args, withinCallback(successCallback && function (tx, resultSet) {
+                        return successCallback(wrapped, resultSet);
+                    }), withinCallback(errorCallback && function (tx, err) {
+                        return errorCallback(wrapped, err);
+                    }));
+                }
+            };
+            return wrapped;
+        }
+        env.indexedDB.__setConfig('backend', {
+            openDatabase: function (name, displayName, estimatedSize) {
+                var db = backend.openDatabase(name, displayName, estimatedSize);
+                return {
+                    transaction: function (callback, errorCallback, successCallback) {
+                        db.transaction(withinCallback(function (tx) {
+                            callback(wrapTransaction(tx));
+                        }), errorCallback, successCallback);
+                    },
+                    readTransaction: function (callback, errorCallback, successCallback) {
+                        db.readTransaction(withinCallback(function (tx) {
+                            callback(wrapTransaction(tx));
+                        }), errorCallback, successCallback);
+                    }
+                };
+            }
+        });
+        return function () {
+            return inCallback;
+        };
+    }
+
+    it('should roll back the writes of the transaction', function (done) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            store.add('a', 1);
+            store.add('b', 2).onsuccess = function () {
+                tx.abort();
+            };
+            tx.oncomplete = function () {
+                done(new Error('The transaction should have been aborted'));
+            };
+            tx.onabort = function () {
+                getAll(db, 'out-of-line', function (values) {
+                    expect(values).to.deep.equal([]);
+                    db.close();
+                    done();
+                });
+            };
+        });
+    });
+
+    it('should roll back the key generator', function (done) {
+        util.createDatabase('out-of-line-generated', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line-generated', 'readwrite');
+            var store = tx.objectStore('out-of-line-generated');
+            store.add('a');
+            store.add('b').onsuccess = function () {
+                tx.abort();
+            };
+            tx.onabort = function () {
+                var tx = db.transaction('out-of-line-generated', 'readwrite');
+                var add = tx.objectStore('out-of-line-generated').add('c');
+                tx.oncomplete = function () {
+                    expect(add.result).to.equal(1);
+                    db.close();
+                    done();
+                };
+            };
+        });
+    });
+
+    it('should roll back the writes preceding a failed request', function (done) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            store.add('a', 1);
+            var duplicate = store.add('b', 1);
+            tx.onabort = function () {
+                expect(duplicate.error.name).to.equal('ConstraintError');
+                getAll(db, 'out-of-line', function (values) {
+                    expect(values).to.deep.equal([]);
+                    db.close();
+                    done();
+                });
+            };
+        });
+    });
+
+    util.skipIf(!env.backends, 'should roll back when aborted outside of the WebSQL callbacks', function (done) {
+        var isInCallback = useCallbackOnlyBackend();
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            store.add('a', 1).onsuccess = function () {
+                store.add('b', 2);
+                Promise.resolve().then(function () {
+                    expect(isInCallback()).to.equal(false);
+                    tx.abort();
+                });
+            };
+            tx.oncomplete = function () {
+                done(new Error('The transaction should have been aborted'));
+            };
+            tx.onabort = function () {
+                getAll(db, 'out-of-line', function (values) {
+                    expect(values).to.deep.equal([]);
+                    db.close();
+                    done();
+                });
+            };
+        });
+    });
+
+    util.skipIf(!env.backends || !env.promises, 'should roll back when aborted after the last request has finished', function (done) {
+        useCallbackOnlyBackend();
+        util.createDatabase('out-of-line', function (err, rawDB) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var db = new env.promises.PromiseDatabase(rawDB);
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            store.put('a', 1).then(function () {
+                return store.put('b', 2);
+            }).then(function () {
+                tx.abort();
+                return tx.complete;
+            }).then(function () {
+                done(new Error('The transaction should have been aborted'));
+            }, function (err) {
+                expect(err.name).to.equal('AbortError');
+                getAll(rawDB, 'out-of-line', function (values) {
+                    expect(values).to.deep.equal([]);
+                    rawDB.close();
+                    done();
+                });
+            })['catch'](done);
+        });
+    });
+
+    util.skipIf(!env.backends, 'should roll back when aborted while no statement is pending', function (done) {
+        useCallbackOnlyBackend();
+        util.createDatabase('out-of-line-generated', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var dbName = db.name;
+            var tx = db.transaction('out-of-line-generated', 'readwrite');
+            var store = tx.objectStore('out-of-line-generated');
+            store.add('a');
+            store.add('b');
+            // A step awaiting something other than SQL (as when reading a `Blob`),
+            //   during which the transaction is aborted from a timer
+            tx.__addNonRequestToTransactionQueue(function () {
+                setTimeout(function () {
+                    tx.abort();
+                }, 10);
+            });
+            tx.oncomplete = function () {
+                done(new Error('The transaction should have been aborted'));
+            };
+            tx.onabort = function () {
+                expect(tx.error).to.equal(null);
+                db.close();
+                var open = env.indexedDB.open(dbName);
+                open.onerror = done;
+                open.onsuccess = function () {
+                    var db = open.result;
+                    var tx = db.transaction('out-of-line-generated', 'readwrite');
+                    var store = tx.objectStore('out-of-line-generated');
+                    var keys = store.getAllKeys();
+                    var add = store.add('c');
+                    tx.oncomplete = function () {
+                        expect(keys.result).to.deep.equal([]);
+                        // The key generator should begin anew
+                        expect(add.result).to.equal(1);
+                        db.close();
+                        done();
+                    };
+                };
+            };
+        });
+    });
+});
@@ -0,0 +1,191 @@
+/* eslint-disable no-var */
+describe('IDBTransaction.commit', function () {
+    'use strict';
+
+    it('should complete once the pending requests have finished', function (done) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var events = [];
+            store.add('a', 1).onsuccess = function () {
+                events.push('add 1');
+            };
+            store.add('b', 2).onsuccess = function () {
+                events.push('add 2');
+            };
+            tx.commit();
+            tx.oncomplete = function () {
+                events.push('complete');
+                expect(events).to.deep.equal(['add 1', 'add 2', 'complete']);
+
+                var get = db.transaction('out-of-line').objectStore('out-of-line').getAll();
+                get.onsuccess = function () {
+                    expect(get.result).to.deep.equal(['a', 'b']);
+                    db.close();
+                    done();
+                };
+            };
+        });
+    });
+
+    it('should complete a transaction without requests', function (done) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            tx.commit();
+            tx.onabort = function () {
+                done(new Error('The transaction should not have been aborted'));
+            };
+            tx.oncomplete = function () {
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should not allow requests to be placed once committing', function (done) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            var put = store.put('a', 1);
+            tx.commit();
+
+            // The object store may still be obtained
+            expect(tx.objectStore('out-of-line')).to.equal(store);
+            expect(function () {
+                store.put('b', 2);
+            }).to['throw']().with.property('name', 'TransactionInactiveError');
+
+            var laterErr;
+            put.onsuccess = function () {
+                try {
+                    store.put('c', 3);
+                } catch (e) {
+                    laterErr = e;
+                }
+            };
+            tx.oncomplete = function () {
+                expect(laterErr.name).to.equal('TransactionInactiveError');
+                var count = db.transaction('out-of-line').objectStore('out-of-line').count();
+                count.onsuccess = function () {
+                    expect(count.result).to.equal(1);
+                    db.close();
+                    done();
+                };
+            };
+        });
+    });
+
+    it('should throw if the transaction is committing or finished', function (done) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            tx.objectStore('out-of-line').put('a', 1);
+            tx.commit();
+            expect(function () {
+                tx.commit();
+            }).to['throw']().with.property('name', 'InvalidStateError');
+            expect(function () {
+                tx.abort();
+            }).to['throw']().with.property('name', 'InvalidStateError');
+
+            var abortedTx = db.transaction('out-of-line', 'readwrite');
+            abortedTx.abort();
+            expect(function () {
+                abortedTx.commit();
+            }).to['throw']().with.property('name', 'InvalidStateError');
+
+            tx.oncomplete = function () {
+                expect(function () {
+                    tx.commit();
+                }).to['throw']().with.property('name', 'InvalidStateError');
+                db.close();
+                done();
+            };
+        });
+    });
+
+    it('should abort if a pending request fails', function (done) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var store = tx.objectStore('out-of-line');
+            store.add('a', 1);
+            var duplicate = store.add('b', 1);
+            tx.commit();
+            tx.oncomplete = function () {
+                done(new Error('The transaction should have been aborted'));
+            };
+            tx.onabort = function () {
+                expect(duplicate.error.name).to.equal('ConstraintError');
+                expect(tx.error).to.equal(duplicate.error);
+                db.close();
+                done();
+            };
+        });
+    });
+});
+
+describe('IDBTransaction.durability', function () {
+    'use strict';
+
+    it('should default to "default"', function (done) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            expect(db.transaction('out-of-line').durability).to.equal('default');
+            expect(db.transaction('out-of-line', 'readwrite', {}).durability).to.equal('default');
+            db.close();
+            done();
+        });
+    });
+
+    it('should reflect the durability option', function (done) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            expect(db.transaction('out-of-line', 'readwrite', {durability: 'relaxed'}).durability).to.equal('relaxed');
+            expect(db.transaction('out-of-line', 'readonly', {durability: 'strict'}).durability).to.equal('strict');
+            db.close();
+            done();
+        });
+    });
+
+    it('should throw a TypeError for an invalid durability', function (done) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            expect(function () {
+                db.transaction('out-of-line', 'readwrite', {durability: 'eventual'});
+            }).to['throw'](TypeError);
+            expect(function () {
+                db.transaction('out-of-line', 'readwrite', 'relaxed');
+            }).to['throw'](TypeError);
+            db.close();
+            done();
+        });
+    });
+});
@@ -0,0 +1,237 @@
+/* eslint-disable no-var */
+describe('IDBTransaction scheduling', function () {
+    'use strict';
+
+    var log, count, base, dbName, expectedEnds, onEnded;
+
+    afterEach(function () {
+        if (env.backends) {
+            env.indexedDB.__setConfig('backend', undefined);
+        }
+    });
+
+    /**
+     * Logs the start and end of the WebSQL transactions of the test database
+     */
+    function useRecordingBackend () {
+        var backend = env.backends.createWebSQLBackend(env.indexedDB.__getConfig('win'));
+        env.indexedDB.__setConfig('backend', {
+            openDatabase: function (name, displayName, estimatedSize) {
+                var db = backend.openDatabase(name, displayName, estimatedSize);
+                if (displayName !== dbName) {
+                    return db;
+                }
+                function wrap (method) {
+                    return function (callback, errorCallback, successCallback) {
+                        var id = ++count;
+                        log.push('start ' + (id - base));
+                        function end () {
+                            if (id <= base) { // Began before the transactions being run
+                                return;
+                            }
+                            log.push('end ' + (id - base));
+                            if (onEnded && log.filter(function (entry) {
+                                return (/^end/).test(entry);
+                            }).length === expectedEnds) {
+                                setTimeout(onEnded);
+                            }
+                        }
+                        db[method](callback, function (err) {
+                            end();
+                            errorCallback && errorCallback(err);
+                        }, function () {
+                            end();
+                            successCallback && successCallback();
+                        });
+                    };
+                }
+                return {transaction: wrap('transaction'), readTransaction: wrap('readTransaction')};
+            }
+        });
+    }
+
+    function openDatabase (callback) {
+        var open = env.indexedDB.open(dbName, 1);
+        open.onerror = open.onblocked = function () {
+            callback(open.error);
+        };
+        open.onupgradeneeded = function () {
+            open.result.createObjectStore('a').add('a', 1);
+            open.result.createObjectStore('b').add('b', 1);
+        };
+        open.onsuccess = function () {
+            callback(null, open.result);
+        };
+    }
+
+    /**
+     * Creates the transactions (each `[label, connection, storeNames, mode]`)
+     *   in order, calling back once all of their WebSQL transactions have ended
+     */
+    function runTransactions (transactions, callback) {
+        log = [];
+        base = count;
+        expectedEnds = transactions.length;
+        onEnded = callback;
+        transactions.forEach(function (info) {
+            var tx = info[1].transaction(info[2], info[3]);
+            tx.objectStore(info[2][0]).get(1);
+            tx.oncomplete = function () {
+                log.push('complete ' + info[0]);
+            };
+        });
+    }
+
+    function setUp (callback) {
+        util.generateDatabaseName(function (err, name) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            dbName = name;
+            log = [];
+            count = base = 0;
+            onEnded = null;
+            useRecordingBackend();
+            openDatabase(callback);
+        });
+    }
+
+    util.skipIf(!env.backends, 'should run readonly transactions with overlapping scopes together', function (done) {
+        setUp(function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            runTransactions([
+                ['A', db, ['a'], 'readonly'],
+                ['B', db, ['a', 'b'], 'readonly']
+            ], function () {
+                expect(log.indexOf('start 2')).to.be.below(log.indexOf('end 1'));
+                db.close();
+                done();
+            });
+        });
+    });
+
+    util.skipIf(!env.backends, 'should run readwrite transactions with overlapping scopes in order', function (done) {
+        setUp(function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            runTransactions([
+                ['A', db, ['a'], 'readwrite'],
+                ['B', db, ['a', 'b'], 'readwrite']
+            ], function () {
+                expect(log).to.deep.equal(['start 1', 'complete A', 'end 1', 'start 2', 'complete B', 'end 2']);
+                db.close();
+                done();
+            });
+        });
+    });
+
+    util.skipIf(!env.backends, 'should not have transactions wait on those with other scopes', function (done) {
+        setUp(function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            runTransactions([
+                ['A', db, ['a'], 'readwrite'],
+                ['B', db, ['b'], 'readwrite']
+            ], function () {
+                expect(log.indexOf('start 2')).to.be.below(log.indexOf('end 1'));
+                db.close();
+                done();
+            });
+        });
+    });
+
+    util.skipIf(!env.backends, 'should have readonly and readwrite transactions wait on one another', function (done) {
+        setUp(function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            runTransactions([
+                ['A', db, ['a'], 'readwrite'],
+                ['B', db, ['a'], 'readonly'],
+                ['C', db, ['a', 'b'], 'readwrite'],
+                ['D', db, ['b'], 'readonly']
+            ], function () {
+                // D need only wait on C, which waits on the others
+                expect(log).to.deep.equal([
+                    'start 1', 'complete A', 'end 1',
+                    'start 2', 'complete B', 'end 2',
+                    'start 3', 'complete C', 'end 3',
+                    'start 4', 'complete D', 'end 4'
+                ]);
+                db.close();
+                done();
+            });
+        });
+    });
+
+    util.skipIf(!env.backends, 'should order the transactions of different connections', function (done) {
+        setUp(function (err, db1) {
+            if (err) {
+                done(err);
+                return;
+            }
+            openDatabase(function (err, db2) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                runTransactions([
+                    ['A', db2, ['a'], 'readwrite'],
+                    ['B', db1, ['a'], 'readwrite'],
+                    ['C', db2, ['a'], 'readonly']
+                ], function () {
+                    expect(log).to.deep.equal([
+                        'start 1', 'complete A', 'end 1',
+                        'start 2', 'complete B', 'end 2',
+                        'start 3', 'complete C', 'end 3'
+                    ]);
+                    db1.close();
+                    db2.close();
+                    done();
+                });
+            });
+        });
+    });
+
+    util.skipIf(!env.backends, 'should drop the scheduler of a database once its connections and transactions have finished', function (done) {
+        setUp(function (err, db1) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var scheduler = db1.__scheduler;
+            var tx = db1.transaction('a', 'readwrite');
+            tx.objectStore('a').put('a2', 1);
+            db1.close();
+            openDatabase(function (err, db2) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                // The transaction of the closed connection has yet to finish
+                expect(db2.__scheduler).to.equal(scheduler);
+                db2.close();
+                setTimeout(function () {
+                    openDatabase(function (err, db3) {
+                        if (err) {
+                            done(err);
+                            return;
+                        }
+                        expect(db3.__scheduler).to.not.equal(scheduler);
+                        db3.close();
+                        done();
+                    });
+                }, 50);
+            });
+        });
+    });
+});
@@ -0,0 +1,145 @@
+/* eslint-disable no-var */
+describe('IDBTransaction SQL errors', function () {
+    'use strict';
+
+    var injectedError;
+
+    afterEach(function () {
+        if (env.backends) {
+            env.indexedDB.__setConfig('backend', undefined);
+        }
+    });
+
+    /**
+     * Wraps a WebSQL transaction so as to fail the statements adding records
+     *   with `injectedError`
+     */
+    function wrapTransaction (tx) {
+        var wrapped = {
+            executeSql: function (sql, args, successCallback, errorCallback) {
+                if (injectedError && (/^INSERT INTO +"s_/).test(sql)) {
+                    tx.executeSql('SELECT 1', [], function () {
+                        if (!errorCallback || errorCallback(wrapped, injectedError)) {
+                            // Roll back as WebSQL would
+                            tx.executeSql('SELECT * FROM __nonexistent__', [], null, function () {
+                                return true;
+                            });
+                        }
+                    });
+                    return;
+                }
+                tx.executeSql(sql, args, successCallback && function (tx, resultSet) {
+                    return successCallback(wrapped, resultSet);
+                }, errorCallback && function (tx, err) {
+                    return errorCallback(wrapped, err);
+                });
+            }
+        };
+        return wrapped;
+    }
+
+    function useFailingBackend () {
+        var backend = env.backends.createWebSQLBackend(env.indexedDB.__getConfig('win'));
+        env.indexedDB.__setConfig('backend', {
+            openDatabase: function (name, displayName, estimatedSize) {
+                var db = backend.openDatabase(name, displayName, estimatedSize);
+                return {
+                    transaction: function (callback, errorCallback, successCallback) {
+                        db.transaction(function (tx) {
+                            callback(wrapTransaction(tx));
+                        }, errorCallback, successCallback);
+                    },
+                    readTransaction: function (callback, errorCallback, successCallback) {
+                        db.readTransaction(function (tx) {
+                            callback(wrapTransaction(tx));
+                        }, errorCallback, successCallback);
+                    }
+                };
+            }
+        });
+    }
+
+    /**
+     * Adds a record while the given SQL error is injected, calling back with
+     *   the error of the request and that of the transaction
+     */
+    function addWithSQLError (sqlError, callback) {
+        util.createDatabase('out-of-line', function (err, db) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            injectedError = sqlError;
+            var tx = db.transaction('out-of-line', 'readwrite');
+            var add = tx.objectStore('out-of-line').add('value', 1);
+            tx.onabort = function () {
+                injectedError = null;
+                db.close();
+                callback(null, add.error, tx.error);
+            };
+            tx.oncomplete = function () {
+                injectedError = null;
+                db.close();
+                callback(new Error('The transaction should have been aborted'));
+            };
+        });
+    }
+
+    util.skipIf(!env.backends, 'should map SQLError codes to DOMExceptions', function (done) {
+        useFailingBackend();
+        var cases = [
+            [{code: 0, message: 'unknown'}, 'UnknownError'],
+            [{code: 1, message: 'database'}, 'UnknownError'],
+            [{code: 2, message: 'version'}, 'VersionError'],
+            [{code: 3, message: 'too large'}, 'UnknownError'],
+            [{code: 4, message: 'quota'}, 'QuotaExceededError'],
+            [{code: 5, message: 'syntax'}, 'UnknownError'],
+            [{code: 6, message: 'constraint'}, 'ConstraintError'],
+            [{code: 7, message: 'timeout'}, 'TimeoutError']
+        ];
+        (function next (i) {
+            if (i >= cases.length) {
+                done();
+                return;
+            }
+            var sqlError = cases[i][0];
+            addWithSQLError(sqlError, function (err, requestError, txError) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                expect(requestError.name).to.equal(cases[i][1]);
+                expect(requestError.sqlError).to.equal(sqlError);
+                expect(requestError.message).to.contain(sqlError.message);
+                expect(txError).to.equal(requestError);
+                next(i + 1);
+            });
+        }(0));
+    });
+
+    util.skipIf(!env.backends, 'should map SQLite error messages to DOMExceptions', function (done) {
+        useFailingBackend();
+        var cases = [
+            ['SQLITE_CONSTRAINT: UNIQUE constraint failed: s_store.key', 'ConstraintError'],
+            ['SQLITE_FULL: database or disk is full', 'QuotaExceededError'],
+            ['SQLITE_BUSY: database is locked', 'TimeoutError'],
+            ['SQLITE_READONLY: attempt to write a readonly database', 'UnknownError'],
+            ['SQLITE_CORRUPT: database disk image is malformed', 'UnknownError']
+        ];
+        (function next (i) {
+            if (i >= cases.length) {
+                done();
+                return;
+            }
+            addWithSQLError({code: 0, message: cases[i][0]}, function (err, requestError) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                expect(requestError.name).to.equal(cases[i][1]);
+                expect(requestError.message).to.contain(cases[i][0]);
+                next(i + 1);
+            });
+        }(0));
+    });
+});
@@ -0,0 +1,592 @@
+/* eslint-disable no-var */
+describe('Storage backends', function () {
+    'use strict';
+
+    /**
+     * Opens an in-memory database of a synchronous SQLite binding (if available)
+     */
+    var openSQLiteMemoryDatabase = (function () {
+        if (typeof require !== 'function') {
+            return null;
+        }
+        try {
+            var BetterSqlite3 = require('better-sqlite3');
+            return function () {
+                return new BetterSqlite3(':memory:');
+            };
+        } catch (err) {}
+        try {
+            var DatabaseSync = require('node:sqlite').DatabaseSync;
+            return function () {
+                return new DatabaseSync(':memory:');
+            };
+        } catch (err) {}
+        return null;
+    }());
+
+    var defaultWin = null;
+    afterEach(function () {
+        if (defaultWin) {
+            env.indexedDB.__setConfig('win', defaultWin);
+            defaultWin = null;
+        }
+        if (env.backends) {
+            env.indexedDB.__setConfig('backend', undefined);
+            env.indexedDB.__setConfig('memoryDatabase', false);
+            env.indexedDB.__setConfig('databaseBasePath', undefined);
+            env.indexedDB.__setConfig('databasePath', undefined);
+        }
+    });
+
+    /**
+     * Opens a database, calling back with the connection and the old version
+     */
+    function openDatabase (dbName, callback) {
+        var oldVersion;
+        var open = env.indexedDB.open(dbName, 1);
+        open.onerror = function () {
+            callback(open.error);
+        };
+        open.onupgradeneeded = function (e) {
+            oldVersion = e.oldVersion;
+            open.result.createObjectStore('store').add('value', 1);
+        };
+        open.onsuccess = function () {
+            callback(null, open.result, oldVersion);
+        };
+    }
+
+    util.skipIf(!env.backends, 'should open databases through the configured backend', function (done) {
+        var webSQLBackend = env.backends.createWebSQLBackend(env.indexedDB.__getConfig('win'));
+        var openedNames = [];
+        env.indexedDB.__setConfig('backend', {
+            openDatabase: function (name, displayName, estimatedSize) {
+                openedNames.push(name);
+                return webSQLBackend.openDatabase(name, displayName, estimatedSize);
+            }
+        });
+
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var open = env.indexedDB.open(dbName, 1);
+            open.onerror = done;
+            open.onupgradeneeded = function () {
+                open.result.createObjectStore('store').add('value', 1);
+            };
+            open.onsuccess = function () {
+                var db = open.result;
+                var tx = db.transaction('store');
+                var get = tx.objectStore('store').get(1);
+                tx.oncomplete = function () {
+                    expect(get.result).to.equal('value');
+                    expect(openedNames).to.include('__sysdb__.sqlite');
+                    expect(openedNames.length).to.be.above(1);
+                    db.close();
+                    done();
+                };
+            };
+        });
+    });
+
+    util.skipIf(!env.backends, 'should open databases under the configured paths', function (done) {
+        var win = env.indexedDB.__getConfig('win');
+        var databases = {};
+        var mappedNames = [];
+        var mappedOrigins = [];
+        env.indexedDB.__setConfig('backend', {
+            openDatabase: function (name, displayName, estimatedSize) {
+                // Keep the (fictitious) paths off the disk
+                if (!databases[name]) {
+                    databases[name] = win.openDatabase(':memory:', 1, displayName, estimatedSize);
+                }
+                return databases[name];
+            }
+        });
+        env.indexedDB.__setConfig('databaseBasePath', 'databases/');
+        env.indexedDB.__setConfig('databasePath', function (name, origin) {
+            mappedNames.push(name);
+            mappedOrigins.push(origin);
+            return name === null ? '/system/versions.sqlite' : 'idb-' + name + '.sqlite';
+        });
+
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            openDatabase(dbName, function (err, db) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                var origin = typeof location !== 'undefined' && location.origin ? location.origin : null;
+                expect(mappedNames).to.include(null);
+                expect(mappedNames).to.include(dbName);
+                mappedOrigins.forEach(function (mappedOrigin) {
+                    expect(mappedOrigin).to.equal(origin);
+                });
+                // Absolute paths are not resolved against the base path
+                expect(databases).to.have.property('/system/versions.sqlite');
+                expect(databases).to.have.property('databases/idb-' + dbName + '.sqlite');
+                db.close();
+                done();
+            });
+        });
+    });
+
+    util.skipIf(!env.backends || !openSQLiteMemoryDatabase, 'should store databases using a SQLite binding', function (done) {
+        env.indexedDB.__setConfig('backend', env.backends.createSQLiteBackend(openSQLiteMemoryDatabase));
+
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var open = env.indexedDB.open(dbName, 1);
+            open.onerror = done;
+            open.onupgradeneeded = function () {
+                var store = open.result.createObjectStore('store', {keyPath: 'id', autoIncrement: true});
+                store.createIndex('name', 'name', {unique: true});
+                store.add({name: 'a'});
+                store.add({name: 'b'});
+            };
+            open.onsuccess = function () {
+                var db = open.result;
+                var tx = db.transaction('store', 'readwrite');
+                var duplicate = tx.objectStore('store').add({name: 'a'});
+                duplicate.onerror = function (e) {
+                    e.stopPropagation();
+                };
+                tx.onabort = function () {
+                    expect(duplicate.error.name).to.equal('ConstraintError');
+
+                    var tx = db.transaction('store');
+                    var names = [];
+                    tx.objectStore('store').index('name').openCursor(null, 'prev').onsuccess = function (e) {
+                        var cursor = e.target.result;
+                        if (cursor) {
+                            names.push([cursor.key, cursor.primaryKey]);
+                            cursor['continue']();
+                        }
+                    };
+                    tx.oncomplete = function () {
+                        expect(names).to.deep.equal([['b', 2], ['a', 1]]);
+                        db.close();
+                        done();
+                    };
+                };
+                tx.oncomplete = function () {
+                    done(new Error('The transaction should have been aborted'));
+                };
+            };
+        });
+    });
+
+    util.skipIf(!env.backends || !openSQLiteMemoryDatabase, 'should set the synchronous pragma for transaction durability', function (done) {
+        var pragmas = [];
+        env.indexedDB.__setConfig('backend', env.backends.createSQLiteBackend(function () {
+            var binding = openSQLiteMemoryDatabase();
+            var prepare = binding.prepare;
+            binding.prepare = function (sql) {
+                if ((/^PRAGMA synchronous/).test(sql)) {
+                    pragmas.push(sql);
+                }
+                return prepare.apply(binding, arguments);
+            };
+            return binding;
+        }));
+
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            openDatabase(dbName, function (err, db) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                expect(pragmas).to.deep.equal([]);
+                // `:memory:` databases default to `FULL` (2), as used for "strict"
+                db.transaction('store', 'readwrite', {durability: 'strict'}).objectStore('store').put('strict', 1);
+                db.transaction('store', 'readwrite', {durability: 'relaxed'}).objectStore('store').put('relaxed', 1);
+                var tx = db.transaction('store', 'readwrite');
+                tx.objectStore('store').put('default', 1);
+                tx.oncomplete = function () {
+                    expect(pragmas).to.deep.equal([
+                        'PRAGMA synchronous',
+                        'PRAGMA synchronous = 1',
+                        'PRAGMA synchronous = 2'
+                    ]);
+                    db.close();
+                    done();
+                };
+            });
+        });
+    });
+
+    util.skipIf(!env.backends || !openSQLiteMemoryDatabase, 'should roll back aborted transactions to a savepoint', function (done) {
+        var rollbacks = [];
+        env.indexedDB.__setConfig('backend', env.backends.createSQLiteBackend(function () {
+            var binding = openSQLiteMemoryDatabase();
+            var prepare = binding.prepare;
+            binding.prepare = function (sql) {
+                if ((/^ROLLBACK/).test(sql)) {
+                    rollbacks.push(sql);
+                }
+                return prepare.apply(binding, arguments);
+            };
+            return binding;
+        }));
+
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            openDatabase(dbName, function (err, db) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                var tx = db.transaction('store', 'readwrite');
+                tx.objectStore('store').put('changed', 1);
+                tx.objectStore('store').add('added', 2);
+                // Aborted from a timer while a step awaits something other than SQL
+                tx.__addNonRequestToTransactionQueue(function () {
+                    setTimeout(function () {
+                        tx.abort();
+                    }, 10);
+                });
+                tx.onabort = function () {
+                    expect(rollbacks).to.deep.equal(['ROLLBACK TO transaction__']);
+                    db.close();
+                    openDatabase(dbName, function (err, db) {
+                        if (err) {
+                            done(err);
+                            return;
+                        }
+                        var tx = db.transaction('store');
+                        var values = tx.objectStore('store').getAll();
+                        tx.oncomplete = function () {
+                            expect(values.result).to.deep.equal(['value']);
+                            db.close();
+                            done();
+                        };
+                    });
+                };
+            });
+        });
+    });
+
+    util.skipIf(!env.backends || !openSQLiteMemoryDatabase, 'should bind the same arguments through asynchronous SQLite bindings', function (done) {
+        var unboundArgs = [];
+        env.indexedDB.__setConfig('backend', env.backends.createSQLiteBackend(function () {
+            // Wrap a synchronous binding in the API of the asynchronous `sqlite3` package
+            var binding = openSQLiteMemoryDatabase();
+            function checkArgs (args) {
+                args.forEach(function (arg) {
+                    if (arg === undefined || typeof arg === 'boolean') {
+                        unboundArgs.push(arg);
+                    }
+                });
+            }
+            return {
+                all: function (sql, args, callback) {
+                    checkArgs(args);
+                    var rows;
+                    try {
+                        var stmt = binding.prepare(sql);
+                        rows = stmt.all.apply(stmt, args);
+                    } catch (err) {
+                        setTimeout(function () { callback(err); });
+                        return;
+                    }
+                    setTimeout(function () { callback(null, rows); });
+                },
+                run: function (sql, args, callback) {
+                    checkArgs(args);
+                    var info;
+                    try {
+                        var stmt = binding.prepare(sql);
+                        info = stmt.run.apply(stmt, args);
+                    } catch (err) {
+                        setTimeout(function () { callback(err); });
+                        return;
+                    }
+                    setTimeout(function () {
+                        callback.call({changes: Number(info.changes), lastID: Number(info.lastInsertRowid)}, null);
+                    });
+                }
+            };
+        }));
+
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var open = env.indexedDB.open(dbName, 1);
+            open.onerror = done;
+            open.onupgradeneeded = function () {
+                var store = open.result.createObjectStore('store', {keyPath: 'id'});
+                store.createIndex('name', 'name', {unique: true, multiEntry: false});
+                store.add({id: 1, name: 'a'});
+            };
+            open.onsuccess = function () {
+                var db = open.result;
+                var tx = db.transaction('store');
+                var get = tx.objectStore('store').index('name').get('a');
+                tx.oncomplete = function () {
+                    expect(get.result).to.deep.equal({id: 1, name: 'a'});
+                    expect(unboundArgs).to.deep.equal([]);
+                    db.close();
+                    done();
+                };
+            };
+        });
+    });
+
+    util.skipIf(!env.backends || !openSQLiteMemoryDatabase, 'should only begin the next transaction once a failed commit is rolled back', function (done) {
+        var binding = openSQLiteMemoryDatabase();
+        var failCommit = false;
+        // Wraps the binding in the API of the asynchronous `sqlite3` package,
+        //   failing the first commit once requested and delaying rollbacks
+        function execute (sql, args, callback) {
+            if (failCommit && sql === 'COMMIT') {
+                failCommit = false;
+                setTimeout(function () { callback(new Error('SQLITE_IOERR: disk I/O error')); });
+                return;
+            }
+            setTimeout(function () {
+                var stmt, result;
+                try {
+                    stmt = binding.prepare(sql);
+                    result = (/^SELECT/).test(sql) ? stmt.all.apply(stmt, args) : stmt.run.apply(stmt, args);
+                } catch (err) {
+                    callback(err);
+                    return;
+                }
+                callback(null, result);
+            }, (/^ROLLBACK$/).test(sql) ? 50 : 0);
+        }
+        var database = env.backends.createSQLiteBackend(function () {
+            return {
+                all: execute,
+                run: function (sql, args, callback) {
+                    execute(sql, args, function (err, info) {
+                        callback.call(info ? {changes: Number(info.changes), lastID: Number(info.lastInsertRowid)} : {}, err);
+                    });
+                }
+            };
+        }).openDatabase('rollback-test');
+        database.transaction(function (tx) {
+            tx.executeSql('CREATE TABLE records (value TEXT)', []);
+        }, done, function () {
+            failCommit = true;
+            database.transaction(function (tx) {
+                tx.executeSql('INSERT INTO records VALUES (?)', ['failed']);
+            }, function (err) {
+                expect(err.message).to.contain('disk I/O error');
+            }, function () {
+                done(new Error('The commit should have failed'));
+            });
+            database.transaction(function (tx) {
+                tx.executeSql('INSERT INTO records VALUES (?)', ['next']);
+            }, done, function () {
+                database.readTransaction(function (tx) {
+                    tx.executeSql('SELECT value FROM records', [], function (tx, resultSet) {
+                        expect(resultSet.rows.length).to.equal(1);
+                        expect(resultSet.rows.item(0).value).to.equal('next');
+                    });
+                }, done, done);
+            });
+        });
+    });
+
+    util.skipIf(!env.backends || !openSQLiteMemoryDatabase, 'should close the databases of SQLite bindings once deleted or force-closed', function (done) {
+        var opened = 0;
+        var closed = 0;
+        env.indexedDB.__setConfig('backend', env.backends.createSQLiteBackend(function () {
+            var binding = openSQLiteMemoryDatabase();
+            var close = binding.close;
+            opened++;
+            binding.close = function () {
+                closed++;
+                return close.apply(binding, arguments);
+            };
+            return binding;
+        }));
+
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            openDatabase(dbName, function (err, db) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                // The system database and that of `dbName`
+                expect(opened).to.equal(2);
+                env.indexedDB.__forceClose(dbName);
+                setTimeout(function () {
+                    expect(closed).to.equal(1);
+                    // Opened anew (its in-memory records being gone)
+                    openDatabase(dbName, function (err, db) {
+                        if (err) {
+                            done(err);
+                            return;
+                        }
+                        expect(opened).to.equal(3);
+                        db.close();
+                        var del = env.indexedDB.deleteDatabase(dbName);
+                        del.onerror = del.onblocked = function () {
+                            done(new Error('The database should have been deleted'));
+                        };
+                        del.onsuccess = function () {
+                            setTimeout(function () {
+                                expect(closed).to.equal(2);
+                                done();
+                            }, 50);
+                        };
+                    });
+                }, 50);
+            });
+        });
+    });
+
+    util.skipIf(!env.backends, 'should keep databases in memory when configured', function (done) {
+        env.indexedDB.__setConfig('memoryDatabase', true);
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            openDatabase(dbName, function (err, db, oldVersion) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                expect(oldVersion).to.equal(0);
+                db.close();
+
+                // Reopening should find the database in memory
+                openDatabase(dbName, function (err, db, oldVersion) {
+                    if (err) {
+                        done(err);
+                        return;
+                    }
+                    expect(oldVersion).to.equal(undefined);
+                    var get = db.transaction('store').objectStore('store').get(1);
+                    get.onsuccess = function () {
+                        expect(get.result).to.equal('value');
+                        db.close();
+
+                        // ...but not in the default storage
+                        env.indexedDB.__setConfig('memoryDatabase', false);
+                        openDatabase(dbName, function (err, db, oldVersion) {
+                            if (err) {
+                                done(err);
+                                return;
+                            }
+                            expect(oldVersion).to.equal(0);
+                            db.close();
+                            done();
+                        });
+                    };
+                });
+            });
+        });
+    });
+
+    util.skipIf(!env.backends, 'should reset the databases kept in memory', function (done) {
+        env.indexedDB.__setConfig('memoryDatabase', true);
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            openDatabase(dbName, function (err, db) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                var closed = false;
+                db.onclose = function () {
+                    closed = true;
+                };
+                env.indexedDB.__resetMemoryDatabases();
+
+                openDatabase(dbName, function (err, db, oldVersion) {
+                    if (err) {
+                        done(err);
+                        return;
+                    }
+                    // The unclosed connection should not have blocked the upgrade
+                    expect(closed).to.equal(true);
+                    expect(oldVersion).to.equal(0);
+                    db.close();
+                    done();
+                });
+            });
+        });
+    });
+
+    util.skipIf(!env.backends, 'should close the databases kept in memory once deleted or reset', function (done) {
+        var win = defaultWin = env.indexedDB.__getConfig('win');
+        var opened = 0;
+        var closed = 0;
+        env.indexedDB.__setConfig('win', {
+            openDatabase: function () {
+                var database = win.openDatabase.apply(win, arguments);
+                opened++;
+                return {
+                    transaction: function () {
+                        return database.transaction.apply(database, arguments);
+                    },
+                    readTransaction: function () {
+                        return database.readTransaction.apply(database, arguments);
+                    },
+                    close: function () {
+                        closed++;
+                    }
+                };
+            }
+        });
+        env.indexedDB.__setConfig('memoryDatabase', true);
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                done(err);
+                return;
+            }
+            openDatabase(dbName, function (err, db) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                db.close();
+                // The system database and that of `dbName`
+                expect(opened).to.equal(2);
+                var del = env.indexedDB.deleteDatabase(dbName);
+                del.onerror = del.onblocked = function () {
+                    done(new Error('The database should have been deleted'));
+                };
+                del.onsuccess = function () {
+                    setTimeout(function () {
+                        expect(closed).to.equal(1);
+                        env.indexedDB.__resetMemoryDatabases();
+                        setTimeout(function () {
+                            expect(closed).to.equal(2);
+                            done();
+                        }, 50);
+                    }, 50);
+                };
+            });
+        });
+    });
+});
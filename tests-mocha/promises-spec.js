@@ -0,0 +1,235 @@
+/* eslint-disable no-var */
+describe('Promise-based wrapper API', function () {
+    'use strict';
+
+    function openDB (upgrade, callback) {
+        util.generateDatabaseName(function (err, dbName) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            env.promises.openDB(dbName, 1, {
+                upgrade: upgrade || function (db) {
+                    var store = db.createObjectStore('store', {keyPath: 'id'});
+                    store.createIndex('index', 'name');
+                }
+            }).then(function (db) {
+                callback(null, db, dbName);
+            }, function (err) {
+                callback(err, undefined, dbName);
+            });
+        });
+    }
+
+    util.skipIf(!env.promises, 'should open a database with an upgrade callback', function (done) {
+        var upgradeArgs;
+        openDB(function (db, oldVersion, newVersion, tx) {
+            upgradeArgs = [oldVersion, newVersion, tx.mode];
+            var store = db.createObjectStore('store', {keyPath: 'id'});
+            store.createIndex('index', 'name');
+            return store.put({id: 1, name: 'a'}).then(function (key) {
+                expect(key).to.equal(1);
+                return store.put({id: 2, name: 'b'});
+            });
+        }, function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            expect(upgradeArgs).to.deep.equal([0, 1, 'versionchange']);
+            expect(db).to.be.an.instanceOf(env.promises.PromiseDatabase);
+            expect(db.version).to.equal(1);
+            expect(db.raw).to.be.an.instanceOf(IDBDatabase);
+
+            var tx = db.transaction('store');
+            tx.objectStore('store').count().then(function (count) {
+                expect(count).to.equal(2);
+                return tx.complete;
+            }).then(function () {
+                db.close();
+                done();
+            }).catch(done);
+        });
+    });
+
+    util.skipIf(!env.promises, 'should keep the transaction alive between awaited requests', function (done) {
+        openDB(null, function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('store', 'readwrite');
+            var store = tx.objectStore('store');
+            var completed = false;
+            tx.complete.then(function () {
+                completed = true;
+            });
+
+            store.add({id: 1, name: 'a'}).then(function () {
+                return store.get(1);
+            }).then(function (value) {
+                expect(completed).to.equal(false);
+                value.name = 'b';
+                return Promise.resolve().then(function () {
+                    // Other promise reactions may intervene
+                    return store.put(value);
+                });
+            }).then(function () {
+                return store.index('index').getAll('b');
+            }).then(function (values) {
+                expect(values).to.deep.equal([{id: 1, name: 'b'}]);
+                return tx.complete;
+            }).then(function () {
+                expect(completed).to.equal(true);
+                return db.transaction('store').objectStore('store').get(1);
+            }).then(function (value) {
+                expect(value).to.deep.equal({id: 1, name: 'b'});
+                db.close();
+                done();
+            }).catch(done);
+        });
+    });
+
+    util.skipIf(!env.promises, 'should reject with request and transaction errors', function (done) {
+        openDB(null, function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('store', 'readwrite');
+            var store = tx.objectStore('store');
+            var requestError;
+            store.add({id: 1, name: 'a'}).then(function () {
+                return store.add({id: 1, name: 'b'});
+            }).then(function () {
+                throw new Error('The duplicate key should not have been added');
+            }, function (err) {
+                requestError = err;
+                expect(err.name).to.equal('ConstraintError');
+            });
+
+            tx.complete.then(function () {
+                done(new Error('The transaction should not have completed'));
+            }, function (err) {
+                expect(requestError).to.be.ok; // eslint-disable-line no-unused-expressions
+                expect(err.name).to.equal('ConstraintError');
+                // Synchronous errors should also become rejections
+                return store.get(1).catch(function (err) {
+                    expect(err.name).to.equal('TransactionInactiveError');
+                    db.close();
+                    done();
+                });
+            }).catch(done);
+        });
+    });
+
+    util.skipIf(!env.promises, 'should iterate cursors', function (done) {
+        openDB(function (db) {
+            var store = db.createObjectStore('store', {keyPath: 'id'});
+            store.createIndex('index', 'name');
+            ['c', 'a', 'b', 'a'].forEach(function (name, i) {
+                store.add({id: i + 1, name: name});
+            });
+        }, function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('store', 'readwrite');
+            var index = tx.objectStore('store').index('index');
+            var primaryKeys = [];
+            index.openCursor(IDBKeyRange.upperBound('b')).then(function iterate (cursor) {
+                if (!cursor) {
+                    expect(primaryKeys).to.deep.equal([2, 4, 3]);
+                    return tx.objectStore('store').openCursor();
+                }
+                primaryKeys.push(cursor.primaryKey);
+                return cursor['continue']().then(iterate);
+            }).then(function (cursor) {
+                expect(cursor.key).to.equal(1);
+                return cursor.update({id: 1, name: 'd'}).then(function () {
+                    return cursor.advance(2);
+                });
+            }).then(function (cursor) {
+                expect(cursor.value).to.deep.equal({id: 3, name: 'b'});
+                return tx.objectStore('store').openCursor(3);
+            }).then(function (cursor) {
+                return cursor['delete']();
+            }).then(function () {
+                return tx.objectStore('store').openCursor(IDBKeyRange.lowerBound(10));
+            }).then(function (cursor) {
+                expect(cursor).to.equal(null);
+                return tx.objectStore('store').getAll();
+            }).then(function (values) {
+                expect(values).to.deep.equal([
+                    {id: 1, name: 'd'},
+                    {id: 2, name: 'a'},
+                    {id: 4, name: 'a'}
+                ]);
+                return tx.complete;
+            }).then(function () {
+                db.close();
+                done();
+            }).catch(done);
+        });
+    });
+
+    util.skipIf(!env.promises || typeof Symbol === 'undefined' || !Symbol.asyncIterator, 'should allow async iteration of cursors', function (done) {
+        openDB(function (db) {
+            var store = db.createObjectStore('store', {keyPath: 'id'});
+            [1, 2, 3, 4, 5].forEach(function (id) {
+                store.add({id: id});
+            });
+        }, function (err, db) {
+            if (err) {
+                done(err);
+                return;
+            }
+            var tx = db.transaction('store');
+            var keys = [];
+            tx.objectStore('store').openKeyCursor(IDBKeyRange.lowerBound(2)).then(function (cursor) {
+                var iterator = cursor[Symbol.asyncIterator]();
+                return iterator.next().then(function next (result) {
+                    if (result.done) {
+                        return;
+                    }
+                    keys.push(result.value.key);
+                    if (result.value.key === 3) {
+                        // Moving the cursor ourselves should not cause a record to be skipped
+                        result.value['continue'](5);
+                    }
+                    return iterator.next().then(next);
+                });
+            }).then(function () {
+                expect(keys).to.deep.equal([2, 3, 5]);
+                return tx.complete;
+            }).then(function () {
+                db.close();
+                done();
+            }).catch(done);
+        });
+    });
+
+    util.skipIf(!env.promises, 'should abort the upgrade if the upgrade callback fails', function (done) {
+        var upgradeErr = new Error('Upgrade failed');
+        openDB(function (db) {
+            var store = db.createObjectStore('store', {keyPath: 'id'});
+            return store.add({id: 1}).then(function () {
+                throw upgradeErr;
+            });
+        }, function (err, db, dbName) {
+            expect(err).to.equal(upgradeErr);
+            expect(db).to.equal(undefined);
+
+            env.promises.openDB(dbName).then(function (db) {
+                // The aborted upgrade should not have created the database
+                expect(db.version).to.equal(1);
+                expect(Array.prototype.slice.call(db.objectStoreNames)).to.deep.equal([]);
+                db.close();
+                return env.promises.deleteDB(dbName);
+            }).then(function () {
+                done();
+            }).catch(done);
+        });
+    });
+});
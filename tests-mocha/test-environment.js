@@ -62,6 +62,16 @@
         Event: window.Event,
         DOMException: window.DOMException,
 
+        /**
+         * The promise-based wrapper API (exported by the Node build and `src/browser.js`)
+         */
+        promises: undefined,
+
+        /**
+         * The storage backend factories (only exported by the Node build)
+         */
+        backends: undefined,
+
         /**
          * Safe duration by which transaction should have expired
         */
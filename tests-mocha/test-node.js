@@ -22,6 +22,8 @@ window.onerror = function () {
 
     require('./test-environment.js');
     require('./test-utils.js');
+    env.promises = setGlobalVars.promises;
+    env.backends = setGlobalVars.backends;
 
     var tests; // eslint-disable-line no-var
 
@@ -32,27 +34,49 @@ window.onerror = function () {
         tests = [
             'api-spec.js',
             'IDBFactory/cmp-spec.js',
+            'IDBFactory/databases-spec.js',
             'IDBFactory/deleteDatabase-spec.js',
+            'IDBFactory/estimate-spec.js',
+            'IDBFactory/exportDatabase-spec.js',
             'IDBFactory/open-spec.js',
+            'IDBFactory/origins-spec.js',
+            'IDBCursor/continuePrimaryKey-spec.js',
+            'IDBCursor/asyncIterator-spec.js',
             'IDBDatabase/close-spec.js',
             'IDBDatabase/createObjectStore-spec.js',
             'IDBDatabase/deleteObjectStore-spec.js',
             'IDBDatabase/transaction-spec.js',
             'IDBIndex/count-spec.js',
             'IDBIndex/get-spec.js',
+            'IDBIndex/getAll-spec.js',
+            'IDBIndex/getAllKeys-spec.js',
             'IDBIndex/getKey-spec.js',
+            'IDBIndex/name-spec.js',
             'IDBIndex/openCursor-spec.js',
             'IDBKeyRange/includes-spec.js',
             'IDBObjectStore/add-spec.js',
             'IDBObjectStore/put-spec.js',
             'IDBObjectStore/add-put-spec.js',
+            'IDBObjectStore/putAll-spec.js',
+            'IDBObjectStore/keyGenerator-spec.js',
+            'IDBObjectStore/count-spec.js',
             'IDBObjectStore/clear-spec.js',
             'IDBObjectStore/createIndex-spec.js',
             'IDBObjectStore/deleteIndex-spec.js',
             'IDBObjectStore/delete-spec.js',
+            'IDBObjectStore/getAll-spec.js',
+            'IDBObjectStore/getAllKeys-spec.js',
+            'IDBObjectStore/getKey-spec.js',
             'IDBObjectStore/index-spec.js',
+            'IDBObjectStore/name-spec.js',
             'IDBTransaction/objectStore-spec.js',
-            'IDBTransaction/events-spec.js'
+            'IDBTransaction/events-spec.js',
+            'IDBTransaction/scheduling-spec.js',
+            'IDBTransaction/sqlErrors-spec.js',
+            'IDBTransaction/commit-spec.js',
+            'IDBTransaction/abort-spec.js',
+            'promises-spec.js',
+            'backends-spec.js'
         ];
     }
     tests.forEach(function (path) {